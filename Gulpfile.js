@@ -26,6 +26,7 @@ var yaml = require('js-yaml');
 var rimraf = require('rimraf');
 var runSequence = require('run-sequence');
 var path = require('path');
+var validateCatalog = require('./src/js/catalog').validateCatalog;
 
 
 handlebars.Handlebars.registerHelper(layouts(handlebars.Handlebars));
@@ -71,14 +72,39 @@ gulp.task('js:build', function() {
 });
 
 gulp.task('js:lint', function() {
-  gulp.src(['./src/js/**/*.js', '!./src/js/lib/**/*.js', 'Gulpfile.js'])
+  gulp.src([
+    './src/js/**/*.js', '!./src/js/lib/**/*.js', './bench/**/*.js', './bin/**/*.js',
+    './server/**/*.js', './test/**/*.js', 'Gulpfile.js',
+  ])
     .pipe(plumber())
       .pipe(jscs())
     .pipe(jshint())
     .pipe(jshint.reporter('default'));
 });
 
-gulp.task('js', ['js:lint', 'js:build']);
+// The scripts of the <wiki-battle> element (see widget.js), in the order
+// they need each other.
+var WIDGET_SCRIPTS = [
+  'clock', 'storage', 'sources', 'catalog', 'edits', 'statistics', 'scoring', 'battle', 'widget',
+];
+
+// Bundle the element into one script for other pages to embed.  The scripts
+// share a scope of their own instead of the page's, and don't see the
+// page's `define` or `module`, if it has any.
+gulp.task('widget', function(cb) {
+  var scripts = WIDGET_SCRIPTS.map(function(name) {
+    return fs.readFileSync('./src/js/' + name + '.js', 'utf-8');
+  });
+
+  var bundle = '(function(define, module) {\n' + scripts.join('\n') + '\n}).call({});\n';
+  fs.mkdir('./dist', function() {
+    fs.mkdir('./dist/js', function() {
+      fs.writeFile('./dist/js/wiki-battle-widget.js', bundle, cb);
+    });
+  });
+});
+
+gulp.task('js', ['js:lint', 'js:build', 'widget']);
 
 gulp.task('images', function() {
   return gulp.src('src/img/**/*')
@@ -126,6 +152,16 @@ gulp.task('templates', function() {
     .pipe(gulp.dest('dist'));
 });
 
+gulp.task('catalog', function(cb) {
+  var catalog = validateCatalog({
+    langs: yaml.safeLoad(fs.readFileSync('data.yml', 'utf-8')).langs,
+  });
+
+  fs.mkdir('./dist', function() {
+    fs.writeFile('./dist/catalog.json', JSON.stringify(catalog, null, 2) + '\n', cb);
+  });
+});
+
 gulp.task('templates:optimized', ['templates'], function() {
   return gulp.src('./dist/**/*.html')
     .pipe(inlinesource())
@@ -145,16 +181,17 @@ gulp.task('watch', function() {
   gulp.watch(['./src/templates/**/*.hbs', './src/partials/**/*.hbs'], ['templates'], reload);
   gulp.watch('./src/sass/**/*.scss', ['sass'], reload);
   gulp.watch('./src/img/**/*', ['images'], reload);
+  gulp.watch('data.yml', ['catalog', 'templates'], reload);
   gulp.watch(['./src/js/**/*.js', 'Gulpfile.js'], ['js'], reload);
 });
 
 gulp.task('build', function (cb) {
-  runSequence('clean', ['sass', 'images', 'fonts', 'js', 'templates'], cb);
+  runSequence('clean', ['sass', 'images', 'fonts', 'js', 'templates', 'catalog'], cb);
 });
 
 gulp.task('build:optimized', function(cb) {
   runSequence('clean',
-    ['sass:optimized', 'images:optimized', 'fonts', 'js', 'templates:optimized'],
+    ['sass:optimized', 'images:optimized', 'fonts', 'js', 'templates:optimized', 'catalog'],
     cb);
 });
 
@@ -0,0 +1,133 @@
+/*****************************************************************************
+ * bench/statistics.js                                                       *
+ *                                                                           *
+ * Simulates a battle left open for days, one bucket count per second, and   *
+ * reports how long each simulated hour of counts took to score, and how     *
+ * much memory is in use, for every scoring strategy.  Both should stay flat *
+ * however long the battle goes on.                                          *
+ *                                                                           *
+ * Usage:                                                                    *
+ *                                                                           *
+ *     node bench/statistics.js [days] [--horizon N | --half-life N]         *
+ *                                                                           *
+ * Run node with --expose-gc for steadier memory numbers.                    *
+ *****************************************************************************/
+
+'use strict';
+
+var Contender = require('../src/js/battle').Contender;
+var SCORING_STRATEGIES = require('../src/js/scoring').SCORING_STRATEGIES;
+var createScoringStrategy = require('../src/js/scoring').createScoringStrategy;
+
+var SECONDS_PER_HOUR = 3600;
+var HOURS_PER_DAY = 24;
+
+/**
+ * Parse the command line arguments.
+ **/
+function parseArguments(args) {
+  var options = {
+    days: 3,
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--horizon') {
+      options.horizon = parseInt(args[++i], 10);
+    } else if (args[i] === '--half-life') {
+      options.halfLife = parseInt(args[++i], 10);
+    } else {
+      options.days = parseFloat(args[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * A seeded pseudo-random number generator, so that every run simulates the
+ * same edits.
+ **/
+function random(seed) {
+  return function() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+/**
+ * Simulate the number of edits in one second, arriving at `rate` edits per
+ * second on average (a Poisson process).
+ **/
+function simulateCount(rate, next) {
+  var limit = Math.exp(-rate);
+  var count = 0;
+  var product = next();
+  while (product > limit) {
+    count++;
+    product *= next();
+  }
+
+  return count;
+}
+
+/**
+ * Run the benchmark for one scoring strategy.
+ **/
+function benchmark(name, options) {
+  var next = random(42);
+  var contender = new Contender('us', 'en', 'English', 'left', null, {
+    horizon: options.horizon,
+    halfLife: options.halfLife,
+  });
+  contender.setScoring(createScoringStrategy(name));
+
+  var hours = Math.ceil(options.days * HOURS_PER_DAY);
+  var report = [];
+
+  for (var hour = 0; hour < hours; hour++) {
+    // The rate of edits rises and falls over the day.
+    var rate = 5 + 4 * Math.sin(2 * Math.PI * hour / HOURS_PER_DAY);
+
+    var start = process.hrtime();
+    for (var second = 0; second < SECONDS_PER_HOUR; second++) {
+      contender.addNewCount(simulateCount(rate, next));
+    }
+
+    var elapsed = process.hrtime(start);
+
+    if (global.gc) {
+      global.gc();
+    }
+
+    report.push({
+      hour: hour + 1,
+      microsPerTick: (elapsed[0] * 1e6 + elapsed[1] / 1e3) / SECONDS_PER_HOUR,
+      heapMegabytes: process.memoryUsage().heapUsed / 1024 / 1024,
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Print every sixth hour of a report, plus the last one.
+ **/
+function printReport(name, report) {
+  process.stdout.write('\n' + name + '\n');
+  process.stdout.write('  hour  us/tick  heap MB\n');
+  report.forEach(function(row, i) {
+    if (i % 6 === 5 || i === report.length - 1) {
+      process.stdout.write(
+        '  ' + ('    ' + row.hour).slice(-4) +
+        '  ' + ('       ' + row.microsPerTick.toFixed(2)).slice(-7) +
+        '  ' + ('       ' + row.heapMegabytes.toFixed(1)).slice(-7) + '\n');
+    }
+  });
+}
+
+var options = parseArguments(process.argv.slice(2));
+process.stdout.write('Simulating ' + options.days + ' days of one-second ticks\n');
+
+Object.keys(SCORING_STRATEGIES).forEach(function(name) {
+  printReport(name, benchmark(name, options));
+});
@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+/*****************************************************************************
+ * bin/wiki-battle.js                                                        *
+ *                                                                           *
+ * Runs a battle in a terminal, without a browser.  While it runs, a         *
+ * scoreboard is drawn on stderr, and once it's over, a summary of the       *
+ * battle is printed on stdout as JSON, for scripts to read:                 *
+ *                                                                           *
+ *     {                                                                     *
+ *       "contenders": [{"lang": "de", "name": "German"}, ...],              *
+ *       "settings": {"scoring": "zscore", "filters": [], ...},              *
+ *       "duration": 60000,                                                  *
+ *       "timeline": [{"t": 1000, "lang": "de", "count": 4, ...}, ...],      *
+ *       "winnerChanges": [{"t": 1000, "lang": "de"}, ...],                  *
+ *       "ranking": ["de", "fr"],                                            *
+ *       "winner": "de",                                                     *
+ *       "unreachable": []                                                   *
+ *     }                                                                     *
+ *                                                                           *
+ * `unreachable` lists the languages whose stream never connected, which are *
+ * also reported on stderr when there's no scoreboard to show them.          *
+ *                                                                           *
+ * Usage:                                                                    *
+ *                                                                           *
+ *     wiki-battle <lang> <lang> [<lang> ...] [--duration 60]                *
+ *       [--scoring zscore] [--metric edits] [--filters humans,articles]     *
+ *       [--stream de=ws://localhost:9999/de] [--quiet]                      *
+ *     wiki-battle --replay battle.ndjson [<lang> ...] [--speed max]         *
+ *                                                                           *
+ * --stream listens to another web socket for a language, e.g. a stub        *
+ * stream server (see server/stub.js), and --replay replays a recording      *
+ * (see src/js/recorder.js) instead of listening to live streams.            *
+ *****************************************************************************/
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var yaml = require('js-yaml');
+var WebSocket = require('ws');
+
+var battles = require('../src/js/battle');
+var clocks = require('../src/js/clock');
+var edits = require('../src/js/edits');
+var parseRecording = require('../src/js/recorder').parseRecording;
+var BattleReplay = require('../src/js/replay').BattleReplay;
+var createStreamSource = require('../src/js/sources').createStreamSource;
+
+/**
+ * Global Constants
+ **/
+
+// The languages and their streams.
+var DATA_FILE = path.join(__dirname, '..', 'data.yml');
+
+// How long a live battle lasts, unless told otherwise, in seconds.
+var DEFAULT_DURATION = 60;
+
+// How often the scoreboard is redrawn, in real miliseconds.  A replay at max
+// speed counts far more often than that.
+var SCOREBOARD_INTERVAL = 250;
+
+var USAGE = [
+  'Usage: wiki-battle <lang> <lang> [<lang> ...] [options]',
+  '       wiki-battle --replay <recording> [<lang> ...] [options]',
+  '',
+  'Options:',
+  '  --duration <seconds>   how long the battle lasts (live: ' + DEFAULT_DURATION + ')',
+  '  --scoring <name>       the scoring strategy, e.g. zscore or ewma',
+  '  --metric <name>        what to count: edits, bytes or netBytes',
+  '  --filters <a,b>        the edit filters, e.g. humans,articles',
+  '  --stream <lang=url>    listen to another web socket for a language',
+  '  --replay <file>        replay a recording instead of live streams',
+  '  --speed <speed>        the replay speed: 1x, 2x, 10x or max (default)',
+  '  --quiet                don\'t draw the scoreboard',
+].join('\n');
+
+/**
+ * Parse the command line arguments.
+ **/
+function parseArguments(args) {
+  var options = {
+    langs: [],
+    duration: null,
+    scoring: null,
+    metric: null,
+    filters: null,
+    streams: {},
+    replay: null,
+    speed: 'max',
+    quiet: false,
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--duration') {
+      options.duration = parseFloat(args[++i]);
+    } else if (args[i] === '--scoring') {
+      options.scoring = args[++i];
+    } else if (args[i] === '--metric') {
+      options.metric = args[++i];
+    } else if (args[i] === '--filters') {
+      options.filters = args[++i].split(',');
+    } else if (args[i] === '--stream') {
+      var pair = args[++i].split('=');
+      options.streams[pair[0]] = pair.slice(1).join('=');
+    } else if (args[i] === '--replay') {
+      options.replay = args[++i];
+    } else if (args[i] === '--speed') {
+      options.speed = args[++i];
+    } else if (args[i] === '--quiet') {
+      options.quiet = true;
+    } else if (args[i] === '--help' || args[i][0] === '-') {
+      throw new Error(USAGE);
+    } else {
+      options.langs.push(args[i]);
+    }
+  }
+
+  if (options.metric && !edits.isEditMetric(options.metric)) {
+    throw new Error('Unknown metric: ' + options.metric);
+  }
+
+  return options;
+}
+
+/**
+ * The contenders of a live battle, listening to the streams of data.yml, or
+ * to the ones given with --stream.
+ **/
+function createLiveContenders(options) {
+  var languages = {};
+  yaml.safeLoad(fs.readFileSync(DATA_FILE, 'utf8')).langs.forEach(function(language) {
+    languages[language.lang] = language;
+  });
+
+  if (options.langs.length < 2) {
+    throw new Error('A battle needs at least two languages\n\n' + USAGE);
+  }
+
+  return options.langs.map(function(lang, i) {
+    var language = languages[lang];
+    var url = options.streams[lang];
+    if (!language && !url) {
+      throw new Error('Unknown language: ' + lang + ' (pass --stream ' + lang + '=<url>)');
+    }
+
+    language = language || { lang: lang, country_code: lang, name: lang };
+    if (!url && language.stream && language.stream !== 'websocket') {
+      throw new Error('Only web socket streams can be listened to from a terminal: ' + lang);
+    }
+
+    var source = createStreamSource({
+      url: url || language.url,
+      lang: lang,
+      WebSocket: WebSocket,
+    });
+
+    return new battles.Contender(language.country_code, lang, language.name, 'side-' + i,
+      source);
+  });
+}
+
+/**
+ * The contenders of a replayed battle: the ones of the recording, or the
+ * languages asked for among them.
+ **/
+function createReplayContenders(replay, options) {
+  var descriptions = replay.battle.contenders.filter(function(description) {
+    return !options.langs.length || options.langs.indexOf(description.lang) !== -1;
+  });
+
+  if (descriptions.length < 2) {
+    throw new Error('A battle needs at least two of the recorded languages: ' +
+      replay.battle.contenders.map(function(description) {
+        return description.lang;
+      }).join(', '));
+  }
+
+  return descriptions.map(function(description, i) {
+    return new battles.Contender(description.countryCode, description.lang, description.name,
+      'side-' + i, replay.createSource(description.lang), replay.contenderOptions());
+  });
+}
+
+/**
+ * Pad some text with spaces, to line up columns.
+ **/
+function pad(text, width) {
+  while (text.length < width) {
+    text += ' ';
+  }
+
+  return text;
+}
+
+/**
+ * Scoreboard
+ *
+ * Draws the contenders, from first to last, over the previous drawing.
+ *
+ * @param {object} stream - where to draw, e.g. process.stderr.
+ **/
+function Scoreboard(stream) {
+  this.stream = stream;
+  this.lines = 0;
+}
+
+/**
+ * Draw the scoreboard.
+ *
+ * @param {Battle} battle - the battle, with its ranking.
+ * @param {number} time - how long the battle has been going on, in
+ *   miliseconds.
+ **/
+Scoreboard.prototype.draw = function(battle, time) {
+  var title = 'Wiki Battle! ' + Math.floor(time / 1000) + 's, ' + battle.metric +
+    ' scored by ' + battle.scoringName;
+  var lines = [title];
+
+  battle.ranking.forEach(function(contender, i) {
+    var count = contender.windowCounts[contender.windowCounts.length - 1];
+    var state = contender.connectionState;
+    lines.push((i === 0 ? '> ' : '  ') +
+      pad(contender.lang, 8) +
+      pad(contender.name, 16) +
+      pad('score ' + contender.totalScore.toFixed(2), 14) +
+      pad('count ' + (count === undefined ? '-' : count), 12) +
+      (state === battles.Contender.CONNECTION_STATES.LIVE ? '' : state));
+  });
+
+  // Move back up over the previous drawing, clearing each line.
+  var output = new Array(this.lines + 1).join('\x1b[1A\x1b[2K');
+  this.stream.write(output + lines.join('\n') + '\n');
+  this.lines = lines.length;
+};
+
+/**
+ * Run a battle until it's over, drawing the scoreboard as it goes.
+ *
+ * @param {object} options - the parsed command line arguments.
+ * @param {function} onEnd - called with the summary of the battle.
+ **/
+function run(options, onEnd) {
+  var replay = null;
+  var recording = null;
+  var contenders;
+
+  if (options.replay) {
+    recording = parseRecording(fs.readFileSync(options.replay, 'utf8'));
+    replay = new BattleReplay(recording, { speed: options.speed });
+    contenders = createReplayContenders(replay, options);
+  } else {
+    contenders = createLiveContenders(options);
+  }
+
+  var clock = replay ? replay.clock : clocks.REAL_CLOCK;
+  var startTime = clock.now();
+  var duration = (options.duration || (replay ? Infinity : DEFAULT_DURATION)) * 1000;
+  var timeline = [];
+  var winnerChanges = [];
+  var ended = false;
+
+  // The languages whose stream connected at some point, and the ones we
+  // already said we couldn't reach.
+  var reached = {};
+  var warned = {};
+
+  var settings = recording ? recording.battle : {};
+  var battle = new battles.Battle(contenders, {
+    onNewCount: function(count, side, measure) {
+      var contender = contenders[+side.split('-')[1]];
+      timeline.push({
+        t: clock.now() - startTime,
+        lang: contender.lang,
+        count: measure[contender.metric],
+        measure: measure,
+        totalScore: contender.totalScore,
+      });
+    },
+
+    onChangeWinner: function(winner) {
+      winnerChanges.push({
+        t: clock.now() - startTime,
+        lang: winner.lang,
+      });
+    },
+
+    onConnectionChange: function(state, side) {
+      var contender = contenders[+side.split('-')[1]];
+      if (state === battles.Contender.CONNECTION_STATES.LIVE) {
+        reached[contender.lang] = true;
+      } else if (state === battles.Contender.CONNECTION_STATES.RECONNECTING &&
+          !reached[contender.lang] && !warned[contender.lang]) {
+        warned[contender.lang] = true;
+
+        // The scoreboard already shows the state of every stream.
+        if (!scoreboard) {
+          process.stderr.write('Can\'t reach the stream of ' + contender.name + ' (' +
+            contender.lang + '), still trying\n');
+        }
+      }
+    },
+  }, {
+    scoring: options.scoring || settings.scoring,
+    filters: options.filters || settings.filters,
+    metric: options.metric || settings.metric,
+  });
+
+  var scoreboard = (options.quiet || !process.stderr.isTTY) ? null :
+    new Scoreboard(process.stderr);
+
+  var scoreboardIntervalId = scoreboard && setInterval(function() {
+    scoreboard.draw(battle, clock.now() - startTime);
+  }, SCOREBOARD_INTERVAL);
+
+  function end() {
+    if (ended) {
+      return;
+    }
+
+    ended = true;
+    if (replay) {
+      replay.stop();
+    }
+
+    battle.dispose();
+    clearInterval(scoreboardIntervalId);
+    if (scoreboard) {
+      scoreboard.draw(battle, clock.now() - startTime);
+    }
+
+    var descriptions = contenders.map(function(contender) {
+      return {
+        lang: contender.lang,
+        name: contender.name,
+      };
+    });
+
+    var ranking = battle.ranking.map(function(contender) {
+      return contender.lang;
+    });
+
+    onEnd({
+      contenders: descriptions,
+      settings: {
+        scoring: battle.scoringName,
+        filters: battle.filterNames,
+        metric: battle.metric,
+      },
+      duration: clock.now() - startTime,
+      timeline: timeline,
+      winnerChanges: winnerChanges,
+      ranking: ranking,
+      winner: battle.winner ? battle.winner.lang : null,
+      unreachable: contenders.filter(function(contender) {
+        return !reached[contender.lang];
+      }).map(function(contender) {
+        return contender.lang;
+      }),
+    });
+  }
+
+  battle.start();
+  process.on('SIGINT', end);
+
+  if (duration !== Infinity) {
+    clock.setTimeout(end, duration);
+  }
+
+  if (replay) {
+    replay.play(end);
+  }
+}
+
+if (require.main === module) {
+  try {
+    run(parseArguments(process.argv.slice(2)), function(summary) {
+      process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+      process.exit(0);
+    });
+  } catch (e) {
+    process.stderr.write(e.message + '\n');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  run: run,
+};
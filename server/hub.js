@@ -0,0 +1,451 @@
+/*****************************************************************************
+ * server/hub.js                                                             *
+ *                                                                           *
+ * The hub keeps one Contender (see src/js/battle.js) per language and       *
+ * settings, for every client that watches them, so that everyone watching   *
+ * the same battle sees the same scores, and the same winner:                *
+ *                                                                           *
+ *     var hub = new Hub(data.langs, { WebSocket: require('ws') });          *
+ *     var unsubscribe = hub.subscribe({                                     *
+ *       langs: ['de', 'fr'],                                                *
+ *       scoring: 'zscore',                                                  *
+ *       filters: [],                                                        *
+ *       metric: 'edits',                                                    *
+ *     }, function(message) { ... });                                        *
+ *                                                                           *
+ * Each language's stream is only opened once, by a Feed, however many       *
+ * contenders (one per settings) listen to it.  A contender keeps learning   *
+ * for a while after its last client leaves, so that a battle watched again  *
+ * later doesn't start from scratch.                                         *
+ *                                                                           *
+ * Clients are sent every count, connection change and edit of the           *
+ * contenders they watch, as messages (see the README).                      *
+ *****************************************************************************/
+
+'use strict';
+
+var Contender = require('../src/js/battle').Contender;
+var edits = require('../src/js/edits');
+var scoring = require('../src/js/scoring');
+var createStreamSource = require('../src/js/sources').createStreamSource;
+
+/**
+ * Global Constants
+ **/
+
+// How long a contender keeps learning once nobody watches it, in miliseconds.
+var IDLE_TIMEOUT = 60 * 60 * 1000;
+
+// A contender gives up after too many failed reconnections in a row (see
+// battle.js).  A server can't just be reloaded, so we start it over after
+// this long, in miliseconds.
+var REVIVE_DELAY = 5 * 60 * 1000;
+
+// The most languages a client can watch at once.
+var MAX_LANGS = 8;
+
+/**
+ * Whether an object has a key of its own, rather than one every object
+ * inherits, e.g. 'constructor', which clients can ask for too.
+ **/
+function _has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Feed
+ *
+ * Shares the stream source of a language between contenders.  Each
+ * contender opens and closes its own Tap, which looks just like a stream
+ * source, and the feed opens the real source while any tap is open.
+ *
+ * @param {object} source - the stream source of the language (see
+ *   sources.js).
+ **/
+function Feed(source) {
+  this.source = source;
+  this.taps = [];
+
+  // One of 'closed', 'opening' or 'open'.
+  this.state = 'closed';
+}
+
+/**
+ * Open the real source, and pass everything it publishes on to every tap.
+ * Once the source is lost, every tap is told, and each contender reconnects
+ * its tap when it decides to, which opens the source again.
+ **/
+Feed.prototype.connect = function() {
+  this.state = 'opening';
+  this.source.open({
+    onOpen: function() {
+      this.state = 'open';
+      this.emit('onOpen');
+    }.bind(this),
+
+    onMessage: function(data) {
+      this.emit('onMessage', data);
+    }.bind(this),
+
+    onClose: function() {
+      this.state = 'closed';
+      this.source.close();
+      this.emit('onClose');
+    }.bind(this),
+  });
+};
+
+/**
+ * Call a handler of every open tap.
+ **/
+Feed.prototype.emit = function(name, value) {
+  this.taps.slice().forEach(function(tap) {
+    if (tap.handlers && tap.handlers[name]) {
+      tap.handlers[name](value);
+    }
+  });
+};
+
+/**
+ * Start passing messages on to a tap, opening the source if needed.
+ *
+ * @param {Tap} tap - the tap that was opened.
+ **/
+Feed.prototype.add = function(tap) {
+  this.taps.push(tap);
+  if (this.state === 'open') {
+    tap.handlers.onOpen();
+  } else if (this.state === 'closed') {
+    this.connect();
+  }
+};
+
+/**
+ * Stop passing messages on to a tap, closing the source if it was the last.
+ *
+ * @param {Tap} tap - the tap that was closed.
+ **/
+Feed.prototype.remove = function(tap) {
+  this.taps = this.taps.filter(function(other) {
+    return other !== tap;
+  });
+
+  if (!this.taps.length && this.state !== 'closed') {
+    this.state = 'closed';
+    this.source.close();
+  }
+};
+
+/**
+ * Tap
+ *
+ * A stream source (see sources.js) which publishes what a Feed publishes.
+ *
+ * @param {Feed} feed - the feed of the language.
+ **/
+function Tap(feed) {
+  this.feed = feed;
+  this.handlers = null;
+}
+
+/**
+ * Start publishing the messages of the feed.
+ *
+ * @param {object} handlers - `onOpen`, `onMessage` and `onClose` callbacks.
+ **/
+Tap.prototype.open = function(handlers) {
+  this.handlers = handlers;
+  this.feed.add(this);
+};
+
+/**
+ * Stop publishing the messages of the feed.
+ **/
+Tap.prototype.close = function() {
+  this.handlers = null;
+  this.feed.remove(this);
+};
+
+/**
+ * Hub
+ *
+ * @param {Array:object} languages - the languages from data.yml, with their
+ *   `lang`, `country_code`, `name`, `url` and `stream`.
+ * @param {object} options - `WebSocket`, the class of the web sockets to
+ *   open the streams with (see WebSocketSource in sources.js).
+ **/
+function Hub(languages, options) {
+  this.options = options || {};
+
+  // The languages, by language code.  These maps are keyed by what clients
+  // ask for, so they inherit nothing.
+  this.languages = Object.create(null);
+  languages.forEach(function(language) {
+    this.languages[language.lang] = language;
+  }, this);
+
+  // The feed of each language, by language code.
+  this.feeds = Object.create(null);
+
+  // The contenders, by key (see `key`), each with the clients watching it
+  // and the timeout which stops it once nobody does.
+  this.contenders = Object.create(null);
+}
+
+/**
+ * The key of a contender, for a language and some settings.
+ **/
+Hub.key = function(lang, settings) {
+  return [lang, settings.scoring, settings.metric, settings.filters.join(',')].join('|');
+};
+
+/**
+ * Check what a client asked to watch, and fill in the default settings.
+ *
+ * @param {object} request - the `langs` to watch, and the `scoring`,
+ *   `filters` and `metric` of the battle.
+ * @return {object} the request, with every setting.
+ **/
+Hub.prototype.validate = function(request) {
+  var langs = request.langs || [];
+  if (!langs.length || langs.length > MAX_LANGS) {
+    throw new Error('Watch between 1 and ' + MAX_LANGS + ' languages');
+  }
+
+  langs.forEach(function(lang) {
+    if (!_has(this.languages, lang)) {
+      throw new Error('Unknown language: ' + lang);
+    }
+  }, this);
+
+  var settings = {
+    langs: langs,
+    scoring: request.scoring || scoring.DEFAULT_SCORING_STRATEGY,
+    filters: (request.filters || []).slice().sort(),
+    metric: request.metric || edits.DEFAULT_EDIT_METRIC,
+  };
+
+  if (!_has(scoring.SCORING_STRATEGIES, settings.scoring)) {
+    throw new Error('Unknown scoring strategy: ' + settings.scoring);
+  }
+
+  settings.filters.forEach(function(name) {
+    if (!_has(edits.EDIT_FILTERS, name)) {
+      throw new Error('Unknown edit filter: ' + name);
+    }
+  });
+
+  if (!_has(edits.EDIT_METRICS, settings.metric)) {
+    throw new Error('Unknown metric: ' + settings.metric);
+  }
+
+  if (!scoring.canScoreMetric(settings.scoring, settings.metric)) {
+    throw new Error('The ' + settings.scoring + ' scoring strategy can\'t score ' +
+      settings.metric);
+  }
+
+  return settings;
+};
+
+/**
+ * Start sending a client the messages of the contenders of a battle.
+ *
+ * @param {object} request - what to watch (see `validate`).
+ * @param {function} send - called with every message for the client.
+ * @return {function} stops sending messages to the client.
+ **/
+Hub.prototype.subscribe = function(request, send) {
+  var settings = this.validate(request);
+
+  // A language on several sides is only sent once.
+  var keys = settings.langs.filter(function(lang, i) {
+    return settings.langs.indexOf(lang) === i;
+  }).map(function(lang) {
+    var entry = this.getContender(lang, settings);
+    clearTimeout(entry.idleTimeoutId);
+    entry.clients.push(send);
+
+    // Bring the client up to date with the connection.
+    send({
+      type: 'connection',
+      lang: lang,
+      state: entry.contender.connectionState,
+    });
+
+    return entry.key;
+  }, this);
+
+  return function() {
+    keys.forEach(function(key) {
+      this.unsubscribe(key, send);
+    }, this);
+  }.bind(this);
+};
+
+/**
+ * Stop sending a client the messages of a contender, and stop the contender
+ * after IDLE_TIMEOUT if nobody else watches it.
+ **/
+Hub.prototype.unsubscribe = function(key, send) {
+  var entry = this.contenders[key];
+  if (!entry) {
+    return;
+  }
+
+  entry.clients = entry.clients.filter(function(client) {
+    return client !== send;
+  });
+
+  if (!entry.clients.length) {
+    clearTimeout(entry.idleTimeoutId);
+    entry.idleTimeoutId = setTimeout(this.stopContender.bind(this, key), IDLE_TIMEOUT);
+  }
+};
+
+/**
+ * The feed of a language, created the first time it's needed.
+ **/
+Hub.prototype.getFeed = function(lang) {
+  if (!this.feeds[lang]) {
+    var language = this.languages[lang];
+    this.feeds[lang] = new Feed(createStreamSource({
+      type: language.stream,
+      url: language.url,
+      lang: lang,
+      WebSocket: this.options.WebSocket,
+    }));
+  }
+
+  return this.feeds[lang];
+};
+
+/**
+ * The contender of a language with some settings, started the first time
+ * it's needed.
+ **/
+Hub.prototype.getContender = function(lang, settings) {
+  var key = Hub.key(lang, settings);
+  if (this.contenders[key]) {
+    return this.contenders[key];
+  }
+
+  var language = this.languages[lang];
+
+  // The side of the contender is its key, so that its callbacks know which
+  // contender they are about.
+  var contender = new Contender(language.country_code, lang, language.name, key,
+    new Tap(this.getFeed(lang)), { metric: settings.metric });
+  contender.setFilters(settings.filters);
+  contender.setScoring(scoring.createScoringStrategy(settings.scoring, settings.metric));
+
+  var entry = this.contenders[key] = {
+    key: key,
+    contender: contender,
+    clients: [],
+    idleTimeoutId: null,
+    reviveTimeoutId: null,
+  };
+
+  contender.startListening({
+    onNewCount: this.onNewCount.bind(this),
+    onConnectionChange: this.onConnectionChange.bind(this),
+    onEdit: this.onEdit.bind(this),
+  });
+
+  return entry;
+};
+
+/**
+ * Stop a contender, once nobody has watched it for IDLE_TIMEOUT.
+ **/
+Hub.prototype.stopContender = function(key) {
+  var entry = this.contenders[key];
+  clearTimeout(entry.idleTimeoutId);
+  clearTimeout(entry.reviveTimeoutId);
+  entry.contender.stopListening();
+  delete this.contenders[key];
+};
+
+/**
+ * Send a message to every client watching a contender.
+ **/
+Hub.prototype.broadcast = function(key, message) {
+  this.contenders[key].clients.forEach(function(send) {
+    send(message);
+  });
+};
+
+Hub.prototype.onNewCount = function(count, key, measure) {
+  var contender = this.contenders[key].contender;
+  this.broadcast(key, {
+    type: 'count',
+    lang: contender.lang,
+    count: contender.windowCounts[contender.windowCounts.length - 1],
+    measure: measure,
+    expected: contender.expected,
+    totalScore: contender.totalScore,
+  });
+};
+
+Hub.prototype.onConnectionChange = function(state, key) {
+  var entry = this.contenders[key];
+
+  // Start a dead contender over after a while, keeping what it learned.
+  if (state === Contender.CONNECTION_STATES.DEAD) {
+    entry.reviveTimeoutId = setTimeout(function() {
+      entry.contender.stopListening();
+      entry.contender.startListening(entry.contender.callbacks);
+    }, REVIVE_DELAY);
+  }
+
+  this.broadcast(key, {
+    type: 'connection',
+    lang: entry.contender.lang,
+    state: state,
+  });
+};
+
+Hub.prototype.onEdit = function(edit, key) {
+  this.broadcast(key, {
+    type: 'edit',
+    lang: this.contenders[key].contender.lang,
+    edit: edit,
+  });
+};
+
+/**
+ * How many streams, contenders and clients the hub has, for monitoring.
+ **/
+Hub.prototype.status = function() {
+  var keys = Object.keys(this.contenders);
+  var feeds = Object.keys(this.feeds).filter(function(lang) {
+    return this.feeds[lang].state !== 'closed';
+  }, this);
+
+  return {
+    streams: feeds,
+    contenders: keys.map(function(key) {
+      var entry = this.contenders[key];
+      return {
+        key: key,
+        connectionState: entry.contender.connectionState,
+        counts: entry.contender.statistics.count,
+        totalScore: entry.contender.totalScore,
+        clients: entry.clients.length,
+      };
+    }, this),
+  };
+};
+
+/**
+ * Stop every contender, which closes every stream.
+ **/
+Hub.prototype.close = function() {
+  Object.keys(this.contenders).forEach(this.stopContender, this);
+};
+
+module.exports = {
+  Feed: Feed,
+  Tap: Tap,
+  Hub: Hub,
+};
@@ -0,0 +1,233 @@
+/*****************************************************************************
+ * server/index.js                                                           *
+ *                                                                           *
+ * An optional server, which listens to every language's stream once, and    *
+ * scores it for every browser watching it (see hub.js), so that everyone    *
+ * sees the same battle.  Browsers watch a battle on one endpoint, either as *
+ * a web socket, or as Server-Sent Events:                                   *
+ *                                                                           *
+ *     ws://localhost:8080/battle?langs=de,fr&scoring=ewma                   *
+ *     http://localhost:8080/battle?langs=de,fr&filters=humans,articles      *
+ *                                                                           *
+ * and http://localhost:8080/status tells what the server is listening to.   *
+ *                                                                           *
+ * Usage:                                                                    *
+ *                                                                           *
+ *     node server [--port 8080] [--stub [9999]]                             *
+ *                                                                           *
+ * With --stub, the streams are made up by a stub server (see stub.js)       *
+ * instead of coming from wikimon.                                           *
+ *****************************************************************************/
+
+'use strict';
+
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var querystring = require('querystring');
+var yaml = require('js-yaml');
+var WebSocket = require('ws');
+
+var Hub = require('./hub').Hub;
+var createStubServer = require('./stub').createStubServer;
+
+/**
+ * Global Constants
+ **/
+
+var DEFAULT_PORT = 8080;
+var DEFAULT_STUB_PORT = 9999;
+
+// The languages and their streams.
+var DATA_FILE = path.join(__dirname, '..', 'data.yml');
+
+// The path browsers watch battles on.
+var BATTLE_PATH = '/battle';
+
+/**
+ * Parse the command line arguments.
+ **/
+function parseArguments(args) {
+  var options = {
+    port: DEFAULT_PORT,
+    stubPort: null,
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = parseInt(args[++i], 10);
+    } else if (args[i] === '--stub') {
+      options.stubPort = /^\d+$/.test(args[i + 1]) ? parseInt(args[++i], 10) : DEFAULT_STUB_PORT;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Whether a browser requested a URL to watch a battle on.
+ **/
+function isBattleRequest(url) {
+  return url.split('?')[0] === BATTLE_PATH;
+}
+
+/**
+ * Parse what a browser asked to watch from the URL it requested.
+ *
+ * @param {string} url - the URL, e.g. '/battle?langs=de,fr&scoring=ewma'.
+ * @return {object} the request for the hub (see Hub.prototype.validate).
+ * @throws {Error} if a parameter is given more than once.
+ **/
+function parseRequest(url) {
+  var query = querystring.parse(url.split('?')[1] || '');
+  Object.keys(query).forEach(function(name) {
+    if (Array.isArray(query[name])) {
+      throw new Error('Repeated parameter: ' + name);
+    }
+  });
+
+  return {
+    langs: query.langs ? query.langs.split(',') : [],
+    scoring: query.scoring || null,
+    filters: query.filters ? query.filters.split(',') : [],
+    metric: query.metric || null,
+  };
+}
+
+/**
+ * Check what a browser asked to watch, before watching it.
+ *
+ * @return {string} what's wrong with the request, or null if nothing is.
+ **/
+function checkRequest(hub, url) {
+  try {
+    hub.validate(parseRequest(url));
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Send a battle to a browser as Server-Sent Events, one per message.
+ **/
+function serveEvents(hub, request, response) {
+  var error = checkRequest(hub, request.url);
+  if (error) {
+    response.writeHead(400, { 'Content-Type': 'text/plain' });
+    response.end(error + '\n');
+    return;
+  }
+
+  // The headers go first, since the hub sends the first messages right away.
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+  });
+
+  var unsubscribe;
+  try {
+    unsubscribe = hub.subscribe(parseRequest(request.url), function(message) {
+      response.write('data: ' + JSON.stringify(message) + '\n\n');
+    });
+  } catch (e) {
+    // It's too late for a 400, so we hang up.
+    response.end();
+    return;
+  }
+
+  request.on('close', unsubscribe);
+}
+
+/**
+ * Send a battle to a browser on a web socket, one JSON message per frame.
+ * Bad requests were already turned away with a 400 (see createServer).
+ **/
+function serveSocket(hub, socket, request) {
+  var unsubscribe;
+  try {
+    unsubscribe = hub.subscribe(parseRequest(request.url), function(message) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    });
+  } catch (e) {
+    // 1008 means the request broke our policy.
+    socket.close(1008, e.message);
+    return;
+  }
+
+  socket.on('close', unsubscribe);
+}
+
+/**
+ * Start the server.
+ *
+ * @param {object} options - the `port` to listen on, and the `stubPort` of
+ *   a stub stream server to start and listen to, if any.
+ * @return {object} the HTTP `server`, the `hub`, and the `stub` server, if
+ *   any, to close them.
+ **/
+function createServer(options) {
+  var languages = yaml.safeLoad(fs.readFileSync(DATA_FILE, 'utf8')).langs;
+  var stub = null;
+
+  if (options.stubPort) {
+    stub = createStubServer({ port: options.stubPort });
+    languages = languages.map(function(language) {
+      return {
+        lang: language.lang,
+        country_code: language.country_code,
+        name: language.name,
+        url: 'ws://localhost:' + options.stubPort + '/' + language.lang,
+      };
+    });
+  }
+
+  var hub = new Hub(languages, { WebSocket: WebSocket });
+
+  var server = http.createServer(function(request, response) {
+    if (request.url === '/status') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(hub.status(), null, 2) + '\n');
+    } else if (isBattleRequest(request.url)) {
+      serveEvents(hub, request, response);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found\n');
+    }
+  });
+
+  // Bad requests are answered with a 400, rather than upgraded.
+  var sockets = new WebSocket.Server({
+    server: server,
+    path: BATTLE_PATH,
+    verifyClient: function(info, done) {
+      var error = checkRequest(hub, info.req.url);
+      done(!error, 400, error);
+    },
+  });
+
+  sockets.on('connection', function(socket, request) {
+    serveSocket(hub, socket, request || socket.upgradeReq);
+  });
+
+  server.listen(options.port);
+  return {
+    server: server,
+    hub: hub,
+    stub: stub,
+  };
+}
+
+if (require.main === module) {
+  var options = parseArguments(process.argv.slice(2));
+  createServer(options);
+  process.stdout.write('Watch battles on ws://localhost:' + options.port + BATTLE_PATH +
+    '?langs=de,fr\n');
+}
+
+module.exports = {
+  createServer: createServer,
+};
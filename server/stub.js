@@ -0,0 +1,143 @@
+/*****************************************************************************
+ * server/stub.js                                                            *
+ *                                                                           *
+ * A stand-in for the wikimon web sockets, to run the server (or the site)   *
+ * without the internet.  Every language gets its own path, e.g.             *
+ * ws://localhost:9999/de, on which made up edits arrive at random, at a     *
+ * rate of its own, with a burst of activity every now and then so that the  *
+ * winner changes.                                                           *
+ *                                                                           *
+ * Usage:                                                                    *
+ *                                                                           *
+ *     node server/stub.js [--port 9999]                                     *
+ *****************************************************************************/
+
+'use strict';
+
+var WebSocket = require('ws');
+
+/**
+ * Global Constants
+ **/
+
+var DEFAULT_PORT = 9999;
+
+// Every language edits at somewhere between these many edits per second.
+var MIN_RATE = 1;
+var MAX_RATE = 10;
+
+// Now and then, a language edits this many times faster, for a while.
+var BURST_FACTOR = 4;
+var BURST_PROBABILITY = 0.01;
+var BURST_DURATION = 10 * 1000;
+
+/**
+ * Parse the command line arguments.
+ **/
+function parseArguments(args) {
+  var options = {
+    port: DEFAULT_PORT,
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = parseInt(args[++i], 10);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * The usual rate of a language, in edits per second, always the same for
+ * the same language.
+ **/
+function rateOf(lang) {
+  var hash = 0;
+  for (var i = 0; i < lang.length; i++) {
+    hash = (hash * 31 + lang.charCodeAt(i)) % 1000;
+  }
+
+  return MIN_RATE + (MAX_RATE - MIN_RATE) * hash / 1000;
+}
+
+/**
+ * A made up edit, as wikimon would publish it.
+ **/
+function createEdit(lang, id) {
+  var isAnon = Math.random() < 0.2;
+  return {
+    page_title: 'Stub page ' + Math.floor(Math.random() * 1000),
+    ns: Math.random() < 0.7 ? 'Main' : 'Talk',
+    user: isAnon ? '127.0.0.' + Math.floor(Math.random() * 255) : 'Stub user ' + id % 50,
+    url: 'https://' + lang + '.wikipedia.org/w/index.php?diff=' + id,
+    is_bot: Math.random() < 0.1,
+    is_anon: isAnon,
+    is_new: Math.random() < 0.05,
+    is_minor: Math.random() < 0.3,
+    change_size: Math.round((Math.random() - 0.3) * 500),
+  };
+}
+
+/**
+ * Publish made up edits of a language on a web socket, until it closes.
+ **/
+function publish(socket, lang) {
+  var rate = rateOf(lang);
+  var burstUntil = 0;
+  var id = 0;
+  var timeoutId = null;
+
+  function next() {
+    var now = Date.now();
+    if (now > burstUntil && Math.random() < BURST_PROBABILITY) {
+      burstUntil = now + BURST_DURATION;
+    }
+
+    // Edits arrive at random, a Poisson process, so the waits between them
+    // are exponential.
+    var currentRate = (now < burstUntil) ? rate * BURST_FACTOR : rate;
+    var delay = -Math.log(1 - Math.random()) / currentRate * 1000;
+
+    timeoutId = setTimeout(function() {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(createEdit(lang, id++)));
+      }
+
+      next();
+    }, delay);
+  }
+
+  socket.on('close', function() {
+    clearTimeout(timeoutId);
+  });
+
+  next();
+}
+
+/**
+ * Start the stub stream server.
+ *
+ * @param {object} options - the `port` to listen on.
+ * @return {object} the web socket server, to `close` it.
+ **/
+function createStubServer(options) {
+  var server = new WebSocket.Server({ port: options.port });
+  server.on('connection', function(socket, request) {
+    request = request || socket.upgradeReq;
+    var lang = request.url.replace(/^\//, '').split('?')[0] || 'en';
+    publish(socket, lang);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  var options = parseArguments(process.argv.slice(2));
+  createStubServer(options);
+  process.stdout.write('Stub streams on ws://localhost:' + options.port + '/<lang>\n');
+}
+
+module.exports = {
+  createStubServer: createStubServer,
+};
@@ -2,14 +2,36 @@
  * app.js                                                                    *
  *                                                                           *
  * This controls all user interaction and clicks, and manages all visual     *
- * application state. When two languages have been selected, a new battle is *
- * started (using the new Battle() class from battle.js), and when the       *
- * battle has updates, this file defines callbacks to reflect those changes  *
- * in the UI.                                                                *
+ * application state. When every side has a language selected, a new         *
+ * battle is started (using the new Battle() class from battle.js), and when *
+ * the battle has updates, this file defines callbacks to reflect those      *
+ * changes in the UI.                                                        *
+ *                                                                           *
+ * There are always a left and a right side, and up to MAX_CONTENDERS sides  *
+ * in total can be added for a free-for-all.                                 *
  *****************************************************************************/
 
 document.addEventListener('DOMContentLoaded', function() {
 
+  /**
+   * Global Constants
+   **/
+
+  // The most languages that can battle at once.  Beyond this, each side gets
+  // too narrow to show its flags.
+  var MAX_CONTENDERS = 8;
+
+  // How many counts (seconds) a side learns before we save them to its
+  // baseline, so that little is lost if the page is closed abruptly.
+  var BASELINE_SAVE_INTERVAL = 60;
+
+  // How long we wait between two announcements to screen readers, in
+  // miliseconds, so that a close battle doesn't talk over itself.
+  var MIN_ANNOUNCEMENT_INTERVAL = 5000;
+
+  // How long the toast of an alert stays up, in miliseconds, unless closed.
+  var TOAST_DURATION = 10000;
+
   /**
    * Global state
    **/
@@ -20,9 +42,94 @@ document.addEventListener('DOMContentLoaded', function() {
   // Holds a string like 'left', or 'right', indicating which side is winning.
   var winningSide = null;
 
-  // Holds two instances of the Contender class.  If both contenders.left and
-  // contenders.right are not null, then we have two contenders and we should
-  // start the battle.
+  // Whether the user paused the battle.  It's also paused, without the user
+  // asking, while a side changes language (see deselectLanguage).
+  var pausedByUser = false;
+
+  // When we last told screen readers something, and the announcement waiting
+  // for its turn, if any.
+  var lastAnnouncementTime = 0;
+  var announcementTimeoutId = null;
+
+  // The name of the scoring strategy used to pick the winner (see scoring.js).
+  var scoringName = DEFAULT_SCORING_STRATEGY;
+
+  // The names of the filters an edit must pass to be counted (see edits.js).
+  var filterNames = [];
+
+  // The name of the metric every second of edits is measured with (see
+  // edits.js).
+  var metric = DEFAULT_EDIT_METRIC;
+
+  // The format of the match, or endless for a battle that goes on forever
+  // (see match.js), the match being played, if any, and the results of the
+  // matches played before.
+  var matchFormat = DEFAULT_MATCH_FORMAT;
+  var match = null;
+  var matchHistory = new MatchHistory(getLocalStorage());
+
+  // The languages that can battle (see catalog.js), once they are loaded,
+  // the streams the user added, and what went wrong loading the catalog, if
+  // anything.
+  var catalog = null;
+  var customCatalog = new CustomCatalog(getLocalStorage());
+  var catalogError = null;
+
+  // The tournament being played, or the one we left, if any (see
+  // tournament.js), and the runner playing its matches.
+  var tournament = Tournament.load(getLocalStorage());
+  var tournamentRunner = null;
+
+  // The watch of every language, while it watches (see watch.js), its
+  // settings, and the alerts it raised.
+  var watch = null;
+  var watchSettings = Watch.loadSettings(getLocalStorage());
+  var alertLog = new AlertLog(getLocalStorage());
+
+  // The points, bets and streaks of the user, who can call the winner of a
+  // match (see predictions.js).
+  var profile = new PredictionProfile(getLocalStorage());
+
+  // Plays the edits and the changes of winner, if the user turned the sound
+  // on (see sound.js).
+  var sonifier = new Sonifier({
+    storage: getLocalStorage(),
+    vibrate: getVibrate(),
+  });
+
+  // The sides of the arena, in order.  Sides added for a free-for-all are
+  // named 'extra-1', 'extra-2', etc.
+  var sides = ['left', 'right'];
+
+  // Used to name sides added for a free-for-all.
+  var extraSideCount = 0;
+
+  // The route of the battle in the URL (see router.js), as we last set it or
+  // applied it.
+  var currentRoute = null;
+
+  // Whether to record the messages of every live battle, the recorder of the
+  // latest one, and the replay of a recording, while one plays.
+  var recording = false;
+  var recorder = null;
+  var replay = null;
+
+  // The baselines learned by earlier battles (see baselines.js), and the
+  // counts each side learned since we last saved them, with the key of the
+  // baseline they belong to, by side.
+  var baselineStore = new BaselineStore(getLocalStorage());
+  var pendingBaselines = {};
+
+  // The URL of the latest recording downloaded, released before the next.
+  var recordingUrl = null;
+
+  // The numbers behind the latest battle, to export (see export.js), and the
+  // URL of the latest export downloaded, released before the next.
+  var battleLog = null;
+  var exportUrl = null;
+
+  // Holds one instance of the Contender class per side.  If no side is null,
+  // then every side has a contender and we should start the battle.
   var contenders = {
     left: null,
     right: null,
@@ -32,30 +139,170 @@ document.addEventListener('DOMContentLoaded', function() {
    * Elements
    **/
 
-  // All of the flags that can be clicked to select a country
-  var selectButtons = document.getElementsByClassName('select-country');
+  // The container of all of the sides of the battle.
+  var contendersElement = document.querySelectorAll('.contenders')[0];
 
-  // The "X" buttons that can be clicked to deselect a country
-  var deselectButtons = document.getElementsByClassName('deselect-country');
+  // The web socket URL of the battle server (see server/index.js), if any.
+  var serverUrl = contendersElement.dataset.server;
 
-  // The left and right sides of the battle
-  var contenderElements = {
-    left: document.querySelectorAll('.contender.left')[0],
-    right: document.querySelectorAll('.contender.right')[0],
-  };
+  // The template of a side added for a free-for-all.
+  var contenderTemplate = document.getElementById('contender-template');
 
-  // The left and right modal which covers the list of flags when one language
-  // is selected.
-  var coverElements = {
-    left: document.querySelectorAll('.contender.left .cover')[0],
-    right: document.querySelectorAll('.contender.right .cover')[0],
-  };
+  // The URL of the catalog of languages (see catalog.js).
+  var catalogUrl = contendersElement.dataset.catalog;
+
+  // The button that shows the streams the user added, the list of them, the
+  // form to add one, and the element in which we tell what's wrong with it.
+  var toggleCustomLangsButton = document.querySelectorAll('.toggle-custom-langs')[0];
+  var customLangsElement = document.querySelectorAll('.custom-langs')[0];
+  var customLangsListElement = document.querySelectorAll('.custom-langs-list')[0];
+  var customLangForm = document.querySelectorAll('.custom-lang-form')[0];
+  var customLangStatusElement = document.querySelectorAll('.custom-lang-status')[0];
+
+  // The dropdown to pick the scoring strategy.
+  var scoringSelect = document.querySelectorAll('.scoring-mode')[0];
+
+  // The dropdown to pick the metric, and the element in the header in which we
+  // say what the metric measures.
+  var metricSelect = document.querySelectorAll('.metric-mode')[0];
+  var metricUnitElement = document.querySelectorAll('.metric-unit')[0];
+
+  // The dropdown to pick the format of the match, and the element in which we
+  // count down its rounds.
+  var matchSelect = document.querySelectorAll('.match-mode')[0];
+  var matchCountdownElement = document.querySelectorAll('.match-countdown')[0];
+  var togglePauseButton = document.querySelectorAll('.toggle-pause')[0];
 
-  // The left and right elements in which the counts of edits per second should
-  // be rendered.
-  var countContainerElements = {
-    left: document.querySelectorAll('.contender.left .counts')[0],
-    right: document.querySelectorAll('.contender.right .counts')[0],
+  // The results of the latest match, with the buttons to play it again or
+  // close them, and the history of every match, with the buttons to show it
+  // and clear it.
+  var matchResultsElement = document.querySelectorAll('.match-results')[0];
+  var matchResultsContentElement = document.querySelectorAll('.match-results-content')[0];
+  var rematchButton = document.querySelectorAll('.rematch')[0];
+  var closeMatchResultsButton = document.querySelectorAll('.close-match-results')[0];
+  var matchHistoryElement = document.querySelectorAll('.match-history')[0];
+  var matchHistoryListElement = document.querySelectorAll('.match-history-list')[0];
+  var toggleMatchHistoryButton = document.querySelectorAll('.toggle-match-history')[0];
+  var clearMatchHistoryButton = document.querySelectorAll('.clear-match-history')[0];
+
+  // The tournament, with the button that shows it, the form to set one up,
+  // in which we tell what's wrong with it, and the bracket of the one being
+  // played, with the buttons to abandon it or close it.
+  var tournamentElement = document.querySelectorAll('.tournament')[0];
+  var toggleTournamentButton = document.querySelectorAll('.toggle-tournament')[0];
+  var tournamentSetupElement = document.querySelectorAll('.tournament-setup')[0];
+  var tournamentLangsElement = document.querySelectorAll('.tournament-langs')[0];
+  var selectAllTournamentLangsButton =
+    document.querySelectorAll('.select-all-tournament-langs')[0];
+  var selectNoTournamentLangsButton =
+    document.querySelectorAll('.select-no-tournament-langs')[0];
+  var tournamentFormatSelect = document.querySelectorAll('.tournament-format')[0];
+  var tournamentEliminationSelect = document.querySelectorAll('.tournament-elimination')[0];
+  var tournamentParallelInput = document.querySelectorAll('.tournament-parallel')[0];
+  var startTournamentButton = document.querySelectorAll('.start-tournament')[0];
+  var tournamentSetupStatusElement = document.querySelectorAll('.tournament-setup-status')[0];
+  var tournamentPlayElement = document.querySelectorAll('.tournament-play')[0];
+  var tournamentStatusElement = document.querySelectorAll('.tournament-status')[0];
+  var tournamentBracketElement = document.querySelectorAll('.tournament-bracket')[0];
+  var abandonTournamentButton = document.querySelectorAll('.abandon-tournament')[0];
+  var closeTournamentButtons = document.querySelectorAll('.close-tournament');
+
+  // The watch, with the button that shows it, its settings, the button to
+  // start or stop watching, the log of alerts, and the toasts of new ones.
+  var watchElement = document.querySelectorAll('.watch')[0];
+  var toggleWatchButton = document.querySelectorAll('.toggle-watch')[0];
+  var watchThresholdInput = document.querySelectorAll('.watch-threshold')[0];
+  var watchSustainInput = document.querySelectorAll('.watch-sustain')[0];
+  var watchNotifyInput = document.querySelectorAll('.watch-notify')[0];
+  var toggleWatchingButton = document.querySelectorAll('.toggle-watching')[0];
+  var alertLogElement = document.querySelectorAll('.alert-log')[0];
+  var clearAlertsButton = document.querySelectorAll('.clear-alerts')[0];
+  var toastsElement = document.querySelectorAll('.toasts')[0];
+
+  // The points and stats of the user, the controls to call the winner of the
+  // match being played, the element in which we tell how the call went, and
+  // the button to start over.
+  var predictionProfileElement = document.querySelectorAll('.prediction-profile')[0];
+  var predictionElement = document.querySelectorAll('.prediction')[0];
+  var predictionPickSelect = document.querySelectorAll('.prediction-pick')[0];
+  var predictionStakeInput = document.querySelectorAll('.prediction-stake')[0];
+  var placeBetButton = document.querySelectorAll('.place-bet')[0];
+  var predictionStatusElement = document.querySelectorAll('.prediction-status')[0];
+  var resetProfileButton = document.querySelectorAll('.reset-profile')[0];
+
+  // The button that shows the filters menu, in which we also show the filters
+  // of the battle, and the menu itself.
+  var toggleFiltersButton = document.querySelectorAll('.toggle-filters')[0];
+  var activeFiltersElement = document.querySelectorAll('.active-filters')[0];
+  var filtersMenuElement = document.querySelectorAll('.filters-menu')[0];
+
+  // The button that adds a side for a free-for-all.
+  var addContenderButton = document.querySelectorAll('.add-contender')[0];
+
+  // The controls to record battles, download a recording, and replay one, at
+  // some speed, and the element in which we tell how far the replay is.
+  var toggleRecordingButton = document.querySelectorAll('.toggle-recording')[0];
+  var downloadRecordingButton = document.querySelectorAll('.download-recording')[0];
+  var loadRecordingInput = document.querySelectorAll('.load-recording')[0];
+  var replaySpeedSelect = document.querySelectorAll('.replay-speed')[0];
+  var replayStatusElement = document.querySelectorAll('.replay-status')[0];
+
+  // The button that shows the export menu, the menu, and its links, one per
+  // format.
+  var toggleExportButton = document.querySelectorAll('.toggle-export')[0];
+  var exportMenuElement = document.querySelectorAll('.export-menu')[0];
+  var exportButtons = document.querySelectorAll('.export-battle');
+
+  // The button that turns the sound on or off, and its volume.
+  var toggleSoundButton = document.querySelectorAll('.toggle-sound')[0];
+  var soundVolumeInput = document.querySelectorAll('.sound-volume')[0];
+
+  // The button that forgets every baseline.
+  var forgetBaselinesButton = document.querySelectorAll('.forget-baselines')[0];
+
+  // The element in which we tell how many connections to stream sources are
+  // open, to spot one left open.
+  var openConnectionsElement = document.querySelectorAll('.open-connections')[0];
+
+  // The leaderboard, which ranks the contenders of a free-for-all.
+  var leaderboardElement = document.querySelectorAll('.leaderboard')[0];
+
+  // The live region in which we tell screen readers what happens.
+  var announcerElement = document.querySelectorAll('.announcer')[0];
+
+  // The sides of the battle.
+  var contenderElements = {};
+
+  // The modal which covers the list of flags on each side when a language is
+  // selected.
+  var coverElements = {};
+
+  // The search box above the list of flags on each side.
+  var countrySearchInputs = {};
+
+  // The elements in which the counts of edits per second should be rendered.
+  var countContainerElements = {};
+
+  // The elements in which we tell the user that a contender lost its
+  // connection.
+  var connectionStatusElements = {};
+
+  // The elements in which we say how much data a side's baseline has.
+  var baselineStatusElements = {};
+
+  // The live chart of each side (see chart.js).
+  var charts = {};
+
+  // The ticker of the latest edits of each side (see ticker.js).
+  var tickers = {};
+
+  // What we tell the user for each connection state.  Live contenders don't
+  // need a message.
+  var connectionStatusMessages = {
+    connecting: 'Connecting...',
+    live: '',
+    reconnecting: 'Reconnecting...',
+    dead: 'Connection lost',
   };
 
   /**
@@ -69,127 +316,2692 @@ document.addEventListener('DOMContentLoaded', function() {
    **/
   function onChangeWinner(winner) {
     // Hide the "winning" panel on the losing side.
-    if (winningSide) {
+    if (winningSide && contenderElements[winningSide]) {
       contenderElements[winningSide].classList.remove('winning');
     }
 
-    // Show the "winning" panel on the winning side.
+    // Show the "winning" panel on the winning side, and which scoring strategy
+    // made it the winner.
     contenderElements[winner.side].classList.add('winning');
+    contenderElements[winner.side].querySelectorAll('.winning-scoring')[0].innerHTML =
+      'by ' + winner.scoring.label;
+
+    // Tell screen readers too, since they can't see the banner.
+    if (winningSide !== winner.side) {
+      announce(winner.name + ' takes the lead');
+      sonifier.playFanfare(sides.indexOf(winner.side));
+    }
 
     // Store the winning side in global state.
     winningSide = winner.side;
+
+    // Mark the moment on every chart, and in the log.
+    Object.keys(charts).forEach(function(side) {
+      charts[side].markWinnerChange(side === winner.side);
+    });
+
+    if (battleLog) {
+      battleLog.addWinnerChange(winner);
+    }
+
+    if (match) {
+      match.onChangeWinner(winner.side);
+    }
+  }
+
+  /**
+   * When the contenders change places, redraw the leaderboard in their new
+   * order.
+   *
+   * @param {Array:Contender} ranking - the contenders, from first to last.
+   **/
+  function onRankChange(ranking) {
+    renderLeaderboard(ranking);
   }
 
   /**
    * When we have a new count of the number of edits per second for a
-   * particular side, reflect that in the UI.
+   * particular side, reflect that in the UI, along with the bytes changed in
+   * that second.
    *
    * @param {Number} count - the number of edits per second.
-   * @param {String} side - either 'left' or 'right'.
+   * @param {String} side - the side of the contender, e.g. 'left'.
+   * @param {Object} measure - the edits, bytes changed and net bytes added in
+   *   that second.
    */
-  function onNewCount(count, side) {
-    countContainerElements[side].innerHTML = 'Edits per second: ' + count;
+  function onNewCount(count, side, measure) {
+    countContainerElements[side].innerHTML = 'Edits per second: ' + count +
+      '<br>Bytes per second: ' + measure.bytes;
+
+    // Chart the count the contender scored, against what it expected, and its
+    // total score.
+    var contender = contenders[side];
+    charts[side].push({
+      count: contender.windowCounts[contender.windowCounts.length - 1],
+      mean: contender.expected.mean,
+      standardDeviation: contender.expected.standardDeviation,
+      totalScore: contender.totalScore,
+    });
+
+    if (battleLog) {
+      battleLog.addCount(contender);
+    }
+
+    // Keep the scores on the leaderboard live.
+    renderLeaderboard(battle.ranking);
+
+    if (match) {
+      match.onNewCount(count, side);
+    }
+
+    if (replay) {
+      replayStatusElement.innerHTML = 'Replaying ' + formatDuration(replay.now()) +
+        ' / ' + formatDuration(replay.duration);
+    } else {
+      renderRecording();
+      learnBaseline(side);
+    }
   }
 
   /**
-   * Handlers: reacting to user interaction
+   * When a contender counts an edit, show it at the top of its ticker.
+   *
+   * @param {Object} edit - the edit (see edits.js).
+   * @param {String} side - the side of the contender, e.g. 'left'.
    */
+  function onEdit(edit, side) {
+    tickers[side].add(edit);
+    sonifier.playEdit(edit, sides.indexOf(side));
+  }
 
   /**
-   * When a flag is clicked, we should display the modal over the list of flags
-   * and store the selected Contender in state.  If both the left and right
-   * side have been selected, we should start the battle.
+   * When a contender's source publishes a message, record it if we are
+   * recording a live battle.
    *
-   * @param {Object} e - the HTML5 click event.
+   * @param {String} data - the raw message.
+   * @param {String} side - the side of the contender, e.g. 'left'.
    */
-  function onSelectLanguage(e) {
-    // Don't follow the link or change the URL
-    e.preventDefault();
+  function onMessage(data, side) {
+    if (recording && recorder && !replay) {
+      recorder.record(contenders[side].lang, data);
+    }
+  }
 
-    // We'll be using the side ('left' or 'right') alot, so we pull it out into
-    // a convenient variable.
-    var side = this.dataset.side;
+  /**
+   * When a contender's connection to its stream source changes, show whether
+   * it is connecting, reconnecting or dead on its side.
+   *
+   * @param {String} state - the new connection state.
+   * @param {String} side - the side of the contender, e.g. 'left'.
+   */
+  function onConnectionChange(state, side) {
+    var classList = contenderElements[side].classList;
+    classList.toggle('reconnecting', state === Contender.CONNECTION_STATES.RECONNECTING);
+    classList.toggle('dead', state === Contender.CONNECTION_STATES.DEAD);
+    connectionStatusElements[side].innerHTML = connectionStatusMessages[state];
+    renderOpenConnections();
+  }
 
-    // Mark this flag as selected, which animates the language name.
-    this.className += ' selected';
+  /**
+   * Rendering
+   **/
 
-    // Instantiate the new contender object, pulling data from our HTML about
-    // the selected language.  We have the country code (of the flag), the
-    // language code, the language name, the side we are in ("left" or
-    // "right"), and the web socket URL which publishes Wikipedia edits for
-    // this language.
-    var contender = new Contender(
-      this.dataset.countryCode,
-      this.dataset.lang,
-      this.dataset.name,
-      this.dataset.side,
-      this.dataset.wsUrl
-    );
+  /**
+   * Tell screen readers something, in the live region.  Announcements are
+   * at least MIN_ANNOUNCEMENT_INTERVAL apart, and one that must wait is
+   * replaced by the next, which is more up to date.
+   *
+   * @param {String} text - what to say, e.g. 'German takes the lead'.
+   **/
+  function announce(text) {
+    clearTimeout(announcementTimeoutId);
 
-    // Store the Contender we created in global state
-    contenders[side] = contender;
+    var wait = lastAnnouncementTime + MIN_ANNOUNCEMENT_INTERVAL - Date.now();
+    if (wait > 0) {
+      announcementTimeoutId = setTimeout(function() {
+        announce(text);
+      }, wait);
 
-    // Here we set state in the UI, showing the modal, and starting CSS
-    // animations by adding / removing classes in HTML.
-    contenderElements[side].classList.add('active');
-    coverElements[side].className = coverElements[side].className.replace(/ flag-icon[^ ]*/g, '');
-    coverElements[side].classList.add('flag-icon', 'flag-icon-' + contender.countryCode);
+      return;
+    }
+
+    lastAnnouncementTime = Date.now();
+    announcerElement.textContent = text;
+  }
 
-    // If both contenders.left and contenders.right are not null, then we have
-    // selected two contenders and we should start the battle
-    if (contenders.left && contenders.right) {
-      // Instantiate the new Battle (passing in the callbacks that will reflect
-      // changes in game state in the UI, and the two contenders that will be
-      // battling) and start it.
-      battle = new Battle(contenders.left, contenders.right, onNewCount, onChangeWinner);
-      battle.start();
+  /**
+   * Draw the leaderboard of a free-for-all.  Head-to-head battles don't need
+   * one, the winning banner says it all.
+   *
+   * @param {Array:Contender} ranking - the contenders, from first to last.
+   **/
+  function renderLeaderboard(ranking) {
+    if (ranking.length < 3) {
+      leaderboardElement.innerHTML = '';
+      return;
     }
+
+    leaderboardElement.innerHTML = ranking.map(function(contender) {
+      return '<li class="leaderboard-entry">' +
+        '<span class="flag-icon flag-icon-' + contender.countryCode + '"></span>' +
+        '<span class="leaderboard-name">' + contender.name + '</span>' +
+        '<span class="leaderboard-score">' + contender.totalScore.toFixed(2) + '</span>' +
+        '</li>';
+    }).join('');
   }
 
   /**
-   * When the "X" button is clicked, stop any game that is happening and show
-   * the language flags again.
+   * List every scoring strategy in the scoring dropdown.  The ones which
+   * can't score the current metric are disabled.
+   **/
+  function renderScoringOptions() {
+    scoringSelect.innerHTML = Object.keys(SCORING_STRATEGIES).map(function(name) {
+      var disabled = canScoreMetric(name, metric) ? '' : ' disabled';
+      return '<option value="' + name + '"' + disabled + '>' +
+        SCORING_STRATEGIES[name].prototype.label + '</option>';
+    }).join('');
+    scoringSelect.value = scoringName;
+  }
+
+  /**
+   * List every metric in the metric dropdown, and say what the current one
+   * measures in the header.
+   **/
+  function renderMetricOptions() {
+    metricSelect.innerHTML = Object.keys(EDIT_METRICS).map(function(name) {
+      return '<option value="' + name + '">' + EDIT_METRICS[name].label + '</option>';
+    }).join('');
+    metricSelect.value = metric;
+    metricUnitElement.innerHTML = EDIT_METRICS[metric].unit;
+  }
+
+  /**
+   * List every edit filter in the filters menu, as a checkbox.
+   **/
+  function renderFilterOptions() {
+    filtersMenuElement.innerHTML = Object.keys(EDIT_FILTERS).map(function(name) {
+      return '<li><label>' +
+        '<input type="checkbox" class="filter-option" value="' + name + '"> ' +
+        EDIT_FILTERS[name].label + '</label></li>';
+    }).join('');
+
+    var checkboxes = filtersMenuElement.getElementsByClassName('filter-option');
+    for (var i = 0; i < checkboxes.length; i++) {
+      checkboxes[i].checked = filterNames.indexOf(checkboxes[i].value) !== -1;
+      checkboxes[i].addEventListener('change', onChangeFilters);
+    }
+  }
+
+  /**
+   * Show which edits the battle counts, in the header.
+   **/
+  function renderActiveFilters() {
+    if (!filterNames.length) {
+      activeFiltersElement.innerHTML = 'all edits';
+      return;
+    }
+
+    activeFiltersElement.innerHTML = filterNames.map(function(name) {
+      return EDIT_FILTERS[name].label.toLowerCase();
+    }).join(', ');
+  }
+
+  /**
+   * Show whether we are recording, and offer the latest recording for
+   * download once it has any messages.
+   **/
+  function renderRecording() {
+    toggleRecordingButton.classList.toggle('recording', recording);
+    toggleRecordingButton.innerHTML = recording ? 'Stop recording' : 'Record';
+    downloadRecordingButton.classList.toggle('hidden', !recorder || !recorder.size());
+  }
+
+  /**
+   * Offer to export the latest battle, once there is one.
+   **/
+  function renderExport() {
+    toggleExportButton.classList.toggle('hidden', !battleLog);
+  }
+
+  /**
+   * Show whether the sound is on, and how loud.  Browsers without Web Audio
+   * can't have it at all.
+   **/
+  function renderSound() {
+    toggleSoundButton.classList.toggle('hidden', !sonifier.isSupported());
+    toggleSoundButton.innerHTML = sonifier.muted ? 'Sound: off' : 'Sound: on';
+    soundVolumeInput.parentNode.classList.toggle('hidden', sonifier.muted);
+    soundVolumeInput.value = sonifier.volume;
+  }
+
+  /**
+   * Offer to pause a live battle, or to resume it.  Replays, and matches that
+   * are over, can't be paused.
+   **/
+  function renderPause() {
+    // A battle waiting for a language to take an empty side stays paused
+    // until one does (see deselectLanguage), or its closed contender would
+    // carry on in the ranking.
+    var waiting = battle && battle.contenders.some(function(contender) {
+      return contender.closed;
+    });
+
+    var pausable = battle && !waiting && !replay && !(match && match.ended);
+    togglePauseButton.classList.toggle('hidden', !pausable);
+    togglePauseButton.innerHTML = pausedByUser ? 'Resume' : 'Pause';
+  }
+
+  /**
+   * Tell how many connections to stream sources are open, in the arena, the
+   * tournament and the watch.
+   **/
+  function renderOpenConnections() {
+    var count = countOpenConnections();
+    openConnectionsElement.innerHTML = count + (count === 1 ? ' connection' : ' connections');
+  }
+
+  /**
+   * List every replay speed in the speed dropdown.
+   **/
+  function renderReplaySpeeds() {
+    replaySpeedSelect.innerHTML = Object.keys(REPLAY_SPEEDS).map(function(speed) {
+      return '<option value="' + speed + '">' + speed + '</option>';
+    }).join('');
+  }
+
+  /**
+   * Format a duration in miliseconds as minutes and seconds, e.g. '4:05'.
+   **/
+  function formatDuration(duration) {
+    var seconds = Math.floor(duration / 1000);
+    return Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+  }
+
+  /**
+   * Say how much data the baseline of a side started from.
    *
-   * @param {Object} e - the HTML5 click event.
+   * @param {String} side - the side, e.g. 'left'.
+   * @param {Object:Baseline} baseline - the baseline.
    **/
-  function onDeselectLanguage(e) {
-    // Don't follow the link or change the URL
-    e.preventDefault();
+  function renderBaselineStatus(side, baseline) {
+    var hours = baseline.hours();
+    if (!hours) {
+      baselineStatusElements[side].innerHTML = 'No baseline yet, learning from scratch';
+      return;
+    }
 
-    // We'll be using the side ('left' or 'right') alot, so we pull it out into
-    // a convenient variable.
-    var side = this.dataset.side;
+    var minutes = Math.ceil(hours * 60);
+    var amount = (hours >= 1) ? hours.toFixed(1) + ' hours' :
+      minutes + ((minutes === 1) ? ' minute' : ' minutes');
+    baselineStatusElements[side].innerHTML = 'Baseline from ' + amount + ' of data';
+  }
 
-    // Stop the battle (stope listening to the websockets) if one exists.
-    if (battle) {
-      battle.stop();
+  /**
+   * List every match format in the match dropdown.
+   **/
+  function renderMatchOptions() {
+    matchSelect.innerHTML = Object.keys(MATCH_FORMATS).map(function(format) {
+      return '<option value="' + format + '">' + MATCH_FORMATS[format].label + '</option>';
+    }).join('');
+    matchSelect.value = matchFormat;
+  }
+
+  /**
+   * Count down the round of the match, and tell how many rounds each side
+   * won so far, if there are several.
+   **/
+  function renderMatchCountdown() {
+    if (!match) {
+      matchCountdownElement.innerHTML = '';
+      return;
     }
 
-    // Unset our global state, indicating that we don't have a contender on
-    // this side anymore.
-    contenders[side] = null;
+    var text = formatDuration(match.timeLeft() + 999) + ' left';
+    if (match.rounds > 1) {
+      var score = sides.map(function(side) {
+        return match.roundsWon(side);
+      }).join('-');
+      text = 'Round ' + match.round + ' of ' + match.rounds + ', ' + text + ' (' + score + ')';
+    }
 
-    // Set the UI state.  We hide the modal and language name, showing the
-    // language flags again. We also reset the modal back to its original
-    // state, so that we have a clean slate if we start a second battle.
-    selected = contenderElements[side].getElementsByClassName('selected');
-    for (var i = 0; i < selected.length; i++) {
-      selected[i].classList.remove('selected');
+    matchCountdownElement.innerHTML = text;
+  }
+
+  /**
+   * Show the results of a match: who won, by how much, how long each side
+   * led, and its busiest second.
+   *
+   * @param {Object} result - the result (see Match.prototype.result).
+   **/
+  function renderMatchResults(result) {
+    var winner = result.contenders[0];
+    var title = !result.winner ? 'Nobody took the lead, it\'s a draw!' :
+      winner.name + ' wins!';
+    var margin = !result.winner ? '' : 'By ' + result.margin.toFixed(2) + ' points' +
+      (result.rounds.length > 1 ? ', and ' + winner.roundsWon + ' rounds to ' +
+        result.contenders[1].roundsWon : '');
+
+    var rows = result.contenders.map(function(contender) {
+      return '<tr>' +
+        '<td><span class="flag-icon flag-icon-' + contender.countryCode + '"></span> ' +
+          contender.name + '</td>' +
+        '<td>' + contender.totalScore.toFixed(2) + '</td>' +
+        '<td>' + formatDuration(contender.leadTime) + '</td>' +
+        '<td>' + contender.peakEdits + '</td>' +
+        '</tr>';
+    }).join('');
+
+    matchResultsContentElement.innerHTML = '<h2>' + title + '</h2>' +
+      '<p>' + margin + '</p>' +
+      '<table>' +
+      '<tr><th></th><th>Score</th><th>Time leading</th><th>Peak edits per second</th></tr>' +
+      rows +
+      '</table>';
+    matchResultsElement.classList.remove('hidden');
+    announce(title);
+  }
+
+  /**
+   * List every match played, the latest first.
+   **/
+  function renderMatchHistory() {
+    if (!matchHistory.items.length) {
+      matchHistoryListElement.innerHTML = '<li>No matches played yet</li>';
+      return;
     }
-    contenderElements[side].classList.remove('active', 'winning');
-    countContainerElements.left.innerHTML = '';
-    countContainerElements.right.innerHTML = '';
 
+    matchHistoryListElement.innerHTML = matchHistory.items.map(function(result) {
+      var names = result.contenders.map(function(contender) {
+        return contender.name;
+      }).join(' vs ');
+      var format = isMatchFormat(result.format) ? MATCH_FORMATS[result.format].label : '';
+      var outcome = result.winner ? result.contenders[0].name + ' won by ' +
+        result.margin.toFixed(2) : 'Draw';
+
+      return '<li class="match-history-entry">' +
+        '<span class="match-history-date">' + new Date(result.endedAt).toLocaleString() +
+        '</span> ' + names + ', ' + format + ': <strong>' + outcome + '</strong>' +
+        '</li>';
+    }).join('');
   }
 
   /**
-   * addEventListener calls: Link up all buttons to their handlers
+   * Show the settings of the watch, and whether it's watching.
+   **/
+  function renderWatch() {
+    toggleWatchButton.innerHTML = watch ? 'Watch all: on' : 'Watch all';
+    toggleWatchingButton.innerHTML = watch ? 'Stop watching' : 'Start watching';
+    watchThresholdInput.value = watchSettings.threshold;
+    watchSustainInput.value = watchSettings.sustain;
+    watchNotifyInput.checked = watchSettings.notify;
+  }
+
+  /**
+   * Describe an alert of the watch: which language spiked, how much, and the
+   * pages edited the most meanwhile.  The titles come from the streams, so
+   * they are written as text, never as HTML.
+   *
+   * @param {Object} alert - the alert (see Watch).
+   * @param {String} tagName - the tag of the element, e.g. 'li'.
+   **/
+  function createAlertElement(alert, tagName) {
+    var element = document.createElement(tagName);
+    element.className = 'alert';
+
+    var flag = document.createElement('span');
+    flag.className = 'flag-icon flag-icon-' + alert.countryCode;
+    element.appendChild(flag);
+
+    var name = document.createElement('strong');
+    name.textContent = alert.name;
+    element.appendChild(name);
+    element.appendChild(document.createTextNode(' is spiking: ' + alert.count +
+      ' edits per second, ' + alert.score.toFixed(1) + ' standard deviations above its usual ' +
+      alert.mean.toFixed(1) + ' '));
+
+    var date = document.createElement('span');
+    date.className = 'alert-date';
+    date.textContent = new Date(alert.raisedAt).toLocaleString();
+    element.appendChild(date);
+
+    var titles = document.createElement('ul');
+    titles.className = 'alert-titles';
+    alert.titles.forEach(function(page) {
+      var title = document.createElement('li');
+      title.textContent = page.title + ' (' + page.edits + ')';
+      titles.appendChild(title);
+    });
+
+    element.appendChild(titles);
+    return element;
+  }
+
+  /**
+   * List every alert the watch raised, the latest first.
+   **/
+  function renderAlertLog() {
+    if (!alertLog.items.length) {
+      alertLogElement.innerHTML = '<li>No alerts yet</li>';
+      return;
+    }
+
+    alertLogElement.innerHTML = '';
+    alertLog.items.forEach(function(alert) {
+      alertLogElement.appendChild(createAlertElement(alert, 'li'));
+    });
+  }
+
+  /**
+   * Pop up an alert in the corner of the page, for TOAST_DURATION, or until
+   * it's closed.
+   *
+   * @param {Object} alert - the alert (see Watch).
+   **/
+  function showToast(alert) {
+    var toast = createAlertElement(alert, 'li');
+    toast.classList.add('toast');
+
+    var close = document.createElement('a');
+    close.className = 'close-toast';
+    close.href = '#close-toast';
+    close.setAttribute('aria-label', 'Close');
+    close.innerHTML = '&times;';
+    toast.appendChild(close);
+    toastsElement.appendChild(toast);
+
+    var removeToast = function() {
+      if (toast.parentNode) {
+        toastsElement.removeChild(toast);
+      }
+    };
+
+    close.addEventListener('click', function(e) {
+      // Don't follow the link or change the URL
+      e.preventDefault();
+
+      removeToast();
+    });
+
+    setTimeout(removeToast, TOAST_DURATION);
+  }
+
+  /**
+   * Tell the browser about an alert, if the user asked for notifications, and
+   * allowed them.
+   *
+   * @param {Object} alert - the alert (see Watch).
+   **/
+  function notifyAlert(alert) {
+    if (!watchSettings.notify || !window.Notification ||
+        window.Notification.permission !== 'granted') {
+      return;
+    }
+
+    new window.Notification(alert.name + ' is spiking', {
+      body: alert.titles.map(function(page) {
+        return page.title;
+      }).join(', '),
+      tag: 'wiki-battle-' + alert.lang,
+    });
+  }
+
+  /**
+   * Tell how many points the user has, and how well they call matches.
+   **/
+  function renderProfile() {
+    var accuracy = profile.accuracy();
+    predictionProfileElement.innerHTML = profile.points + ' points' +
+      (profile.streak ? ', ' + profile.streak + ' right in a row' : '') +
+      (accuracy === null ? '' : ', ' + Math.round(accuracy * 100) + '% right' +
+        ' (best streak ' + profile.bestStreak + ')');
+  }
+
+  /**
+   * Offer to call the winner of the match being played, at the odds of each
+   * contender right now, unless it was called already.  Replays can't be
+   * called, since they play out the same way every time.
    **/
-  for (var i = 0; i < deselectButtons.length; i++) {
-    deselectButtons[i].addEventListener('click', onDeselectLanguage);
+  function renderPrediction() {
+    var open = match && !match.ended && !replay;
+    predictionElement.classList.toggle('hidden', !open);
+    if (!open) {
+      return;
+    }
+
+    var odds = computeOdds(match);
+    if (predictionPickSelect.options.length !== match.contenders.length) {
+      predictionPickSelect.innerHTML = match.contenders.map(function(contender) {
+        return '<option value="' + contender.side + '"></option>';
+      }).join('');
+    }
+
+    // Only the text of each option changes, so that the dropdown stays open
+    // while the odds move.
+    match.contenders.forEach(function(contender, i) {
+      predictionPickSelect.options[i].textContent = contender.name + ' (' +
+        odds[contender.side].toFixed(2) + ')';
+    });
+
+    // Calls close near the end of every round (see canCall).
+    var closed = !!profile.pending || !canCall(match);
+    predictionPickSelect.disabled = closed;
+    predictionStakeInput.disabled = closed;
+    placeBetButton.classList.toggle('hidden', closed);
   }
 
-  for (i = 0; i < selectButtons.length; i++) {
-    selectButtons[i].addEventListener('click', onSelectLanguage);
+  /**
+   * Describe a language, from its entry in the catalog.  A language the
+   * catalog doesn't have anymore, e.g. a stream the user removed, goes by
+   * its code.
+   *
+   * @param {String} lang - the language code.
+   **/
+  function describeLanguage(lang) {
+    return (catalog && catalog.get(lang)) || {
+      lang: lang,
+      country_code: lang,
+      name: lang,
+    };
   }
+
+  /**
+   * List the flag of every language of the catalog on a side, to pick one,
+   * after what went wrong loading the catalog, if anything.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function renderCountries(side) {
+    var list = contenderElements[side].querySelectorAll('.countries')[0];
+    var error = !catalogError ? '' : '<li class="catalog-error">' +
+      catalogError.message.replace(/</g, '&lt;') + '</li>';
+
+    list.innerHTML = error + catalog.entries.map(function(entry) {
+      return '<li class="country-option">' +
+        '<a href="#' + entry.name + '" class="select-country"' +
+        ' role="option" aria-selected="false" aria-label="' + entry.name + '"' +
+        ' data-country-code="' + entry.country_code + '"' +
+        ' data-lang="' + entry.lang + '"' +
+        ' data-name="' + entry.name + '"' +
+        ' data-side="' + side + '"' +
+        ' data-stream-type="' + (entry.stream || '') + '"' +
+        ' data-stream-url="' + entry.url + '"' +
+        ' data-direction="' + (entry.direction || '') + '">' +
+        '<div class="flag-icon flag-icon-' + entry.country_code + '"></div>' +
+        '<h3 class="flag-label">' + entry.name + '</h3>' +
+        '</a>' +
+        '</li>';
+    }).join('');
+
+    var selectButtons = list.getElementsByClassName('select-country');
+    for (var i = 0; i < selectButtons.length; i++) {
+      selectButtons[i].addEventListener('click', onSelectLanguage);
+      if (contenders[side] && contenders[side].lang === selectButtons[i].dataset.lang) {
+        selectButtons[i].classList.add('selected');
+        selectButtons[i].setAttribute('aria-selected', 'true');
+      }
+    }
+
+    filterCountries(side);
+  }
+
+  /**
+   * Show only the flags of the languages matching the search of a side, by
+   * their name, native name or code.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function filterCountries(side) {
+    var query = countrySearchInputs[side].value.trim().toLowerCase();
+    var options = contenderElements[side].querySelectorAll('.country-option');
+    for (var i = 0; i < options.length; i++) {
+      var link = options[i].querySelectorAll('.select-country')[0];
+      var language = link && describeLanguage(link.dataset.lang);
+      var text = !language ? '' :
+        [language.name, language.native_name || '', language.lang].join(' ').toLowerCase();
+
+      options[i].classList.toggle('hidden', !!link && text.indexOf(query) === -1);
+    }
+  }
+
+  /**
+   * The flags of a side that the search didn't hide, in order.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   * @return {Array:Element} the links of the flags.
+   **/
+  function visibleCountryLinks(side) {
+    var links = contenderElements[side].querySelectorAll('.country-option:not(.hidden) a');
+    return Array.prototype.slice.call(links);
+  }
+
+  /**
+   * List every language of the catalog in the tournament form, keeping the
+   * ones picked.
+   **/
+  function renderTournamentLangs() {
+    var picked = {};
+    var inputs = tournamentLangsElement.querySelectorAll('input');
+    for (var i = 0; i < inputs.length; i++) {
+      picked[inputs[i].value] = inputs[i].checked;
+    }
+
+    tournamentLangsElement.innerHTML = catalog.entries.map(function(entry) {
+      return '<li><label>' +
+        '<input type="checkbox" value="' + entry.lang + '"' +
+        (picked[entry.lang] ? ' checked' : '') + '> ' + entry.name +
+        '</label></li>';
+    }).join('');
+  }
+
+  /**
+   * List the streams the user added, with buttons to remove them.
+   **/
+  function renderCustomLangs() {
+    if (!customCatalog.entries.length) {
+      customLangsListElement.innerHTML = '<li>No streams added yet</li>';
+      return;
+    }
+
+    customLangsListElement.innerHTML = customCatalog.entries.map(function(entry) {
+      return '<li>' +
+        '<span class="flag-icon flag-icon-' + entry.country_code + '"></span> ' +
+        entry.name + ' (' + entry.lang + ') ' +
+        '<span class="custom-lang-url">' + entry.url + '</span>' +
+        '<a href="#remove" class="remove-custom-lang" data-lang="' + entry.lang + '">Remove</a>' +
+        '</li>';
+    }).join('');
+
+    var removeButtons = customLangsListElement.getElementsByClassName('remove-custom-lang');
+    for (var i = 0; i < removeButtons.length; i++) {
+      removeButtons[i].addEventListener('click', onRemoveCustomLang);
+    }
+  }
+
+  /**
+   * Show the languages of the catalog everywhere they can be picked.
+   **/
+  function renderCatalog() {
+    sides.forEach(renderCountries);
+    renderTournamentLangs();
+    renderCustomLangs();
+    renderTournament();
+  }
+
+  /**
+   * List the match formats and kinds of brackets a tournament can have.
+   * Endless battles never end, so they can't be tournament matches.
+   **/
+  function renderTournamentOptions() {
+    tournamentFormatSelect.innerHTML = Object.keys(MATCH_FORMATS).filter(function(format) {
+      return MATCH_FORMATS[format].rounds;
+    }).map(function(format) {
+      return '<option value="' + format + '">' + MATCH_FORMATS[format].label + '</option>';
+    }).join('');
+
+    tournamentEliminationSelect.innerHTML = Object.keys(ELIMINATIONS).map(function(name) {
+      return '<option value="' + name + '">' + ELIMINATIONS[name] + '</option>';
+    }).join('');
+  }
+
+  /**
+   * The name of a round of the tournament, e.g. 'Round 2' or 'Final'.
+   *
+   * @param {Object} bracketMatch - a match of the round.
+   * @param {number} rounds - how many rounds its bracket has.
+   **/
+  function formatTournamentRound(bracketMatch, rounds) {
+    if (bracketMatch.bracket === 'grand-final') {
+      return 'Grand final';
+    }
+
+    if (bracketMatch.bracket === 'losers') {
+      return 'Losers round ' + bracketMatch.round;
+    }
+
+    if (bracketMatch.round === rounds) {
+      return tournament.elimination === 'double' ? 'Winners final' : 'Final';
+    }
+
+    return 'Round ' + bracketMatch.round;
+  }
+
+  /**
+   * Draw a player of a match of the tournament: its flag and name, and its
+   * score, live while the match is played.
+   *
+   * @param {Object} bracketMatch - the match.
+   * @param {number} i - the index of the player in the match.
+   **/
+  function renderTournamentPlayer(bracketMatch, i) {
+    var lang = bracketMatch.players[i];
+    if (!lang) {
+      var label = bracketMatch.status === 'waiting' ? 'To be decided' : 'Bye';
+      return '<li class="tournament-player tournament-player-empty">' + label + '</li>';
+    }
+
+    var live = tournamentRunner && tournamentRunner.live[bracketMatch.id];
+    var score = '';
+    if (live) {
+      score = live.battle.contenders[i].totalScore.toFixed(2);
+    } else if (bracketMatch.scores) {
+      score = bracketMatch.scores[lang].toFixed(2);
+    }
+
+    var language = describeLanguage(lang);
+    var classes = 'tournament-player' +
+      (bracketMatch.status === 'done' && bracketMatch.winner === lang ? ' winner' : '');
+
+    return '<li class="' + classes + '">' +
+      '<span class="flag-icon flag-icon-' + language.country_code + '"></span>' +
+      '<span class="tournament-player-name">' + language.name + '</span>' +
+      '<span class="tournament-player-score">' + score + '</span>' +
+      '</li>';
+  }
+
+  /**
+   * Show the form to set up a tournament, or the bracket of the one being
+   * played, round by round, with the scores of its matches.
+   **/
+  function renderTournament() {
+    tournamentSetupElement.classList.toggle('hidden', !!tournament);
+    tournamentPlayElement.classList.toggle('hidden', !tournament);
+    if (!tournament) {
+      return;
+    }
+
+    var played = tournament.matches.filter(function(bracketMatch) {
+      return bracketMatch.status === 'done' && bracketMatch.loser;
+    }).length;
+
+    tournamentStatusElement.innerHTML = tournament.champion ?
+      describeLanguage(tournament.champion).name + ' wins the tournament!' :
+      played + ' matches played, ' + MATCH_FORMATS[tournament.format].label + ' each';
+
+    // The matches are in the order they are played, round after round, so
+    // each round is a column, and each bracket a row of them.
+    var rows = [];
+    tournament.matches.forEach(function(bracketMatch) {
+      var row = rows[rows.length - 1];
+      if (!row || row.bracket !== bracketMatch.bracket) {
+        row = { bracket: bracketMatch.bracket, rounds: [] };
+        rows.push(row);
+      }
+
+      if (!row.rounds[bracketMatch.round - 1]) {
+        row.rounds.push([]);
+      }
+
+      row.rounds[bracketMatch.round - 1].push(bracketMatch);
+    });
+
+    tournamentBracketElement.innerHTML = rows.map(function(row) {
+      return '<div class="tournament-row">' + row.rounds.map(function(round) {
+        return '<div class="tournament-round">' +
+          '<h3>' + formatTournamentRound(round[0], row.rounds.length) + '</h3>' +
+          round.map(function(bracketMatch) {
+            var live = tournamentRunner && tournamentRunner.live[bracketMatch.id];
+            var countdown = live ? formatDuration(live.match.timeLeft() + 999) + ' left' : '';
+
+            return '<ol class="tournament-match tournament-match-' + bracketMatch.status + '">' +
+              renderTournamentPlayer(bracketMatch, 0) +
+              renderTournamentPlayer(bracketMatch, 1) +
+              '<li class="tournament-match-countdown">' + countdown + '</li>' +
+              '</ol>';
+          }).join('') +
+          '</div>';
+      }).join('') + '</div>';
+    }).join('');
+  }
+
+  /**
+   * Size the sides to fit the arena, and only allow adding sides while there
+   * is room for them.
+   **/
+  function renderArena() {
+    for (var i = 2; i <= MAX_CONTENDERS; i++) {
+      contendersElement.classList.toggle('contenders-' + i, i === sides.length);
+    }
+
+    contendersElement.classList.toggle('free-for-all', sides.length > 2);
+    addContenderButton.classList.toggle('hidden', sides.length >= MAX_CONTENDERS);
+  }
+
+  /**
+   * Battle management
+   **/
+
+  /**
+   * Stop the battle (stop listening to the stream sources) if one exists.
+   **/
+  function stopBattle() {
+    if (replay) {
+      replay.stop();
+    }
+
+    // The battle only stops before the end of a match when the user leaves
+    // it, e.g. for other languages or settings, which loses their call.
+    var forfeited = match ? profile.forfeit(match) : null;
+    if (match) {
+      match.stop();
+      match = null;
+    }
+
+    predictionStatusElement.innerHTML = forfeited ? 'Match left, -' + forfeited.stake +
+      ' points' : '';
+    renderProfile();
+    renderPrediction();
+
+    saveBaselines();
+
+    if (battle) {
+      battle.stop();
+      battle = null;
+    }
+
+    // The latest battle can still be exported.
+    if (battleLog) {
+      battleLog.end();
+    }
+
+    sides.forEach(clearSide);
+
+    winningSide = null;
+    pausedByUser = false;
+    renderLeaderboard([]);
+    renderMatchCountdown();
+    renderPause();
+    renderOpenConnections();
+    matchResultsElement.classList.add('hidden');
+  }
+
+  /**
+   * Clear the charts, ticker and banners of a side, for a new battle, or a
+   * new language.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function clearSide(side) {
+    contenderElements[side].classList.remove('winning');
+    charts[side].clear();
+    tickers[side].clear();
+    baselineStatusElements[side].innerHTML = '';
+  }
+
+  /**
+   * If every side has a contender, start a new battle between all of them.
+   **/
+  function startBattleIfReady() {
+    var ready = sides.every(function(side) {
+      return contenders[side];
+    });
+
+    if (!ready) {
+      return;
+    }
+
+    // A battle waiting for a side to change language carries on with it.
+    if (battle) {
+      swapContenders();
+      return;
+    }
+
+    // Instantiate the new Battle (passing in the contenders that will be
+    // battling, and the callbacks that will reflect changes in game state in
+    // the UI) and start it.
+    var battling = sides.map(function(side) {
+      return contenders[side];
+    });
+
+    // A battle server scores live battles for everyone watching them, if we
+    // have one.  Replays are always scored here.
+    var remote = serverUrl && !replay;
+    var BattleClass = remote ? RemoteBattle : Battle;
+    battle = new BattleClass(battling, {
+      onNewCount: onNewCount,
+      onChangeWinner: onChangeWinner,
+      onRankChange: onRankChange,
+      onConnectionChange: onConnectionChange,
+      onEdit: onEdit,
+      onMessage: onMessage,
+    }, {
+      scoring: scoringName,
+      filters: filterNames,
+      metric: metric,
+      server: serverUrl,
+    });
+    battle.start();
+    startBattleLog();
+    renderLeaderboard(battle.ranking);
+    startMatch(battling);
+    renderPause();
+    renderOpenConnections();
+
+    // Replays play on their own clock, which we have to move forward, and
+    // start from scratch, so that they always play out the same way.  Live
+    // battles start from their baselines, and are recorded from their start,
+    // if we are recording, unless the server scores them, from its own
+    // statistics, and keeps their messages.
+    if (replay) {
+      replay.play(onReplayEnd);
+      return;
+    }
+
+    if (remote) {
+      return;
+    }
+
+    sides.forEach(seedBaseline);
+    startRecorder();
+  }
+
+  /**
+   * Put the contenders picked while the battle waited for them (see
+   * deselectLanguage) into it, and carry on, unless the user paused it.  The
+   * other contenders keep their connections and statistics.
+   **/
+  function swapContenders() {
+    sides.forEach(function(side) {
+      if (battle.contenders.indexOf(contenders[side]) !== -1) {
+        return;
+      }
+
+      battle.replaceContender(side, contenders[side]);
+      if (!serverUrl) {
+        seedBaseline(side);
+      }
+    });
+
+    if (!pausedByUser) {
+      battle.resume();
+    }
+
+    renderLeaderboard(battle.ranking);
+    renderPause();
+    renderOpenConnections();
+
+    // The recording and the log so far were of other languages.
+    startBattleLog();
+    if (!serverUrl) {
+      startRecorder();
+    }
+  }
+
+  /**
+   * Log the numbers of the battle from now on, to export them, on the clock
+   * of the replay, if it's one.
+   **/
+  function startBattleLog() {
+    battleLog = new BattleLog(BattleRecorder.describe(battle.contenders, {
+      scoring: scoringName,
+      filters: filterNames,
+      metric: metric,
+    }), replay ? replay.clock : null);
+    renderExport();
+  }
+
+  /**
+   * Record the live battle from now on, if we are recording.
+   **/
+  function startRecorder() {
+    if (!recording) {
+      return;
+    }
+
+    recorder = new BattleRecorder(BattleRecorder.describe(battle.contenders, {
+      scoring: scoringName,
+      filters: filterNames,
+      metric: metric,
+    }));
+    renderRecording();
+  }
+
+  /**
+   * Start a match between the contenders of the battle, unless it's endless.
+   * A replayed match is timed by the replay.
+   *
+   * @param {Array:Contender} battling - the contenders of the battle.
+   **/
+  function startMatch(battling) {
+    if (!MATCH_FORMATS[matchFormat].rounds) {
+      return;
+    }
+
+    match = new Match(matchFormat, battling, {
+      clock: replay ? replay.clock : REAL_CLOCK,
+    });
+
+    match.start({
+      onTick: onMatchTick,
+      onEnd: onMatchEnd,
+    });
+
+    predictionPickSelect.innerHTML = '';
+    renderPrediction();
+  }
+
+  /**
+   * Every second of the match, count down its round, and update the odds.
+   **/
+  function onMatchTick() {
+    // A call on a match of another page blocks calls on ours, until that
+    // match is over.  Ours may have been paused, so its own call waits.
+    if (!profile.betOn(match) && profile.forfeitEnded()) {
+      renderProfile();
+    }
+
+    renderMatchCountdown();
+    renderPrediction();
+  }
+
+  /**
+   * When the match is over, stop the battle where it is, show the results,
+   * and keep them in the history, unless it was a replay.
+   *
+   * @param {Object} result - the result (see Match.prototype.result).
+   **/
+  function onMatchEnd(result) {
+    if (replay) {
+      replay.stop();
+    } else {
+      matchHistory.add(result);
+      renderMatchHistory();
+      settleBet(result);
+    }
+
+    saveBaselines();
+    battle.stop();
+    battleLog.end();
+    matchCountdownElement.innerHTML = 'Match over';
+    renderMatchResults(result);
+    renderPause();
+  }
+
+  /**
+   * Tournaments: many languages, two at a time (see tournament.js)
+   **/
+
+  /**
+   * Create the contender of a player of a tournament match, listening to
+   * the stream of its language.
+   *
+   * @param {String} lang - the language code of the player.
+   * @param {String} side - the side of the player, in its match.
+   **/
+  function createTournamentContender(lang, side) {
+    var language = describeLanguage(lang);
+    var source = createStreamSource({
+      type: language.stream,
+      url: language.url,
+      lang: lang,
+    });
+
+    return new Contender(language.country_code, lang, language.name, side, source);
+  }
+
+  /**
+   * Play the matches of the tournament, from where it was left, if it isn't
+   * over.  Its matches are played alongside the battle of the arena.
+   **/
+  function playTournament() {
+    tournamentRunner = new TournamentRunner(tournament, {
+      createContender: createTournamentContender,
+      onUpdate: onTournamentUpdate,
+      onMatchEnd: onTournamentMatchEnd,
+    });
+
+    tournamentRunner.start();
+    renderTournament();
+  }
+
+  /**
+   * When a match of the tournament starts or ends, draw the bracket again,
+   * and count the connections its battles opened or closed.
+   **/
+  function onTournamentUpdate() {
+    renderTournament();
+    renderOpenConnections();
+  }
+
+  /**
+   * When a match of the tournament is over, save the bracket, so that the
+   * tournament can go on after a reload, and keep the match in the history.
+   *
+   * @param {Object} bracketMatch - the match of the bracket.
+   * @param {Object} result - the result (see Match.prototype.result).
+   **/
+  function onTournamentMatchEnd(bracketMatch, result) {
+    tournament.save(getLocalStorage());
+    matchHistory.add(result);
+    renderMatchHistory();
+  }
+
+  /**
+   * Settle the call on a match that ended, if the user made one, and tell
+   * them how it went.
+   *
+   * @param {Object} result - the result (see Match.prototype.result).
+   **/
+  function settleBet(result) {
+    var bet = profile.settle(match, result);
+    if (bet && bet.outcome === 'won') {
+      predictionStatusElement.innerHTML = 'You called it! +' + bet.payout + ' points';
+    } else if (bet && bet.outcome === 'lost') {
+      predictionStatusElement.innerHTML = 'Wrong call, -' + bet.stake + ' points';
+    } else if (bet) {
+      predictionStatusElement.innerHTML = 'A draw, your ' + bet.stake + ' points are back';
+    }
+
+    renderProfile();
+    renderPrediction();
+  }
+
+  /**
+   * Watching every language for spikes (see watch.js)
+   **/
+
+  /**
+   * Create the contender of a language of the watch, listening to its
+   * stream.  It starts from the baseline of its edits, if it has one, so
+   * that it can spike sooner.
+   *
+   * @param {String} lang - the language code.
+   **/
+  function createWatchContender(lang) {
+    var language = describeLanguage(lang);
+    var source = createStreamSource({
+      type: language.stream,
+      url: language.url,
+      lang: lang,
+    });
+
+    var contender = new Contender(language.country_code, lang, language.name, lang, source,
+      Watch.CONTENDER_OPTIONS);
+    var baseline = baselineStore.load(baselineKey(lang, DEFAULT_EDIT_METRIC, []));
+    contender.seedStatistics(baseline.summaryAt(new Date()));
+    return contender;
+  }
+
+  /**
+   * Watch every language of the catalog, alongside the battle of the arena.
+   **/
+  function startWatch() {
+    var langs = catalog.entries.map(function(entry) {
+      return entry.lang;
+    });
+
+    watch = new Watch(langs, {
+      createContender: createWatchContender,
+      threshold: watchSettings.threshold,
+      sustain: watchSettings.sustain,
+      onAlert: onAlert,
+    });
+
+    watch.start();
+    renderWatch();
+    renderOpenConnections();
+  }
+
+  /**
+   * Stop watching, closing the connections of every language.
+   **/
+  function stopWatch() {
+    watch.stop();
+    watch = null;
+    renderWatch();
+    renderOpenConnections();
+  }
+
+  /**
+   * Keep the settings of the watch, including whether it's watching, to
+   * watch again after a reload.
+   **/
+  function saveWatchSettings() {
+    watchSettings.watching = !!watch;
+    Watch.saveSettings(getLocalStorage(), watchSettings);
+  }
+
+  /**
+   * When a language spikes, log it, pop it up, and tell the browser and
+   * screen readers.
+   *
+   * @param {Object} alert - the alert (see Watch).
+   **/
+  function onAlert(alert) {
+    alertLog.add(alert);
+    renderAlertLog();
+    showToast(alert);
+    notifyAlert(alert);
+    announce(alert.name + ' is spiking');
+  }
+
+  /**
+   * Baselines: remembering what's normal across battles (see baselines.js)
+   **/
+
+  /**
+   * Seed the statistics of the contender of a side from its baseline, for
+   * the current hour of the week, and start learning new counts.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function seedBaseline(side) {
+    var key = baselineKey(contenders[side].lang, metric, filterNames);
+    var baseline = baselineStore.load(key);
+    contenders[side].seedStatistics(baseline.summaryAt(new Date()));
+    pendingBaselines[side] = {
+      key: key,
+      baseline: new Baseline(),
+    };
+    renderBaselineStatus(side, baseline);
+  }
+
+  /**
+   * Learn the latest count of a side, saving what it learned every
+   * BASELINE_SAVE_INTERVAL counts.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function learnBaseline(side) {
+    var contender = contenders[side];
+    var pending = pendingBaselines[side];
+    if (!pending) {
+      return;
+    }
+
+    pending.baseline.push(contender.windowCounts[contender.windowCounts.length - 1], new Date());
+    if (pending.baseline.overall.weight >= BASELINE_SAVE_INTERVAL) {
+      baselineStore.merge(pending.key, pending.baseline);
+      pending.baseline = new Baseline();
+    }
+  }
+
+  /**
+   * Save what every side learned since we last saved, e.g. before the battle
+   * stops, or the page is closed.
+   **/
+  function saveBaselines() {
+    Object.keys(pendingBaselines).forEach(saveBaseline);
+  }
+
+  /**
+   * Save what a side learned since its baseline was last saved, e.g. when
+   * its language leaves the battle.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function saveBaseline(side) {
+    var pending = pendingBaselines[side];
+    if (pending && pending.baseline.overall.weight > 0) {
+      baselineStore.merge(pending.key, pending.baseline);
+    }
+
+    delete pendingBaselines[side];
+  }
+
+  /**
+   * The localStorage of the page, if we are allowed to use it.  Some browsers
+   * throw when it's even mentioned, e.g. with cookies disabled.
+   **/
+  function getLocalStorage() {
+    try {
+      return window.localStorage;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * A function vibrating the device, if it's a phone or a tablet which can,
+   * or null.  Some desktop browsers have navigator.vibrate too, but nothing
+   * to vibrate.
+   **/
+  function getVibrate() {
+    var device = new MobileDetect(window.navigator.userAgent);
+    if (!device.mobile() || typeof window.navigator.vibrate !== 'function') {
+      return null;
+    }
+
+    return window.navigator.vibrate.bind(window.navigator);
+  }
+
+  /**
+   * Pick the language of a side, displaying the modal over its list of flags,
+   * and store its Contender in state.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   * @param {Object} link - the HTML element of the flag of the language.
+   **/
+  function selectLanguage(side, link) {
+    // Mark this flag as selected, which animates the language name.
+    link.classList.add('selected');
+    link.setAttribute('aria-selected', 'true');
+
+    // Instantiate the new contender object, pulling data from our HTML about
+    // the selected language.  We have the country code (of the flag), the
+    // language code, the language name, the side we are in (e.g. "left" or
+    // "right"), and the stream source which publishes Wikipedia edits for
+    // this language.
+    // During a replay, the stream source plays back the recording instead.
+    var source = replay ? replay.createSource(link.dataset.lang) : createStreamSource({
+      type: link.dataset.streamType,
+      url: link.dataset.streamUrl,
+      lang: link.dataset.lang,
+    });
+
+    var contender = new Contender(
+      link.dataset.countryCode,
+      link.dataset.lang,
+      link.dataset.name,
+      side,
+      source,
+      replay ? replay.contenderOptions() : {}
+    );
+
+    // Store the Contender we created in global state
+    contenders[side] = contender;
+
+    // Titles in the ticker are in this language, and maybe right-to-left.
+    tickers[side].setLanguage(contender.lang, link.dataset.direction);
+
+    // Here we set state in the UI, showing the modal, and starting CSS
+    // animations by adding / removing classes in HTML.
+    contenderElements[side].classList.add('active');
+    coverElements[side].className = coverElements[side].className.replace(/ flag-icon[^ ]*/g, '');
+    coverElements[side].classList.add('flag-icon', 'flag-icon-' + contender.countryCode);
+  }
+
+  /**
+   * Stop any game that is happening and show the language flags of a side
+   * again.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function deselectLanguage(side) {
+    var leaving = contenders[side];
+
+    // The other sides of a live battle wait, paused, for another language to
+    // take this side (see swapContenders), keeping their connections and
+    // statistics.  Matches and replays start over instead.
+    var swapping = battle && !match && !replay && battle.contenders.indexOf(leaving) !== -1;
+    if (swapping) {
+      saveBaseline(side);
+      battle.pause();
+      clearSide(side);
+      if (winningSide === side) {
+        winningSide = null;
+      }
+    } else {
+      stopBattle();
+    }
+
+    // The language is gone for good, with its connection.
+    if (leaving) {
+      leaving.close();
+    }
+
+    // Unset our global state, indicating that we don't have a contender on
+    // this side anymore.
+    contenders[side] = null;
+
+    // Set the UI state.  We hide the modal and language name, showing the
+    // language flags again. We also reset the modal back to its original
+    // state, so that we have a clean slate if we start a second battle.
+    var selected = contenderElements[side].getElementsByClassName('selected');
+    for (var i = selected.length - 1; i >= 0; i--) {
+      selected[i].setAttribute('aria-selected', 'false');
+      selected[i].classList.remove('selected');
+    }
+
+    contenderElements[side].classList.remove('active', 'reconnecting', 'dead');
+    (swapping ? [side] : sides).forEach(function(otherSide) {
+      countContainerElements[otherSide].innerHTML = '';
+      connectionStatusElements[otherSide].innerHTML = '';
+    });
+
+    renderPause();
+    renderOpenConnections();
+  }
+
+  /**
+   * Add a new side to the arena, turning the battle into a free-for-all.
+   **/
+  function addSide() {
+    // A new side without a language means the battle can't go on.
+    stopBattle();
+
+    extraSideCount++;
+    var side = 'extra-' + extraSideCount;
+    var wrapper = document.createElement('div');
+    wrapper.innerHTML = contenderTemplate.innerHTML.replace(/__side__/g, side);
+    var element = wrapper.firstElementChild;
+    contendersElement.appendChild(element);
+
+    sides.push(side);
+    contenders[side] = null;
+    registerSide(side, element);
+    renderArena();
+  }
+
+  /**
+   * Take a side added for a free-for-all out of the arena.
+   *
+   * @param {String} side - the side, e.g. 'extra-1'.
+   **/
+  function removeSide(side) {
+    stopBattle();
+
+    sides.splice(sides.indexOf(side), 1);
+    contendersElement.removeChild(contenderElements[side]);
+    delete contenders[side];
+    delete contenderElements[side];
+    delete coverElements[side];
+    delete countContainerElements[side];
+    delete connectionStatusElements[side];
+    delete charts[side];
+    delete tickers[side];
+    delete baselineStatusElements[side];
+    delete countrySearchInputs[side];
+
+    renderArena();
+  }
+
+  /**
+   * Routing: keeping the URL in sync with the battle (see router.js)
+   **/
+
+  /**
+   * Set the URL to the route of the current battle.  Picking languages adds
+   * an entry to the browser history, so that back and forward go between
+   * battles, while changing the settings of a battle only replaces it.
+   *
+   * @param {Boolean} replace - whether to replace the current history entry.
+   **/
+  function updateRoute(replace) {
+    // A replay isn't a battle anyone can join from a URL.
+    if (replay) {
+      return;
+    }
+
+    var langs = sides.map(function(side) {
+      return contenders[side] ? contenders[side].lang : null;
+    });
+
+    var route = formatRoute({
+      langs: langs,
+      scoring: (scoringName !== DEFAULT_SCORING_STRATEGY) ? scoringName : null,
+      filters: filterNames,
+      metric: (metric !== DEFAULT_EDIT_METRIC) ? metric : null,
+      match: (matchFormat !== DEFAULT_MATCH_FORMAT) ? matchFormat : null,
+    });
+
+    if (route === currentRoute) {
+      return;
+    }
+
+    currentRoute = route;
+    if (replace) {
+      window.history.replaceState(null, '', route);
+    } else {
+      window.location.hash = route;
+    }
+  }
+
+  /**
+   * Set up the battle described by a route: its settings, its sides, and the
+   * language of each side.  Anything in the route we don't know is ignored.
+   *
+   * @param {String} hash - the hash of the URL.
+   **/
+  function applyRoute(hash) {
+    if (replay) {
+      stopReplay();
+    }
+
+    currentRoute = hash;
+
+    var route = parseRoute(hash);
+    stopBattle();
+    applySettings(route);
+
+    // Replays are played with the match format of the page, so that it's
+    // only ever set from the URL.
+    matchFormat = isMatchFormat(route.match) ? route.match : DEFAULT_MATCH_FORMAT;
+    renderMatchOptions();
+
+    applyLanguages(route.langs);
+    startBattleIfReady();
+  }
+
+  /**
+   * Use the scoring strategy, filters and metric of a route or a recording,
+   * or the default ones where they are missing or unknown, or where the
+   * scoring strategy can't score the metric.
+   *
+   * @param {Object} settings - `scoring`, `filters` and `metric`.
+   **/
+  function applySettings(settings) {
+    scoringName = isScoringStrategy(settings.scoring) ?
+      settings.scoring : DEFAULT_SCORING_STRATEGY;
+    metric = isEditMetric(settings.metric) ? settings.metric : DEFAULT_EDIT_METRIC;
+    if (!canScoreMetric(scoringName, metric)) {
+      scoringName = DEFAULT_SCORING_STRATEGY;
+    }
+
+    filterNames = (settings.filters || []).filter(isEditFilter);
+
+    renderMetricOptions();
+    renderScoringOptions();
+    renderFilterOptions();
+    renderActiveFilters();
+  }
+
+  /**
+   * Pick the language of every side, adding or removing sides until there's
+   * one per language, but always at least a left and a right side.  Sides
+   * which already have the right language are left alone.
+   *
+   * @param {Array:String} langs - the language code of each side, or null.
+   **/
+  function applyLanguages(langs) {
+    langs = langs.slice(0, MAX_CONTENDERS);
+    while (sides.length < langs.length) {
+      addSide();
+    }
+
+    while (sides.length > Math.max(langs.length, 2)) {
+      removeSide(sides[sides.length - 1]);
+    }
+
+    sides.forEach(function(side, i) {
+      var lang = langs[i] || null;
+      var currentLang = contenders[side] ? contenders[side].lang : null;
+      if (lang === currentLang) {
+        return;
+      }
+
+      if (currentLang) {
+        deselectLanguage(side);
+      }
+
+      var link = lang && contenderElements[side].querySelector(
+        '.select-country[data-lang="' + lang + '"]');
+      if (link) {
+        selectLanguage(side, link);
+      }
+    });
+  }
+
+  /**
+   * Recording and replaying (see recorder.js and replay.js)
+   **/
+
+  /**
+   * Replay a recorded battle, in place of the current one.  The sides and
+   * settings are those of the recording.
+   *
+   * @param {Object} recording - a parsed recording.
+   **/
+  function startReplay(recording) {
+    if (replay) {
+      stopReplay();
+    }
+
+    stopBattle();
+
+    // Replays always start from scratch, even for a side that already has
+    // the right language, so we clear every side first.
+    sides.forEach(function(side) {
+      if (contenders[side]) {
+        deselectLanguage(side);
+      }
+    });
+
+    replay = new BattleReplay(recording, { speed: replaySpeedSelect.value });
+    applySettings(recording.battle);
+    applyLanguages(recording.battle.contenders.map(function(contender) {
+      return contender.lang;
+    }));
+
+    var ready = sides.every(function(side) {
+      return contenders[side];
+    });
+
+    if (!ready) {
+      stopReplay();
+      replayStatusElement.innerHTML = 'Unknown language in recording';
+      return;
+    }
+
+    startBattleIfReady();
+  }
+
+  /**
+   * Leave a replay, clearing every side, ready for a live battle.
+   **/
+  function stopReplay() {
+    var stoppedReplay = replay;
+    replay = null;
+    stoppedReplay.stop();
+
+    sides.forEach(function(side) {
+      if (contenders[side]) {
+        deselectLanguage(side);
+      }
+    });
+
+    replayStatusElement.innerHTML = '';
+  }
+
+  /**
+   * When a replay has played the whole recording, stop the battle where it
+   * ended, leaving its final scores up.
+   **/
+  function onReplayEnd() {
+    battle.stop();
+    battleLog.end();
+    renderOpenConnections();
+    replayStatusElement.innerHTML = 'Replay finished';
+
+    // The recording may end before the match does.
+    if (match) {
+      match.stop();
+      match = null;
+      matchCountdownElement.innerHTML = 'Recording ended before the match';
+    }
+  }
+
+  /**
+   * Handlers: reacting to user interaction
+   */
+
+  /**
+   * When a flag is clicked, we should display the modal over the list of flags
+   * and store the selected Contender in state.  If every side has been
+   * selected, we should start the battle.
+   *
+   * @param {Object} e - the HTML5 click event.
+   */
+  function onSelectLanguage(e) {
+    // Don't follow the link; the URL is set by updateRoute() instead.
+    e.preventDefault();
+
+    selectLanguage(this.dataset.side, this);
+    startBattleIfReady();
+    updateRoute();
+
+    // Keyboard users land on the button to pick another language.
+    coverElements[this.dataset.side].querySelectorAll('.deselect-country')[0].focus();
+  }
+
+  /**
+   * When the "X" button is clicked, stop any game that is happening and show
+   * the language flags again.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onDeselectLanguage(e) {
+    // Don't follow the link; the URL is set by updateRoute() instead.
+    e.preventDefault();
+
+    leaveSide(this.dataset.side);
+  }
+
+  /**
+   * Show the language flags of a side again, and let keyboard users search
+   * them.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   **/
+  function leaveSide(side) {
+    // Closing any side of a replay leaves the replay.
+    if (replay) {
+      stopReplay();
+    } else {
+      deselectLanguage(side);
+    }
+
+    updateRoute();
+    countrySearchInputs[side].focus();
+  }
+
+  /**
+   * When the search of a side changes, show only the flags matching it.
+   **/
+  function onSearchCountries() {
+    filterCountries(this.dataset.side);
+  }
+
+  /**
+   * In the search box, Enter picks the first flag left, the down arrow moves
+   * to the flags, and Escape clears the search.
+   *
+   * @param {Object} e - the HTML5 keydown event.
+   **/
+  function onSearchKeyDown(e) {
+    var links = visibleCountryLinks(this.dataset.side);
+    if (e.key === 'Enter' && links.length) {
+      e.preventDefault();
+      links[0].click();
+    } else if ((e.key === 'ArrowDown' || e.key === 'Down') && links.length) {
+      e.preventDefault();
+      links[0].focus();
+    } else if ((e.key === 'Escape' || e.key === 'Esc') && this.value) {
+      // Don't leave the side, only the search.
+      e.preventDefault();
+      e.stopPropagation();
+      this.value = '';
+      filterCountries(this.dataset.side);
+    }
+  }
+
+  /**
+   * Move between the flags of a side with the arrow keys: left and right go
+   * to the previous and next flag, up and down to the ones in the previous
+   * and next rows.  Enter picks a flag, like a click.
+   *
+   * @param {Object} e - the HTML5 keydown event.
+   **/
+  function onCountriesKeyDown(e) {
+    var links = visibleCountryLinks(this.dataset.side);
+    var index = links.indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+
+    // The flags wrap, so a row holds as many as share the top of the first.
+    var columns = links.filter(function(link) {
+      return link.offsetTop === links[0].offsetTop;
+    }).length;
+
+    var steps = {
+      ArrowLeft: -1,
+      Left: -1,
+      ArrowRight: 1,
+      Right: 1,
+      ArrowUp: -columns,
+      Up: -columns,
+      ArrowDown: columns,
+      Down: columns,
+    };
+
+    if (!steps[e.key]) {
+      return;
+    }
+
+    // Don't scroll the page.
+    e.preventDefault();
+
+    // Going up from the first row goes back to the search.
+    var next = index + steps[e.key];
+    if (next < 0 && steps[e.key] < -1) {
+      countrySearchInputs[this.dataset.side].focus();
+      return;
+    }
+
+    links[Math.max(0, Math.min(links.length - 1, next))].focus();
+  }
+
+  /**
+   * Escape, anywhere on a side with a language, picks another language.
+   *
+   * @param {Object} e - the HTML5 keydown event.
+   **/
+  function onContenderKeyDown(e) {
+    var side = this.dataset.side;
+    if ((e.key === 'Escape' || e.key === 'Esc') && contenders[side]) {
+      e.preventDefault();
+      leaveSide(side);
+    }
+  }
+
+  /**
+   * When a new scoring strategy is picked, restart the battle with it.
+   **/
+  function onChangeScoring() {
+    scoringName = this.value;
+    stopBattle();
+    startBattleIfReady();
+    updateRoute(true);
+  }
+
+  /**
+   * When a new metric is picked, restart the battle measuring with it, and
+   * with the default scoring strategy if ours can't score it.
+   **/
+  function onChangeMetric() {
+    metric = this.value;
+    metricUnitElement.innerHTML = EDIT_METRICS[metric].unit;
+    if (!canScoreMetric(scoringName, metric)) {
+      scoringName = DEFAULT_SCORING_STRATEGY;
+    }
+
+    renderScoringOptions();
+    stopBattle();
+    startBattleIfReady();
+    updateRoute(true);
+  }
+
+  /**
+   * When the filters button is clicked, show or hide the filters menu.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleFilters(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    filtersMenuElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When a filter is checked or unchecked, restart the battle counting only
+   * the edits that pass every checked filter.
+   **/
+  function onChangeFilters() {
+    var checkboxes = filtersMenuElement.getElementsByClassName('filter-option');
+    filterNames = [];
+    for (var i = 0; i < checkboxes.length; i++) {
+      if (checkboxes[i].checked) {
+        filterNames.push(checkboxes[i].value);
+      }
+    }
+
+    renderActiveFilters();
+    stopBattle();
+    startBattleIfReady();
+    updateRoute(true);
+  }
+
+  /**
+   * When the "Add a language" button is clicked, add a new side to the arena,
+   * turning the battle into a free-for-all.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onAddContender(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    if (sides.length >= MAX_CONTENDERS) {
+      return;
+    }
+
+    if (replay) {
+      stopReplay();
+    }
+
+    addSide();
+    updateRoute();
+  }
+
+  /**
+   * When the "Remove" button of an added side is clicked, take it out of the
+   * arena, and start the battle between the remaining sides if they are all
+   * ready.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onRemoveContender(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    if (replay) {
+      stopReplay();
+    }
+
+    removeSide(this.dataset.side);
+    startBattleIfReady();
+    updateRoute();
+  }
+
+  /**
+   * When the record button is clicked, start or stop recording.  If a live
+   * battle is on, it's recorded from now on.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleRecording(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    recording = !recording;
+    if (recording && battle && !replay) {
+      recorder = new BattleRecorder(BattleRecorder.describe(battle.contenders, {
+        scoring: scoringName,
+        filters: filterNames,
+        metric: metric,
+      }));
+    }
+
+    renderRecording();
+  }
+
+  /**
+   * When the download button is clicked, let the browser download the latest
+   * recording, named after its languages.
+   **/
+  function onDownloadRecording() {
+    if (recordingUrl) {
+      URL.revokeObjectURL(recordingUrl);
+    }
+
+    var langs = recorder.battle.contenders.map(function(contender) {
+      return contender.lang;
+    });
+
+    var blob = new Blob([recorder.toString()], { type: 'application/x-ndjson' });
+    recordingUrl = URL.createObjectURL(blob);
+    this.href = recordingUrl;
+    this.download = 'wiki-battle-' + langs.join('-vs-') + '.ndjson';
+  }
+
+  /**
+   * When the "Export" button is clicked, show or hide the export menu.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleExport(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    exportMenuElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When an export link is clicked, let the browser download the latest
+   * battle in its format, named after its languages: its numbers as CSV or
+   * JSON, or its summary card as a PNG.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onExport(e) {
+    if (exportUrl) {
+      URL.revokeObjectURL(exportUrl);
+      exportUrl = null;
+    }
+
+    var format = this.dataset.format;
+    var langs = battleLog.battle.contenders.map(function(contender) {
+      return contender.lang;
+    });
+
+    if (format === 'png') {
+      var canvas = document.createElement('canvas');
+      if (!drawSummaryCard(canvas, battleLog, { url: window.location.host })) {
+        // Without canvases, there's nothing to download.
+        e.preventDefault();
+        return;
+      }
+
+      this.href = canvas.toDataURL('image/png');
+    } else {
+      var blob = format === 'csv' ?
+        new Blob([battleLog.toCSV()], { type: 'text/csv' }) :
+        new Blob([JSON.stringify(battleLog, null, 2)], { type: 'application/json' });
+      exportUrl = URL.createObjectURL(blob);
+      this.href = exportUrl;
+    }
+
+    this.download = 'wiki-battle-' + langs.join('-vs-') + '.' + format;
+  }
+
+  /**
+   * When a recording is picked, read it and replay it.
+   **/
+  function onLoadRecording() {
+    var file = this.files[0];
+    if (!file) {
+      return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+      var parsed;
+      try {
+        parsed = parseRecording(reader.result);
+      } catch (e) {
+        replayStatusElement.innerHTML = 'Not a battle recording';
+        return;
+      }
+
+      startReplay(parsed);
+    };
+
+    reader.readAsText(file);
+
+    // Let the same file be picked again, to replay it again.
+    this.value = '';
+  }
+
+  /**
+   * When a new replay speed is picked, carry on replaying at that speed.
+   **/
+  function onChangeReplaySpeed() {
+    if (!replay) {
+      return;
+    }
+
+    replay.stop();
+    replay.setSpeed(this.value);
+    if (replay.now() < replay.duration) {
+      replay.play(onReplayEnd);
+    }
+  }
+
+  /**
+   * When a match format is picked, start a new match (or an endless battle)
+   * between the same languages.
+   **/
+  function onChangeMatch() {
+    matchFormat = this.value;
+    stopBattle();
+    startBattleIfReady();
+    updateRoute(true);
+  }
+
+  /**
+   * When the "Rematch" button is clicked, play the match again, from the
+   * start.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onRematch(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    // A replayed match is played again from the start of the recording.
+    if (replay) {
+      startReplay({
+        battle: replay.battle,
+        records: replay.records,
+      });
+      return;
+    }
+
+    stopBattle();
+    startBattleIfReady();
+  }
+
+  /**
+   * When the results of a match are closed, leave the battle as it ended.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onCloseMatchResults(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    matchResultsElement.classList.add('hidden');
+  }
+
+  /**
+   * When the "Matches" button is clicked, show or hide the match history.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleMatchHistory(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    matchHistoryElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When the "Clear history" button is clicked, forget every match played.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onClearMatchHistory(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    matchHistory.clear();
+    renderMatchHistory();
+  }
+
+  /**
+   * When the catalog is loaded, list its languages, then go on with the
+   * tournament we left, if it isn't over, and set up the battle of the URL,
+   * if it has one.
+   *
+   * @param {Object} loaded - the catalog (see validateCatalog).
+   **/
+  function onLoadCatalog(loaded) {
+    catalog = new Catalog(loaded, customCatalog);
+    renderCatalog();
+
+    if (tournament) {
+      playTournament();
+      tournamentElement.classList.toggle('hidden', !!tournament.champion);
+    }
+
+    if (watchSettings.watching) {
+      startWatch();
+    }
+
+    if (window.location.hash) {
+      applyRoute(window.location.hash);
+    }
+  }
+
+  /**
+   * When the catalog can't be loaded, or is invalid, say so in place of its
+   * languages, and go on with the streams the user added.
+   *
+   * @param {Error} error - what went wrong.
+   **/
+  function onCatalogError(error) {
+    catalogError = error;
+    onLoadCatalog({ langs: [] });
+  }
+
+  /**
+   * When the "Streams" button is clicked, show or hide the streams the user
+   * added.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleCustomLangs(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    customLangsElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When a stream is added, check it, keep it, and list it with the other
+   * languages, in place of the catalog's stream for the same language.
+   *
+   * @param {Object} e - the HTML5 submit event.
+   **/
+  function onAddCustomLang(e) {
+    // Don't submit the form
+    e.preventDefault();
+
+    // The stream goes into the catalog, so it has to be loaded first.
+    if (!catalog) {
+      return;
+    }
+
+    var fields = customLangForm.elements;
+    try {
+      customCatalog.add({
+        lang: fields.lang.value.trim(),
+        name: fields.name.value.trim(),
+        country_code: fields.country_code.value.trim().toLowerCase(),
+        url: fields.url.value.trim(),
+        stream: fields.stream.value,
+        direction: fields.direction.checked ? 'rtl' : '',
+      });
+    } catch (error) {
+      customLangStatusElement.innerHTML = error.message.replace(/</g, '&lt;');
+      return;
+    }
+
+    customLangStatusElement.innerHTML = '';
+    customLangForm.reset();
+    catalog.update();
+    renderCatalog();
+  }
+
+  /**
+   * When the "Remove" button of a stream the user added is clicked, forget
+   * it.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onRemoveCustomLang(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    // The catalog has to be loaded to take the stream out of it.
+    if (!catalog) {
+      return;
+    }
+
+    customCatalog.remove(this.dataset.lang);
+    catalog.update();
+    renderCatalog();
+  }
+
+  /**
+   * When the "Bet" button is clicked, stake points on the picked contender
+   * to win the match, at its odds right now.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onPlaceBet(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    if (!match || !canCall(match)) {
+      return;
+    }
+
+    var contender = match.contenders.filter(function(contender) {
+      return contender.side === predictionPickSelect.value;
+    })[0];
+
+    var bet;
+    try {
+      bet = profile.placeBet({
+        lang: contender.lang,
+        name: contender.name,
+        stake: parseInt(predictionStakeInput.value, 10),
+        odds: computeOdds(match)[contender.side],
+      }, match);
+    } catch (error) {
+      predictionStatusElement.innerHTML = error.message;
+      return;
+    }
+
+    predictionStatusElement.innerHTML = bet.stake + ' points on ' + bet.name + ' at ' +
+      bet.odds.toFixed(2);
+    renderProfile();
+    renderPrediction();
+  }
+
+  /**
+   * When the "Start over" button is clicked, forget every call, and start
+   * again with a new profile.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onResetProfile(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    profile.reset();
+    predictionStatusElement.innerHTML = '';
+    renderProfile();
+    renderPrediction();
+  }
+
+  /**
+   * When the pause button is clicked, pause the battle, and its match, or
+   * carry on.  Paused time counts neither for the scores nor in the match.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onTogglePause(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    if (!battle) {
+      return;
+    }
+
+    pausedByUser = !pausedByUser;
+    if (pausedByUser) {
+      battle.pause();
+      if (match) {
+        match.pause();
+      }
+    } else {
+      battle.resume();
+      if (match) {
+        match.resume();
+      }
+    }
+
+    renderPause();
+  }
+
+  /**
+   * When the sound button is clicked, turn the sound on or off.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleSound(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    sonifier.setMuted(!sonifier.muted);
+    renderSound();
+  }
+
+  /**
+   * When the volume slider moves, play louder or quieter.
+   **/
+  function onChangeVolume() {
+    sonifier.setVolume(parseFloat(this.value));
+  }
+
+  /**
+   * When the "Tournament" button is clicked, show or hide the tournament.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleTournament(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    tournamentElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When a "Close" button of the tournament is clicked, hide it.  Its
+   * matches go on.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onCloseTournament(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    tournamentElement.classList.add('hidden');
+  }
+
+  /**
+   * When the "All" or "None" button of the tournament languages is clicked,
+   * pick every language, or none.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onSelectTournamentLangs(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    var inputs = tournamentLangsElement.querySelectorAll('input');
+    for (var i = 0; i < inputs.length; i++) {
+      inputs[i].checked = this === selectAllTournamentLangsButton;
+    }
+  }
+
+  /**
+   * When the "Start the tournament" button is clicked, seed a bracket with
+   * the picked languages, in the order they are listed, and play it with the
+   * settings of the arena.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onStartTournament(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    var langs = [];
+    var inputs = tournamentLangsElement.querySelectorAll('input');
+    for (var i = 0; i < inputs.length; i++) {
+      if (inputs[i].checked) {
+        langs.push(inputs[i].value);
+      }
+    }
+
+    if (langs.length < 2) {
+      tournamentSetupStatusElement.innerHTML = 'Pick at least two languages';
+      return;
+    }
+
+    tournament = new Tournament({
+      langs: langs,
+      format: tournamentFormatSelect.value,
+      elimination: tournamentEliminationSelect.value,
+      parallel: tournamentParallelInput.checked,
+      settings: {
+        scoring: scoringName,
+        filters: filterNames,
+        metric: metric,
+      },
+    });
+
+    tournamentSetupStatusElement.innerHTML = '';
+    tournament.save(getLocalStorage());
+    playTournament();
+  }
+
+  /**
+   * When the "Abandon the tournament" button is clicked, stop its matches,
+   * and forget it.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onAbandonTournament(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    if (tournamentRunner) {
+      tournamentRunner.stop();
+      tournamentRunner = null;
+    }
+
+    Tournament.clear(getLocalStorage());
+    tournament = null;
+    renderTournament();
+  }
+
+  /**
+   * When the "Watch all" button is clicked, show or hide the watch.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleWatch(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    watchElement.classList.toggle('hidden');
+  }
+
+  /**
+   * When the "Start watching" button is clicked, watch every language of the
+   * catalog, or stop watching them.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onToggleWatching(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    // The languages are watched once the catalog is loaded.
+    if (!catalog) {
+      return;
+    }
+
+    if (watch) {
+      stopWatch();
+    } else {
+      startWatch();
+    }
+
+    saveWatchSettings();
+  }
+
+  /**
+   * When the threshold, or for how long it must be crossed, changes, keep
+   * it, and watch with it from now on.  Nonsense is ignored.
+   **/
+  function onChangeWatchSettings() {
+    var threshold = parseFloat(watchThresholdInput.value);
+    var sustain = parseInt(watchSustainInput.value, 10);
+    if (threshold > 0) {
+      watchSettings.threshold = threshold;
+    }
+
+    if (sustain > 0) {
+      watchSettings.sustain = sustain;
+    }
+
+    if (watch) {
+      watch.configure(watchSettings.threshold, watchSettings.sustain);
+    }
+
+    saveWatchSettings();
+  }
+
+  /**
+   * When browser notifications are turned on, ask the browser for them, and
+   * turn them off again if it says no.
+   **/
+  function onChangeWatchNotify() {
+    watchSettings.notify = watchNotifyInput.checked;
+    saveWatchSettings();
+    if (!watchSettings.notify || !window.Notification ||
+        window.Notification.permission === 'granted') {
+      return;
+    }
+
+    window.Notification.requestPermission(function(permission) {
+      watchSettings.notify = permission === 'granted';
+      saveWatchSettings();
+      renderWatch();
+    });
+  }
+
+  /**
+   * When the "Clear alerts" button is clicked, forget every alert raised.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onClearAlerts(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    alertLog.clear();
+    renderAlertLog();
+  }
+
+  /**
+   * When the "Forget baselines" button is clicked, forget everything earlier
+   * battles learned, and restart the battle from scratch.
+   *
+   * @param {Object} e - the HTML5 click event.
+   **/
+  function onForgetBaselines(e) {
+    // Don't follow the link or change the URL
+    e.preventDefault();
+
+    pendingBaselines = {};
+    baselineStore.clear();
+    if (battle && !replay) {
+      stopBattle();
+      startBattleIfReady();
+    }
+  }
+
+  /**
+   * When the URL changes, e.g. when going back to a previous battle, set up
+   * the battle it describes.
+   **/
+  function onHashChange() {
+    // The route is applied once the catalog is loaded.
+    if (!catalog || window.location.hash === currentRoute) {
+      return;
+    }
+
+    applyRoute(window.location.hash);
+  }
+
+  /**
+   * Store the elements of a side, and link up all of its buttons to their
+   * handlers.
+   *
+   * @param {String} side - the side, e.g. 'left'.
+   * @param {Object} element - the HTML element of the side.
+   **/
+  function registerSide(side, element) {
+    contenderElements[side] = element;
+    coverElements[side] = element.querySelectorAll('.cover')[0];
+    countContainerElements[side] = element.querySelectorAll('.counts')[0];
+    connectionStatusElements[side] = element.querySelectorAll('.connection-status')[0];
+    baselineStatusElements[side] = element.querySelectorAll('.baseline-status')[0];
+    countrySearchInputs[side] = element.querySelectorAll('.country-search')[0];
+    charts[side] = new ContenderChart(element.querySelectorAll('.chart')[0]);
+    tickers[side] = new EditTicker(element.querySelectorAll('.ticker')[0]);
+
+    // The flags are listed once the catalog is loaded.
+    if (catalog) {
+      renderCountries(side);
+    }
+
+    element.addEventListener('keydown', onContenderKeyDown);
+    countrySearchInputs[side].addEventListener('input', onSearchCountries);
+    countrySearchInputs[side].addEventListener('keydown', onSearchKeyDown);
+    element.querySelectorAll('.countries')[0].addEventListener('keydown', onCountriesKeyDown);
+
+    var deselectButtons = element.getElementsByClassName('deselect-country');
+    for (var i = 0; i < deselectButtons.length; i++) {
+      deselectButtons[i].addEventListener('click', onDeselectLanguage);
+    }
+
+    var removeButtons = element.getElementsByClassName('remove-contender');
+    for (i = 0; i < removeButtons.length; i++) {
+      removeButtons[i].addEventListener('click', onRemoveContender);
+    }
+  }
+
+  /**
+   * addEventListener calls: Link up all buttons to their handlers
+   **/
+  sides.forEach(function(side) {
+    registerSide(side, document.querySelectorAll('.contender.' + side)[0]);
+  });
+
+  addContenderButton.addEventListener('click', onAddContender);
+  scoringSelect.addEventListener('change', onChangeScoring);
+  metricSelect.addEventListener('change', onChangeMetric);
+  toggleFiltersButton.addEventListener('click', onToggleFilters);
+  toggleRecordingButton.addEventListener('click', onToggleRecording);
+  downloadRecordingButton.addEventListener('click', onDownloadRecording);
+  toggleExportButton.addEventListener('click', onToggleExport);
+  for (var i = 0; i < exportButtons.length; i++) {
+    exportButtons[i].addEventListener('click', onExport);
+  }
+
+  loadRecordingInput.addEventListener('change', onLoadRecording);
+  replaySpeedSelect.addEventListener('change', onChangeReplaySpeed);
+  forgetBaselinesButton.addEventListener('click', onForgetBaselines);
+  matchSelect.addEventListener('change', onChangeMatch);
+  rematchButton.addEventListener('click', onRematch);
+  closeMatchResultsButton.addEventListener('click', onCloseMatchResults);
+  toggleMatchHistoryButton.addEventListener('click', onToggleMatchHistory);
+  clearMatchHistoryButton.addEventListener('click', onClearMatchHistory);
+  toggleCustomLangsButton.addEventListener('click', onToggleCustomLangs);
+  customLangForm.addEventListener('submit', onAddCustomLang);
+  placeBetButton.addEventListener('click', onPlaceBet);
+  resetProfileButton.addEventListener('click', onResetProfile);
+  toggleSoundButton.addEventListener('click', onToggleSound);
+  togglePauseButton.addEventListener('click', onTogglePause);
+  soundVolumeInput.addEventListener('input', onChangeVolume);
+  toggleTournamentButton.addEventListener('click', onToggleTournament);
+  selectAllTournamentLangsButton.addEventListener('click', onSelectTournamentLangs);
+  selectNoTournamentLangsButton.addEventListener('click', onSelectTournamentLangs);
+  startTournamentButton.addEventListener('click', onStartTournament);
+  abandonTournamentButton.addEventListener('click', onAbandonTournament);
+  for (i = 0; i < closeTournamentButtons.length; i++) {
+    closeTournamentButtons[i].addEventListener('click', onCloseTournament);
+  }
+
+  toggleWatchButton.addEventListener('click', onToggleWatch);
+  toggleWatchingButton.addEventListener('click', onToggleWatching);
+  watchThresholdInput.addEventListener('change', onChangeWatchSettings);
+  watchSustainInput.addEventListener('change', onChangeWatchSettings);
+  watchNotifyInput.addEventListener('change', onChangeWatchNotify);
+  clearAlertsButton.addEventListener('click', onClearAlerts);
+
+  window.addEventListener('pagehide', saveBaselines);
+  window.addEventListener('hashchange', onHashChange);
+
+  renderMetricOptions();
+  renderScoringOptions();
+  renderFilterOptions();
+  renderActiveFilters();
+  renderReplaySpeeds();
+  renderRecording();
+  renderExport();
+  renderMatchOptions();
+  renderMatchHistory();
+  renderTournamentOptions();
+  renderWatch();
+  renderAlertLog();
+  renderProfile();
+  renderSound();
+  renderPause();
+  renderOpenConnections();
+  renderArena();
+
+  // The languages are listed, and the battle of the URL restored, once the
+  // catalog is loaded.
+  loadCatalog(catalogUrl, {
+    onLoad: onLoadCatalog,
+    onError: onCatalogError,
+  });
 });
@@ -0,0 +1,243 @@
+/*****************************************************************************
+ * baselines.js                                                              *
+ *                                                                           *
+ * A new battle doesn't know what's normal for its languages yet, so its     *
+ * first minute of scores is mostly noise.  Baselines remember what every    *
+ * battle learned, across page reloads, so that the next one can start from  *
+ * there:                                                                    *
+ *                                                                           *
+ *     var store = new BaselineStore(window.localStorage);                   *
+ *     var key = baselineKey('de', 'edits', []);                             *
+ *     contender.seedStatistics(store.load(key).summaryAt(new Date()));      *
+ *                                                                           *
+ * A baseline summarizes every count seen for a language (its weight, mean   *
+ * and variance, see combineSummaries in statistics.js), and also the counts *
+ * seen in each hour of the week, since Wikipedia is much busier on a Monday *
+ * afternoon than on a Saturday night.  Counts measured with different       *
+ * metrics or filters aren't comparable, so each gets its own baseline.      *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The statistics and storage are either globals in the browser, or modules
+  // in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var statistics = isModule ? require('./statistics') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // Where the baselines are kept in storage.
+  var BASELINE_STORAGE_KEY = 'wiki-battle-baselines';
+
+  // The hours in a week, one profile bucket each.
+  var HOURS_PER_WEEK = 7 * 24;
+
+  // We only trust the profile of an hour of the week once it has seen this
+  // many counts (seconds).  Before then, we use the overall baseline.
+  var MIN_PROFILE_WEIGHT = 600;
+
+  // However much data a baseline has, it seeds a battle as if it were this
+  // many counts, so that what the battle sees live soon outweighs it.
+  var MAX_SEED_WEIGHT = 300;
+
+  var SECONDS_PER_HOUR = 3600;
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * The summary of no values at all.
+   **/
+  function _emptySummary() {
+    return {
+      weight: 0,
+      average: 0,
+      m2: 0,
+    };
+  }
+
+  /**
+   * The hour of the week of a date, from 0 (Sunday, midnight to 1am) to 167.
+   **/
+  function _hourOfWeek(date) {
+    return date.getDay() * 24 + date.getHours();
+  }
+
+  /**
+   * The key of the baseline of a language, measured with a metric and some
+   * filters (see edits.js).
+   *
+   * @param {string} lang - the language code, e.g. 'de'.
+   * @param {string} metric - the name of the metric.
+   * @param {Array:string} filters - the names of the filters.
+   **/
+  function baselineKey(lang, metric, filters) {
+    return [lang, metric, filters.slice().sort().join(',')].join('|');
+  }
+
+  /**
+   * Baseline
+   *
+   * @param {object} data - a baseline as saved by `toJSON`.  Without one, the
+   *   baseline is empty.
+   **/
+  function Baseline(data) {
+    data = data || {};
+
+    // The summary of every count.
+    this.overall = data.overall || _emptySummary();
+
+    // The summary of the counts of each hour of the week, by hour.  Hours
+    // without counts are left out.
+    this.profile = data.profile || {};
+  }
+
+  /**
+   * Add a count to the baseline.
+   *
+   * @param {number} value - the count.
+   * @param {Date} date - when it was counted.
+   **/
+  Baseline.prototype.push = function(value, date) {
+    var summary = {
+      weight: 1,
+      average: value,
+      m2: 0,
+    };
+
+    var hour = _hourOfWeek(date);
+    this.overall = statistics.combineSummaries(this.overall, summary);
+    this.profile[hour] = statistics.combineSummaries(this.profile[hour] || _emptySummary(),
+      summary);
+  };
+
+  /**
+   * Add every count of another baseline to this one.
+   *
+   * @param {Baseline} other - the other baseline.
+   **/
+  Baseline.prototype.merge = function(other) {
+    this.overall = statistics.combineSummaries(this.overall, other.overall);
+    for (var hour = 0; hour < HOURS_PER_WEEK; hour++) {
+      if (other.profile[hour]) {
+        this.profile[hour] = statistics.combineSummaries(this.profile[hour] || _emptySummary(),
+          other.profile[hour]);
+      }
+    }
+  };
+
+  /**
+   * The number of hours of counts in the baseline.
+   **/
+  Baseline.prototype.hours = function() {
+    return this.overall.weight / SECONDS_PER_HOUR;
+  };
+
+  /**
+   * The summary to seed a battle with at some date: that of its hour of the
+   * week, if we have seen enough of it, or else the overall one.  Either way,
+   * it weighs at most MAX_SEED_WEIGHT counts.
+   *
+   * @param {Date} date - when the battle starts.
+   * @return {object} a summary (see combineSummaries in statistics.js).
+   **/
+  Baseline.prototype.summaryAt = function(date) {
+    var summary = this.profile[_hourOfWeek(date)];
+    if (!summary || summary.weight < MIN_PROFILE_WEIGHT) {
+      summary = this.overall;
+    }
+
+    // Scaling the weight down keeps the variance (m2 / weight) the same.
+    var scale = Math.min(1, MAX_SEED_WEIGHT / (summary.weight || 1));
+    return {
+      weight: summary.weight * scale,
+      average: summary.average,
+      m2: summary.m2 * scale,
+    };
+  };
+
+  /**
+   * The baseline, as saved.
+   **/
+  Baseline.prototype.toJSON = function() {
+    return {
+      overall: this.overall,
+      profile: this.profile,
+    };
+  };
+
+  /**
+   * BaselineStore
+   *
+   * Keeps baselines in a Web Storage (e.g. localStorage), all under one key.
+   * Without a storage, or when it's full or disabled (e.g. in private
+   * browsing), baselines are only kept in memory, until the page is closed.
+   *
+   * @param {object} storage - the storage, or null.
+   **/
+  function BaselineStore(storage) {
+    this.storage = storage || null;
+    this.baselines = storages.readJSON(this.storage, BASELINE_STORAGE_KEY, {});
+  }
+
+  /**
+   * The baseline saved under a key, or an empty one.
+   *
+   * @param {string} key - the key of the baseline (see baselineKey).
+   **/
+  BaselineStore.prototype.load = function(key) {
+    return new Baseline(this.baselines[key]);
+  };
+
+  /**
+   * Add the counts of a baseline to the one saved under a key.
+   *
+   * @param {string} key - the key of the baseline (see baselineKey).
+   * @param {Baseline} baseline - the new counts.
+   * @return {Baseline} the saved baseline, with the new counts.
+   **/
+  BaselineStore.prototype.merge = function(key, baseline) {
+    var saved = this.load(key);
+    saved.merge(baseline);
+    this.baselines[key] = saved.toJSON();
+    this.save();
+    return saved;
+  };
+
+  /**
+   * Forget every baseline.
+   **/
+  BaselineStore.prototype.clear = function() {
+    this.baselines = {};
+    storages.removeJSON(this.storage, BASELINE_STORAGE_KEY);
+  };
+
+  /**
+   * Write every baseline to the storage.
+   **/
+  BaselineStore.prototype.save = function() {
+    storages.writeJSON(this.storage, BASELINE_STORAGE_KEY, this.baselines);
+  };
+
+  /**
+   * This exports the baselines, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      Baseline: Baseline,
+      BaselineStore: BaselineStore,
+      baselineKey: baselineKey,
+    };
+  } else {
+    global.Baseline = Baseline;
+    global.BaselineStore = BaselineStore;
+    global.baselineKey = baselineKey;
+  }
+
+}(this));
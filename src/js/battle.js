@@ -1,7 +1,7 @@
 /*****************************************************************************
  * battle.js                                                                 *
  *                                                                           *
- * This controls game logic and statistics for comparing two languages.      *
+ * This controls game logic and statistics for comparing languages.          *
  *                                                                           *
  * Determining a winner:                                                     *
  *                                                                           *
@@ -16,7 +16,7 @@
  * new bucket size data point, I compute a "score" of that data point, which *
  * is the deviation from the average:                                        *
  *                                                                           *
- *     // Contender.prototype.computeStatistics                              *
+ *     // ZScoreStrategy.prototype.score, in scoring.js                      *
  *     var score = (datasetStdDev === 0) ? 0 :                               *
  *        (newCount - datasetAverage) / datasetStdDev;                       *
  *                                                                           *
@@ -31,8 +31,9 @@
  * compared to normal.                                                       *
  *                                                                           *
  * The total score of each language is compared, the language with the       *
- * larger total score is said to be the winner.  The winner is recomputed    *
- * every second, with every new bucket size data point.                      *
+ * largest total score is said to be the winner, and the others are ranked   *
+ * behind it by their total scores.  The ranking is recomputed every second, *
+ * with every new bucket size data point.                                    *
  *****************************************************************************/
 
 // We package all this up as a nice JavaScript library, so that only the Battle
@@ -40,6 +41,16 @@
 (function(global) {
   'use strict';
 
+  // Messages are parsed into edits, and filtered, by edits.js.  Scores are
+  // computed by the scoring strategies in scoring.js, from the running
+  // statistics in statistics.js.  Time is told by clock.js.  All of them are
+  // either globals in the browser, or modules in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var edits = isModule ? require('./edits') : global;
+  var scoring = isModule ? require('./scoring') : global;
+  var statistics = isModule ? require('./statistics') : global;
+  var clocks = isModule ? require('./clock') : global;
+
   /**
    * Global Constants
    **/
@@ -60,12 +71,37 @@
   // this value can be seen in units of seconds or buckets.
   var MAX_SCORES_TO_CONSIDER = 20;
 
+  // This is how many of the most recent bucket counts we keep in
+  // `windowCounts`, for anyone who wants to look back at them.  The
+  // statistics don't need them, so we keep an hour's worth, which is enough to
+  // look back at, without growing forever.
+  var MAX_COUNTS_TO_KEEP = 3600;
+
+  // When a stream source loses its connection, we wait before reconnecting,
+  // doubling the wait after every failed attempt (exponential backoff), up to
+  // a maximum.  Each wait is also randomized a little (jitter), so that when
+  // a server goes down, all of its clients don't reconnect at the same time.
+  var RECONNECT_BASE_DELAY = 1000;
+  var RECONNECT_MAX_DELAY = 30000;
+
+  // After this many failed attempts in a row, we give up, and the contender is
+  // considered dead.
+  var MAX_RECONNECT_ATTEMPTS = 10;
+
+  // The states of a contender's connection to its stream source.
+  var CONNECTION_STATES = {
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    RECONNECTING: 'reconnecting',
+    DEAD: 'dead',
+  };
+
   /**
    * Math Helpers
    **/
 
   /**
-   * _standardDeviation and _average methods taken from:
+   * _average method taken from:
    * http://derickbailey.com/2014/09/21/calculating-standard-deviation-with-array-map-and-array-reduce-in-javascript/
    **/
   function _average(data){
@@ -77,51 +113,54 @@
     return avg;
   }
 
-  /**
-   * _standardDeviation and _average methods taken from:
-   * http://derickbailey.com/2014/09/21/calculating-standard-deviation-with-array-map-and-array-reduce-in-javascript/
-   **/
-  function _standardDeviation(values){
-    var avg = _average(values);
-
-    var squareDiffs = values.map(function(value) {
-      var diff = value - avg;
-      var sqrDiff = diff * diff;
-      return sqrDiff;
-    });
-
-    var avgSquareDiff = _average(squareDiffs);
-
-    var stdDev = Math.sqrt(avgSquareDiff);
-    return stdDev;
-  }
-
   /**
    * Contender
    *
    * @param {string} countryCode - the country code for the flag
    * @param {string} lang - the language code for this language
    * @param {string} name - the name of the language
-   * @param {string} wsUrl - the web socket URL which publishes the edits.
+   * @param {string} side - the slot of the battle this language is in, e.g.
+   *   'left' or 'right'
+   * @param {object} source - the stream source which publishes the edits (see
+   *   sources.js).  It isn't opened until we start listening.  Anything with
+   *   `open` and `close` will do, e.g. a stub publishing made up messages.
+   * @param {object} options - optional settings:
+   *   - horizon, halfLife: how far back the statistics remember (see
+   *     statistics.js).  By default, they remember everything.
+   *   - countsToKeep: how many bucket counts to keep in `windowCounts`.
+   *   - metric: what each bucket counts (see EDIT_METRICS in edits.js).
+   *     Defaults to the number of edits.
+   *   - clock: what tells the time and waits between buckets (see clock.js).
+   *     Defaults to the real clock, a replay uses a virtual one.
    **/
-  function Contender(countryCode, lang, name, side, wsUrl) {
+  function Contender(countryCode, lang, name, side, source, options) {
+    options = options || {};
     this.countryCode = countryCode;
     this.lang = lang;
     this.name = name;
     this.side = side;
-    this.wsUrl = wsUrl;
-
-    // Intialize the web socket but dont' start listening
-    this.ws = new WebSocket(wsUrl);
+    this.source = source;
+    this.countsToKeep = options.countsToKeep || MAX_COUNTS_TO_KEEP;
+    this.metric = options.metric || edits.DEFAULT_EDIT_METRIC;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+    this.statisticsOptions = {
+      horizon: options.horizon,
+      halfLife: options.halfLife,
+    };
 
-    // This is the "bucket" of message times, the datetimes.  This will be
-    // cleared each second.
+    // This is the "bucket" of edits received, each stamped with the time it
+    // was received.  This will be cleared each second.
     this.bucket = [];
 
     // This is persistent state, containing one entry with the number of
-    // edits per second
+    // edits per second (or bytes per second, depending on `this.metric`), for
+    // the `this.countsToKeep` most recent seconds.
     this.windowCounts = [];
 
+    // The running statistics (mean, standard deviation, etc.) of every
+    // bucket count so far, or of the ones inside the horizon.
+    this.statistics = new statistics.RunningStatistics(this.statisticsOptions);
+
     // This the rolling window of scores of the MAX_SCORES_TO_CONSIDER most
     // recent scores.
     this.scores = [];
@@ -129,48 +168,166 @@
     // The total score, computed from `this.scores`.
     this.totalScore = 0;
 
-    // Used to compute time deltas
-    this.previousMessageTime = null;
+    // What we expected the latest bucket count to be: the mean and standard
+    // deviation of the counts before it.
+    this.expected = {
+      mean: 0,
+      standardDeviation: 0,
+    };
+
+    // The scoring strategy which computes each score (see scoring.js).
+    this.scoring = scoring.createScoringStrategy();
+
+    // The names of the edit filters an edit must pass to be counted, and the
+    // function which applies them (see edits.js).  By default, every edit is
+    // counted.
+    this.filterNames = [];
+    this.filter = edits.createEditFilter(this.filterNames);
 
     // Used to control the infinite listening loop.
     this.timeoutId = null;
+
+    // The callbacks of the battle we are in, whether we are listening to the
+    // stream source, whether we are paused, and whether we were closed for
+    // good (see `close`).
+    this.callbacks = null;
+    this.listening = false;
+    this.paused = false;
+    this.closed = false;
+
+    // The state of the connection to the stream source, one of
+    // CONNECTION_STATES.
+    this.connectionState = null;
+
+    // The number of failed attempts to reconnect in a row, and the timeout of
+    // the next attempt.
+    this.reconnectAttempts = 0;
+    this.reconnectTimeoutId = null;
   }
 
+  // Expose the connection states, so that the UI can compare against them.
+  Contender.CONNECTION_STATES = CONNECTION_STATES;
+
+  // Expose how many scores make the total score, so that predictions can
+  // tell how much it can still change (see predictions.js).
+  Contender.MAX_SCORES_TO_CONSIDER = MAX_SCORES_TO_CONSIDER;
+
   /**
-   * Start listening to the websocket.
+   * Start listening to the stream source.
    *
-   * @param {function} onNewCount - callback to call when we get a new bucket.
+   * @param {object} callbacks - the callbacks to call:
+   *   - onNewCount: when we get a new bucket.
+   *   - onConnectionChange: when the state of the connection to the stream
+   *     source changes.
+   *   - onEdit: with every edit we count.
+   *   - onMessage: with every raw message the source publishes, counted or
+   *     not.
    **/
-  Contender.prototype.startListening = function(onNewCount) {
+  Contender.prototype.startListening = function(callbacks) {
+    if (this.closed) {
+      throw new Error('Contender ' + this.lang + ' is closed');
+    }
 
-    this.callbacks = {
-      onNewCount: onNewCount
-    };
+    // Listening again, e.g. in a new battle, drops the connection and the
+    // edits of the previous one, rather than mixing them into this one.
+    this.stopListening();
+
+    this.callbacks = callbacks;
+    this.listening = true;
+
+    this.reconnectAttempts = 0;
+    this.setConnectionState(CONNECTION_STATES.CONNECTING);
+    this.connect();
+
+    // Run computeStatistics for the first time, which will call itself
+    // infinitely, as long as this.timeoutId is not cleared.
+    this.computeStatistics();
+  };
+
+  /**
+   * Open the stream source, and handle its messages and connection changes.
+   **/
+  Contender.prototype.connect = function() {
 
-    /* Note that we are not using the `message` parameter that would usually
-     * be passed into this funciton, because we aren't doing anything with the
-     * content of the message itself, just the time it was received.
+    /* The content of the message decides whether we count it, using our
+     * edit filters, and how much it weighs, if we count bytes.
      *
-     * This is called every time a new message is published on the web socket
+     * This is called every time a new message is published by the source.
      */
-    this.ws.onmessage = function() {
-
-      // Compute the delta time from last message.
-      var time = Date.now();
-      if (this.previousMessageTime) {
-        var delta = time - this.previousMessageTime;
-        this.previousMessageTime = time;
-
-        // Add the delta to the current bucket
-        this.bucket.push(delta);
-      } else {
-        this.previousMessageTime = time;
+    var onMessage = function(data) {
+      // Paused time doesn't count, nor does anything said meanwhile.
+      if (this.paused) {
+        return;
+      }
+
+      if (this.callbacks.onMessage) {
+        this.callbacks.onMessage(data, this.side);
+      }
+
+      var edit = edits.parseEdit(data);
+      if (!this.filter(edit)) {
+        return;
+      }
+
+      // Add the edit to the current bucket
+      edit.receivedAt = this.clock.now();
+      this.bucket.push(edit);
+
+      if (this.callbacks.onEdit) {
+        this.callbacks.onEdit(edit, this.side);
       }
     }.bind(this);
 
-    // Run computeStatistics for the first time, which will call itself
-    // infinitely, as long as this.timeoutId is not cleared.
-    this.computeStatistics();
+    this.source.open({
+      onOpen: function() {
+        this.reconnectAttempts = 0;
+        this.setConnectionState(CONNECTION_STATES.LIVE);
+      }.bind(this),
+      onMessage: onMessage,
+      onClose: this.reconnect.bind(this),
+    });
+  };
+
+  /**
+   * When the connection to the stream source is lost, wait, then try again.
+   * We wait exponentially longer after each failed attempt, and give up after
+   * MAX_RECONNECT_ATTEMPTS.
+   **/
+  Contender.prototype.reconnect = function() {
+    this.source.close();
+
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.setConnectionState(CONNECTION_STATES.DEAD);
+      return;
+    }
+
+    this.setConnectionState(CONNECTION_STATES.RECONNECTING);
+
+    // Wait somewhere between half and all of the backoff delay.
+    var delay = Math.min(
+      RECONNECT_MAX_DELAY,
+      RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts)
+    );
+    delay = delay / 2 + Math.random() * delay / 2;
+    this.reconnectAttempts++;
+
+    this.reconnectTimeoutId = this.clock.setTimeout(this.connect.bind(this), delay);
+  };
+
+  /**
+   * Update the state of the connection, and let the UI know if it changed.
+   *
+   * @param {string} state - one of CONNECTION_STATES.
+   **/
+  Contender.prototype.setConnectionState = function(state) {
+    if (state === this.connectionState) {
+      return;
+    }
+
+    this.connectionState = state;
+    if (this.callbacks && this.callbacks.onConnectionChange) {
+      this.callbacks.onConnectionChange(state, this.side);
+    }
   };
 
   /**
@@ -191,47 +348,142 @@
     this.totalScore = _average(this.scores);
   };
 
+  /**
+   * Score new counts with a different strategy.  Scores of different
+   * strategies can't be compared, so we forget the scores we had.
+   *
+   * @param {object} strategy - a scoring strategy (see scoring.js).
+   **/
+  Contender.prototype.setScoring = function(strategy) {
+    this.scoring = strategy;
+    this.resetScores();
+  };
+
+  /**
+   * Forget every score, but not the statistics, e.g. at the start of a new
+   * round of a match (see match.js).
+   **/
+  Contender.prototype.resetScores = function() {
+    this.scores = [];
+    this.totalScore = 0;
+  };
+
+  /**
+   * Count only the edits that pass some edit filters.  The statistics we
+   * learned counting other edits don't apply anymore, so we start over.
+   *
+   * @param {Array:string} filterNames - names of filters (see edits.js).
+   **/
+  Contender.prototype.setFilters = function(filterNames) {
+    this.filterNames = filterNames.slice();
+    this.filter = edits.createEditFilter(this.filterNames);
+    this.resetStatistics();
+  };
+
+  /**
+   * Count something else in each bucket, e.g. bytes instead of edits.  The
+   * statistics we learned counting something else don't apply anymore, so we
+   * start over.
+   *
+   * @param {string} metric - the name of a metric (see edits.js).
+   **/
+  Contender.prototype.setMetric = function(metric) {
+    this.metric = metric;
+    this.resetStatistics();
+  };
+
+  /**
+   * Start from counts seen before, e.g. in an earlier battle (see
+   * baselines.js), rather than from scratch.  Changing the filters or metric
+   * forgets them again, since they were measured differently.
+   *
+   * @param {object} summary - the `weight`, `average` and `m2` of the counts
+   *   (see combineSummaries in statistics.js).
+   **/
+  Contender.prototype.seedStatistics = function(summary) {
+    if (summary.weight > 0) {
+      this.statistics.seed(summary);
+    }
+  };
+
+  /**
+   * Forget every bucket count and score, as if the battle just started.
+   **/
+  Contender.prototype.resetStatistics = function() {
+    this.bucket = [];
+    this.windowCounts = [];
+    this.statistics = new statistics.RunningStatistics(this.statisticsOptions);
+    this.scoring = scoring.createScoringStrategy(this.scoring.name, this.metric);
+    this.resetScores();
+  };
+
+  /**
+   * Scores a new bucket count against the statistics of the bucket counts
+   * before it, then adds it to those statistics.  This takes the same time
+   * however long the battle has been going on.
+   *
+   * @param {Number} newCount - the number of edits (or bytes, etc.) in the
+   *   latest bucket.
+   **/
+  Contender.prototype.addNewCount = function(newCount) {
+    this.expected = {
+      mean: this.statistics.mean(),
+      standardDeviation: this.statistics.standardDeviation(),
+    };
+
+    // If we have nontrivial data, do statistics
+    if (this.statistics.count > 1) {
+
+      // Let the scoring strategy decide how abnormal the new count is,
+      // compared to the statistics of the counts before it.
+      var score = this.scoring.score(newCount, this.statistics);
+      this.addNewScore(score);
+    }
+
+    // Store the new bucket size in state
+    this.statistics.push(newCount);
+    this.windowCounts.push(newCount);
+    while (this.windowCounts.length > this.countsToKeep) {
+      this.windowCounts.shift();
+    }
+  };
+
   /**
    * Gathers a new data point for the size of the `this.windowCounts` bucket,
-   * and computes the average and standard deviation of the dataset of bucket
-   * counts, creating a new score for the most recent data point.
+   * and scores it with addNewCount().
    *
    * Once called, this funciton will call itself infinitely, every
    * MESSAGE_WINDOW_SIZE milliseconds.
    *
+   * Seconds during which we aren't connected to the stream source are thrown
+   * away: an outage isn't a quiet period, and shouldn't count as one.
+   *
    * Also calls the UI callback.
    */
   Contender.prototype.computeStatistics = function() {
     // Call every MESSAGE_WINDOW_SIZE seconds.
-    this.timeoutId = window.setTimeout(function() {
+    this.timeoutId = this.clock.setTimeout(function() {
 
       // Grab the current bucket, then empty the bucket.
-      var deltas = this.bucket;
+      var bucket = this.bucket;
       this.bucket = [];
 
-      // get the bucket size.
-      var newCount = deltas.length;
-
-      // If we have nontrivial data, do statistics
-      if (this.windowCounts.length > 1) {
+      // Measure the bucket, in edits, bytes, etc., and pick out the measure
+      // of our metric.
+      var measure = edits.measureEdits(bucket);
+      var newCount = measure[this.metric];
 
-        // Compute the average and std deviation of the windowCounts
-        var datasetAverage = _average(this.windowCounts);
-        var datasetStdDev = _standardDeviation(this.windowCounts);
-
-        // If the standard deviation is zero, then the score is zero,
-        // otherwise, it's the differnce between the new count (bucket size)
-        // and the dataset average divided by the standard deviation.  If a
-        // point is 2 standard deviations above the mean, then the score is 2.
-        var score = (datasetStdDev === 0) ? 0 : (newCount - datasetAverage) / datasetStdDev;
-        this.addNewScore(score);
+      // If we aren't connected, skip this bucket.
+      if (this.connectionState !== CONNECTION_STATES.LIVE) {
+        this.computeStatistics();
+        return;
       }
 
-      // Store the new bucket size in state
-      this.windowCounts.push(newCount);
+      this.addNewCount(newCount);
 
-      // call the callback to the UI.
-      this.callbacks.onNewCount(newCount, this.side);
+      // call the callback to the UI, with the number of edits, and the
+      // measure of every metric.
+      this.callbacks.onNewCount(measure.edits, this.side, measure);
 
       // Call recursively, until the timeout is cleared.
       this.computeStatistics();
@@ -240,50 +492,147 @@
   };
 
   /**
-   * Stop listening to the websocket, and stop computing stats.
+   * Stop listening to the stream source, and stop computing stats.  The
+   * statistics are kept, to listen again later.
    **/
   Contender.prototype.stopListening = function() {
-    this.ws.onmessage = null; // stop web socket
-    window.clearTimeout(this.timeoutId); // stop computing stats
+    this.source.close(); // stop the stream source
+    this.clock.clearTimeout(this.timeoutId); // stop computing stats
+    this.clock.clearTimeout(this.reconnectTimeoutId); // stop reconnecting
+    this.timeoutId = null;
+    this.reconnectTimeoutId = null;
+    this.bucket = [];
+    this.listening = false;
+    this.paused = false;
+    this.connectionState = null;
+  };
+
+  /**
+   * Stop counting, but stay connected, so that we can carry on right away.
+   * Edits published while paused are dropped, and no buckets are counted, so
+   * paused time doesn't count.
+   **/
+  Contender.prototype.pause = function() {
+    if (!this.listening || this.paused) {
+      return;
+    }
+
+    this.paused = true;
+    this.clock.clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.bucket = [];
+  };
+
+  /**
+   * Carry on counting after a pause, from a fresh bucket.
+   **/
+  Contender.prototype.resume = function() {
+    if (!this.listening || !this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this.bucket = [];
+    this.computeStatistics();
+  };
+
+  /**
+   * Stop listening for good, e.g. when the language leaves the battle, and
+   * let go of the callbacks of the battle.  A closed contender can't listen
+   * again.
+   **/
+  Contender.prototype.close = function() {
+    this.stopListening();
+    this.callbacks = null;
+    this.closed = true;
   };
 
   /**
-   * The Battle class keeps track of which contender is winning, and starts and
-   * stops the battle when told.
+   * The Battle class keeps track of how the contenders rank against each
+   * other, and which one is winning, and starts and stops the battle when
+   * told.  A battle can have any number of contenders, though two is the
+   * classic match-up.
    *
-   * @param {object:Contender} leftContender - the left contender
-   * @param {object:Contender} rigthContender - the rigth contender
-   * @param {function} onNewCount - to be called when a new bucket is counted.
-   * @param {function} onChangeWinner - to be called there is a new winner.
+   * @param {Array:Contender} contenders - the contenders, in their initial
+   *   order.
+   * @param {object} callbacks - the UI callbacks:
+   *   - onNewCount: to be called when a new bucket is counted, with the number
+   *     of edits, the side, and the measure of the bucket (see edits.js).
+   *   - onChangeWinner: to be called there is a new winner.
+   *   - onRankChange: to be called when the ranking of the contenders changes.
+   *   - onConnectionChange: to be called when the connection state of a
+   *     contender changes.
+   *   - onEdit: to be called with every edit counted, and the side of the
+   *     contender that counted it.
+   *   - onMessage: to be called with every raw message a contender's source
+   *     publishes, and the side of the contender, e.g. to record them.
+   * @param {object} options - the settings of the battle:
+   *   - scoring: the name of the scoring strategy that every contender should
+   *     use (see scoring.js).  Defaults to z-scores.
+   *   - filters: the names of the edit filters an edit must pass to be
+   *     counted (see edits.js).  Defaults to none, counting every edit.
+   *   - metric: the name of the metric every bucket is measured with (see
+   *     edits.js).  Defaults to the number of edits.
    */
-  function Battle(leftContender, rightContender, onNewCount, onChangeWinner) {
-    // Our only special state is winner, which is the Contender that is winning.
+  function Battle(contenders, callbacks, options) {
+    options = options || {};
+
+    // The Contender that is winning.
     this.winner = null;
 
+    // The contenders, ordered by their total score, from first to last.
+    this.ranking = contenders.slice();
+
     // Store the arguments passed.
-    this.left = leftContender;
-    this.right = rightContender;
-    this.callbacks = {
-      onNewCount: onNewCount,
-      onChangeWinner: onChangeWinner,
-    };
+    this.contenders = contenders;
+    this.callbacks = callbacks;
+    this.scoringName = options.scoring || scoring.DEFAULT_SCORING_STRATEGY;
+    this.filterNames = options.filters || [];
+    this.metric = options.metric || edits.DEFAULT_EDIT_METRIC;
+
+    // Whether the battle is paused (see `pause`).
+    this.paused = false;
 
     return this;
   }
 
+  /**
+   * Sort the contenders by their total score, largest first.  Contenders with
+   * equal scores keep their previous order, so that a tie doesn't shuffle the
+   * ranking.
+   **/
+  Battle.prototype.rank = function() {
+    var previousRanking = this.ranking;
+    return previousRanking.slice().sort(function(a, b) {
+      return (b.totalScore - a.totalScore) ||
+        (previousRanking.indexOf(a) - previousRanking.indexOf(b));
+    });
+  };
+
   /**
    * When a contender gets a new count, it calls the function that this method
-   * returns, which will determine if a new winner exists, then reflects any
-   * such change in the UI.
+   * returns, which will rerank the contenders and determine if a new winner
+   * exists, then reflects any such change in the UI.
    **/
   Battle.prototype.getOnNewCount = function()  {
-    return function(count, side) {
+    return function(count, side, measure) {
       // UI Callback for a new count.
-      this.callbacks.onNewCount(count, side);
+      this.callbacks.onNewCount(count, side, measure);
+
+      // See if the ranking changed
+      var oldRanking = this.ranking;
+      this.ranking = this.rank();
+      var rankChanged = this.ranking.some(function(contender, i) {
+        return contender !== oldRanking[i];
+      });
+
+      if (rankChanged && this.callbacks.onRankChange) {
+        this.callbacks.onRankChange(this.ranking);
+      }
 
       // See if we have a new winner
       var oldWinnerSide = (this.winner) ? this.winner.side : 'none';
-      this.winner = (this.left.totalScore > this.right.totalScore) ? this.left : this.right;
+      this.winner = this.ranking[0];
       if (this.winner.side !== oldWinnerSide) {
         // If we do, call the UI callback
         this.callbacks.onChangeWinner(this.winner);
@@ -292,22 +641,166 @@
   };
 
   /**
-   * Stop both the left and right contenders from listening to their web
-   * sockets.
+   * When a contender's connection to its stream source changes, it calls the
+   * function that this method returns, which reflects the change in the UI.
+   **/
+  Battle.prototype.getOnConnectionChange = function() {
+    return function(state, side) {
+      if (this.callbacks.onConnectionChange) {
+        this.callbacks.onConnectionChange(state, side);
+      }
+    }.bind(this);
+  };
+
+  /**
+   * When a contender counts an edit, it calls the function that this method
+   * returns, which shows the edit in the UI.
+   **/
+  Battle.prototype.getOnEdit = function() {
+    return function(edit, side) {
+      if (this.callbacks.onEdit) {
+        this.callbacks.onEdit(edit, side);
+      }
+    }.bind(this);
+  };
+
+  /**
+   * When a contender's source publishes a message, it calls the function that
+   * this method returns, which passes the raw message on to the UI.
+   **/
+  Battle.prototype.getOnMessage = function() {
+    return function(data, side) {
+      if (this.callbacks.onMessage) {
+        this.callbacks.onMessage(data, side);
+      }
+    }.bind(this);
+  };
+
+  /**
+   * Stop all of the contenders from listening to their stream sources.  They
+   * keep their statistics, so that a new battle can start from them.
    **/
   Battle.prototype.stop = function() {
-    this.left.stopListening();
-    this.right.stopListening();
+    this.contenders.forEach(function(contender) {
+      contender.stopListening();
+    });
+
+    this.paused = false;
+  };
+
+  /**
+   * Stop the battle for good, closing every contender (see
+   * Contender.prototype.close), and letting go of the UI callbacks.
+   **/
+  Battle.prototype.dispose = function() {
+    this.stop();
+    this.contenders.forEach(function(contender) {
+      contender.close();
+    });
+
+    this.callbacks = {};
+  };
+
+  /**
+   * Pause every contender, staying connected (see Contender.prototype.pause).
+   **/
+  Battle.prototype.pause = function() {
+    this.paused = true;
+    this.contenders.forEach(function(contender) {
+      contender.pause();
+    });
+  };
+
+  /**
+   * Carry on after a pause.
+   **/
+  Battle.prototype.resume = function() {
+    this.paused = false;
+    this.contenders.forEach(function(contender) {
+      contender.resume();
+    });
+  };
+
+  /**
+   * Put a contender on the side of another, in the battle and the ranking,
+   * the others keeping their place.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   * @param {Contender} contender - the contender taking it.
+   * @return {Contender} the contender that was on the side.
+   **/
+  Battle.prototype.swapContender = function(side, contender) {
+    var previous = this.contenders.filter(function(other) {
+      return other.side === side;
+    })[0];
+
+    if (!previous) {
+      throw new Error('No contender on side ' + side);
+    }
+
+    this.contenders[this.contenders.indexOf(previous)] = contender;
+    this.ranking[this.ranking.indexOf(previous)] = contender;
+    if (this.winner === previous) {
+      this.winner = null;
+    }
+
+    return previous;
+  };
+
+  /**
+   * Change the language of one side, closing its contender, and starting the
+   * new one.  The other contenders carry on, with their connections and
+   * statistics, and the battle stays paused if it was.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   * @param {Contender} contender - the contender taking it.
+   **/
+  Battle.prototype.replaceContender = function(side, contender) {
+    this.swapContender(side, contender).close();
+    this.startContender(contender);
+    if (this.paused) {
+      contender.pause();
+    }
+  };
+
+  /**
+   * Start a contender with our filters, metric and scoring strategy, passing
+   * the result of getOnNewCount(), getOnConnectionChange(), getOnEdit() and
+   * getOnMessage(), which are our callbacks, so that it can call them when
+   * it gets a new bucket count, when its connection changes, when it counts
+   * an edit, or when its source publishes a message.
+   *
+   * @param {Contender} contender - the contender.
+   **/
+  Battle.prototype.startContender = function(contender) {
+    if (contender.filterNames.join() !== this.filterNames.join()) {
+      contender.setFilters(this.filterNames);
+    }
+
+    // The scoring strategy goes first, since the one we had may not be able to
+    // score our metric.
+    if (contender.scoring.name !== this.scoringName) {
+      contender.setScoring(scoring.createScoringStrategy(this.scoringName, this.metric));
+    }
+
+    if (contender.metric !== this.metric) {
+      contender.setMetric(this.metric);
+    }
+
+    contender.startListening({
+      onNewCount: this.getOnNewCount(),
+      onConnectionChange: this.getOnConnectionChange(),
+      onEdit: this.getOnEdit(),
+      onMessage: this.getOnMessage(),
+    });
   };
 
   /**
-   * Start both the left and right contenders, passing the result of
-   * getOnNewCount(), which is our callback, to the contender so that it can
-   * call it when it gets a new bucket count.
+   * Start all of the contenders (see startContender).
    **/
   Battle.prototype.start = function() {
-    this.left.startListening(this.getOnNewCount());
-    this.right.startListening(this.getOnNewCount());
+    this.paused = false;
+    this.contenders.forEach(this.startContender, this);
   };
 
   /**
@@ -0,0 +1,257 @@
+/*****************************************************************************
+ * card.js                                                                   *
+ *                                                                           *
+ * Draws the summary card of a battle on a canvas, to download as a PNG and  *
+ * share: the languages, who was winning at the end, the total score of      *
+ * each over time, and the settings of the battle:                           *
+ *                                                                           *
+ *     var canvas = document.createElement('canvas');                        *
+ *     drawSummaryCard(canvas, log, { url: 'battle.schlosser.io' });         *
+ *     canvas.toDataURL('image/png');                                        *
+ *                                                                           *
+ * The card is CARD_WIDTH by CARD_HEIGHT, the size social networks show the  *
+ * images of the share meta tags at (see `meta.image` in data.yml).  It's    *
+ * drawn from a BattleLog (see export.js), so that it matches the numbers    *
+ * exported with it.                                                         *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The scoring and edits are either globals in the browser, or modules in
+  // Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var scoring = isModule ? require('./scoring') : global;
+  var edits = isModule ? require('./edits') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The size of the card, in pixels.
+  var CARD_WIDTH = 1200;
+  var CARD_HEIGHT = 630;
+
+  // The space around everything, and the height of the banner at the top.
+  var MARGIN = 48;
+  var BANNER_HEIGHT = 96;
+
+  // The colors of the page (see _colors.scss), and of each contender, in
+  // order.  There are more contenders than colors in a big free-for-all, so
+  // they go around.
+  var BLACK = '#222222';
+  var WHITE = '#FFFFFF';
+  var YELLOW = '#F2BE55';
+  var CONTENDER_COLORS = [
+    '#3C9A5F', '#D9534F', '#2F6FB0', '#E07A2F', '#7E57C2', '#2A9D8F', '#B5852A', '#777777',
+  ];
+
+  var FONT = '"Helvetica Neue", Helvetica, Arial, sans-serif';
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * Format a duration, in miliseconds, like a clock, e.g. 2:05.
+   **/
+  function _formatDuration(duration) {
+    var seconds = Math.floor(duration / 1000);
+    return Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+  }
+
+  /**
+   * The latest total score of a contender of the log, or 0 if it has none.
+   **/
+  function _finalScore(log, lang) {
+    var seconds = log.seconds[lang];
+    return seconds.length ? seconds[seconds.length - 1].totalScore : 0;
+  }
+
+  /**
+   * Draw the total score of every contender over time, with a tick at every
+   * change of winner.
+   **/
+  function _drawScores(context, log, box) {
+    var duration = 1;
+    var lowest = 0;
+    var highest = 0;
+    Object.keys(log.seconds).forEach(function(lang) {
+      log.seconds[lang].forEach(function(second) {
+        duration = Math.max(duration, second.t);
+        lowest = Math.min(lowest, second.totalScore);
+        highest = Math.max(highest, second.totalScore);
+      });
+    });
+
+    // Leave some room above and below the lines.
+    var padding = (highest - lowest) * 0.1 || 1;
+    lowest -= padding;
+    highest += padding;
+
+    var x = function(t) {
+      return box.x + box.width * t / duration;
+    };
+
+    var y = function(score) {
+      return box.y + box.height * (highest - score) / (highest - lowest);
+    };
+
+    context.strokeStyle = BLACK;
+    context.lineWidth = 2;
+    context.strokeRect(box.x, box.y, box.width, box.height);
+
+    // The line at zero, and the changes of winner.
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(box.x, y(0));
+    context.lineTo(box.x + box.width, y(0));
+    log.winnerChanges.forEach(function(change) {
+      context.moveTo(x(change.t), box.y + box.height);
+      context.lineTo(x(change.t), box.y + box.height - 12);
+    });
+
+    context.stroke();
+
+    context.lineWidth = 4;
+    log.battle.contenders.forEach(function(contender, i) {
+      context.strokeStyle = CONTENDER_COLORS[i % CONTENDER_COLORS.length];
+      context.beginPath();
+      log.seconds[contender.lang].forEach(function(second, j) {
+        if (j === 0) {
+          context.moveTo(x(second.t), y(second.totalScore));
+        } else {
+          context.lineTo(x(second.t), y(second.totalScore));
+        }
+      });
+
+      context.stroke();
+    });
+  }
+
+  /**
+   * Draw the summary card of a battle.
+   *
+   * @param {Object} canvas - the canvas to draw on.  It's resized to the
+   *   card.
+   * @param {BattleLog} log - the log of the battle (see export.js).
+   * @param {object} options - optional settings:
+   *   - url: where to watch battles, written at the bottom.
+   * @return {boolean} whether the card could be drawn, which needs a
+   *   browser that draws on canvases.
+   **/
+  function drawSummaryCard(canvas, log, options) {
+    options = options || {};
+    var context = canvas.getContext && canvas.getContext('2d');
+    if (!context) {
+      return false;
+    }
+
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+
+    var contenders = log.battle.contenders;
+    var leaderChange = log.winnerChanges[log.winnerChanges.length - 1];
+    var leader = leaderChange && contenders.filter(function(contender) {
+      return contender.lang === leaderChange.lang;
+    })[0];
+
+    // The background, and the banner.
+    context.fillStyle = WHITE;
+    context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    context.fillStyle = YELLOW;
+    context.fillRect(0, 0, CARD_WIDTH, BANNER_HEIGHT);
+
+    context.fillStyle = BLACK;
+    context.textBaseline = 'middle';
+    context.font = 'bold 48px ' + FONT;
+    context.fillText('WIKI BATTLE!', MARGIN, BANNER_HEIGHT / 2);
+
+    var duration = 0;
+    Object.keys(log.seconds).forEach(function(lang) {
+      var seconds = log.seconds[lang];
+      duration = Math.max(duration, seconds.length ? seconds[seconds.length - 1].t : 0);
+    });
+
+    context.textAlign = 'right';
+    context.font = '28px ' + FONT;
+    context.fillText(new Date(log.startedAt).toLocaleDateString() + ', ' +
+      _formatDuration(duration), CARD_WIDTH - MARGIN, BANNER_HEIGHT / 2);
+
+    // Who was winning at the end.
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+    context.font = 'bold 44px ' + FONT;
+    context.fillText(leader ? leader.name + ' wins!' : 'Nobody took the lead',
+      MARGIN, BANNER_HEIGHT + 80, CARD_WIDTH / 2 - MARGIN * 2);
+
+    // Every contender, from the highest total score to the lowest, with its
+    // color in the chart.
+    var ranking = contenders.map(function(contender, i) {
+      return {
+        name: contender.name,
+        score: _finalScore(log, contender.lang),
+        color: CONTENDER_COLORS[i % CONTENDER_COLORS.length],
+      };
+    }).sort(function(a, b) {
+      return b.score - a.score;
+    });
+
+    var rowHeight = Math.min(48, (CARD_HEIGHT - BANNER_HEIGHT - 220) / ranking.length);
+    context.font = Math.round(rowHeight * 0.6) + 'px ' + FONT;
+    ranking.forEach(function(entry, i) {
+      var top = BANNER_HEIGHT + 120 + i * rowHeight;
+      context.fillStyle = entry.color;
+      context.fillRect(MARGIN, top + rowHeight * 0.2, rowHeight * 0.6, rowHeight * 0.6);
+      context.fillStyle = BLACK;
+      context.textBaseline = 'middle';
+      context.fillText(entry.name, MARGIN + rowHeight, top + rowHeight / 2,
+        CARD_WIDTH / 2 - MARGIN * 4 - rowHeight * 2);
+      context.textAlign = 'right';
+      context.fillText(entry.score.toFixed(2), CARD_WIDTH / 2 - MARGIN, top + rowHeight / 2);
+      context.textAlign = 'left';
+    });
+
+    _drawScores(context, log, {
+      x: CARD_WIDTH / 2,
+      y: BANNER_HEIGHT + MARGIN,
+      width: CARD_WIDTH / 2 - MARGIN,
+      height: CARD_HEIGHT - BANNER_HEIGHT - MARGIN * 3,
+    });
+
+    // The settings of the battle, and where to watch more.
+    var strategy = scoring.SCORING_STRATEGIES[log.battle.scoring];
+    var metric = edits.EDIT_METRICS[log.battle.metric];
+    context.fillStyle = BLACK;
+    context.textBaseline = 'alphabetic';
+    context.font = '24px ' + FONT;
+    context.fillText('Scored by ' + (strategy ? strategy.prototype.label : log.battle.scoring) +
+      ', counting ' + (metric ? metric.unit : log.battle.metric),
+      MARGIN, CARD_HEIGHT - MARGIN);
+
+    if (options.url) {
+      context.textAlign = 'right';
+      context.font = 'bold 24px ' + FONT;
+      context.fillText(options.url, CARD_WIDTH - MARGIN, CARD_HEIGHT - MARGIN);
+    }
+
+    return true;
+  }
+
+  /**
+   * This exports the summary card, so that it is available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      CARD_WIDTH: CARD_WIDTH,
+      CARD_HEIGHT: CARD_HEIGHT,
+      drawSummaryCard: drawSummaryCard,
+    };
+  } else {
+    global.CARD_WIDTH = CARD_WIDTH;
+    global.CARD_HEIGHT = CARD_HEIGHT;
+    global.drawSummaryCard = drawSummaryCard;
+  }
+
+}(this));
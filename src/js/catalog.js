@@ -0,0 +1,340 @@
+/*****************************************************************************
+ * catalog.js                                                                *
+ *                                                                           *
+ * The catalog lists the languages that can battle, and where each one       *
+ * publishes its edits.  It's built from data.yml into catalog.json (see the *
+ * `catalog` Gulp task), and loaded by the page when it opens, so that a     *
+ * language can be added, or a dead stream fixed, by editing catalog.json,   *
+ * without building the site again:                                          *
+ *                                                                           *
+ *     {                                                                     *
+ *       "langs": [                                                          *
+ *         {                                                                 *
+ *           "lang": "de",                                                   *
+ *           "country_code": "de",                                           *
+ *           "name": "German",                                               *
+ *           "url": "ws://wikimon.hatnote.com:9010"                          *
+ *         },                                                                *
+ *         ...                                                               *
+ *       ]                                                                   *
+ *     }                                                                     *
+ *                                                                           *
+ * Every entry may also have a `native_name`, a `stream` type (see           *
+ * createStreamSource in sources.js), and a `direction`, rtl for languages   *
+ * written right-to-left.                                                    *
+ * Users can add streams of their own, which are kept in their browser by a  *
+ * CustomCatalog, and listed after the others.                               *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The storage is either a global in the browser, or a module in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // What every entry of the catalog looks like: for each field, whether it's
+  // required, and the values it can take, as a pattern or a list.
+  var CATALOG_SCHEMA = {
+    lang: {
+      required: true,
+      pattern: /^[a-z][a-z0-9-]*$/,
+    },
+    country_code: {
+      required: true,
+      pattern: /^[a-z][a-z0-9-]*$/,
+    },
+    name: {
+      required: true,
+      pattern: /^[^<>"&]+$/,
+    },
+    native_name: {
+      required: false,
+      pattern: /^[^<>"&]+$/,
+    },
+    url: {
+      required: true,
+      pattern: /^[^<>"\s]+$/,
+    },
+    stream: {
+      required: false,
+      values: ['websocket', 'eventstream', 'replay'],
+    },
+    direction: {
+      required: false,
+      values: ['ltr', 'rtl'],
+    },
+  };
+
+  // Where the catalog is, unless the page says otherwise.
+  var DEFAULT_CATALOG_URL = '/catalog.json';
+
+  // Where the streams added by the user are kept in storage.
+  var CUSTOM_CATALOG_STORAGE_KEY = 'wiki-battle-custom-langs';
+
+  /**
+   * Validation
+   **/
+
+  /**
+   * Check an entry of the catalog against CATALOG_SCHEMA.
+   *
+   * @param {object} entry - the entry.
+   * @return {Array:string} what's wrong with it, if anything.
+   **/
+  function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return ['an entry must be an object'];
+    }
+
+    var label = typeof entry.lang === 'string' ? entry.lang : 'an entry';
+    var problems = [];
+    Object.keys(CATALOG_SCHEMA).forEach(function(field) {
+      var rule = CATALOG_SCHEMA[field];
+      var value = entry[field];
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+          problems.push(label + ' has no ' + field);
+        }
+
+        return;
+      }
+
+      var valid = typeof value === 'string' &&
+        (!rule.pattern || rule.pattern.test(value)) &&
+        (!rule.values || rule.values.indexOf(value) !== -1);
+
+      if (!valid) {
+        problems.push(label + ' has an invalid ' + field + ': ' + JSON.stringify(value));
+      }
+    });
+
+    // Web sockets, the default, need a web socket URL, and EventStreams an
+    // HTTP one.  Replays can be played from anywhere.
+    if (typeof entry.url === 'string') {
+      var stream = entry.stream || 'websocket';
+      if (stream === 'websocket' && !/^wss?:\/\//.test(entry.url)) {
+        problems.push(label + ' needs a ws:// or wss:// url');
+      } else if (stream === 'eventstream' && !/^https?:\/\//.test(entry.url)) {
+        problems.push(label + ' needs an http:// or https:// url');
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Keep only the fields of the schema of an entry, dropping empty ones.
+   **/
+  function _cleanEntry(entry) {
+    var clean = {};
+    Object.keys(CATALOG_SCHEMA).forEach(function(field) {
+      if (entry[field]) {
+        clean[field] = entry[field];
+      }
+    });
+
+    return clean;
+  }
+
+  /**
+   * Check a whole catalog, and keep only the fields of the schema of each
+   * entry.
+   *
+   * @param {object} catalog - the catalog, with its `langs`.
+   * @return {object} the clean catalog.
+   * @throws {Error} if any entry is invalid, or a language is listed twice.
+   **/
+  function validateCatalog(catalog) {
+    if (!catalog || !Array.isArray(catalog.langs)) {
+      throw new Error('Invalid catalog: it has no langs');
+    }
+
+    var problems = [];
+    var seen = {};
+    catalog.langs.forEach(function(entry) {
+      problems = problems.concat(validateEntry(entry));
+      if (entry && seen[entry.lang]) {
+        problems.push(entry.lang + ' is listed twice');
+      }
+
+      seen[entry && entry.lang] = true;
+    });
+
+    if (problems.length) {
+      throw new Error('Invalid catalog: ' + problems.join(', '));
+    }
+
+    return {
+      langs: catalog.langs.map(_cleanEntry),
+    };
+  }
+
+  /**
+   * Loading
+   **/
+
+  /**
+   * Load a catalog from a URL, and validate it.
+   *
+   * @param {string} url - the URL of the catalog, e.g. '/catalog.json'.
+   * @param {object} callbacks - the callbacks to call:
+   *   - onLoad: with the catalog.
+   *   - onError: with an Error, if it couldn't be loaded, or is invalid.
+   **/
+  function loadCatalog(url, callbacks) {
+    var request = new XMLHttpRequest();
+    request.open('GET', url || DEFAULT_CATALOG_URL);
+
+    request.onload = function() {
+      if (request.status !== 200) {
+        callbacks.onError(new Error('Couldn\'t load the catalog: ' + request.status));
+        return;
+      }
+
+      var catalog;
+      try {
+        catalog = validateCatalog(JSON.parse(request.responseText));
+      } catch (e) {
+        callbacks.onError(e);
+        return;
+      }
+
+      callbacks.onLoad(catalog);
+    };
+
+    request.onerror = function() {
+      callbacks.onError(new Error('Couldn\'t load the catalog'));
+    };
+
+    request.send();
+  }
+
+  /**
+   * Catalog
+   *
+   * The languages of a catalog, and the streams added by the user, which
+   * replace the ones of the catalog for the same language.
+   *
+   * @param {object} catalog - a valid catalog (see validateCatalog).
+   * @param {CustomCatalog} custom - the streams added by the user, if any.
+   **/
+  function Catalog(catalog, custom) {
+    this.base = catalog.langs;
+    this.custom = custom || null;
+    this.update();
+  }
+
+  /**
+   * List the languages again, e.g. after the user added a stream.
+   **/
+  Catalog.prototype.update = function() {
+    var customEntries = this.custom ? this.custom.entries : [];
+    var customLangs = customEntries.map(function(entry) {
+      return entry.lang;
+    });
+
+    this.entries = this.base.filter(function(entry) {
+      return customLangs.indexOf(entry.lang) === -1;
+    }).concat(customEntries);
+
+    this.byLang = {};
+    this.entries.forEach(function(entry) {
+      this.byLang[entry.lang] = entry;
+    }, this);
+  };
+
+  /**
+   * The entry of a language.
+   *
+   * @param {string} lang - the language code.
+   * @return {object} the entry, or undefined if there's none.
+   **/
+  Catalog.prototype.get = function(lang) {
+    return this.byLang[lang];
+  };
+
+  /**
+   * CustomCatalog
+   *
+   * Keeps the streams added by the user in a Web Storage (e.g.
+   * localStorage) (see storage.js).  Without one, they only last as long as
+   * the page.
+   *
+   * @param {object} storage - the storage, or null.
+   **/
+  function CustomCatalog(storage) {
+    this.storage = storage || null;
+
+    var saved = storages.readJSON(this.storage, CUSTOM_CATALOG_STORAGE_KEY, []);
+    try {
+      this.entries = validateCatalog({ langs: saved }).langs;
+    } catch (e) {
+      this.entries = [];
+    }
+  }
+
+  /**
+   * Add a stream, or replace the one of the same language.
+   *
+   * @param {object} entry - the entry of the stream.
+   * @throws {Error} if the entry is invalid.
+   **/
+  CustomCatalog.prototype.add = function(entry) {
+    var problems = validateEntry(entry);
+    if (problems.length) {
+      throw new Error(problems.join(', '));
+    }
+
+    this.remove(entry.lang);
+    this.entries.push(_cleanEntry(entry));
+    this.save();
+  };
+
+  /**
+   * Remove the stream of a language.
+   *
+   * @param {string} lang - the language code.
+   **/
+  CustomCatalog.prototype.remove = function(lang) {
+    this.entries = this.entries.filter(function(entry) {
+      return entry.lang !== lang;
+    });
+
+    this.save();
+  };
+
+  /**
+   * Keep the streams in storage.
+   **/
+  CustomCatalog.prototype.save = function() {
+    storages.writeJSON(this.storage, CUSTOM_CATALOG_STORAGE_KEY, this.entries);
+  };
+
+  /**
+   * This exports the catalog, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      CATALOG_SCHEMA: CATALOG_SCHEMA,
+      validateEntry: validateEntry,
+      validateCatalog: validateCatalog,
+      loadCatalog: loadCatalog,
+      Catalog: Catalog,
+      CustomCatalog: CustomCatalog,
+    };
+  } else {
+    global.CATALOG_SCHEMA = CATALOG_SCHEMA;
+    global.validateEntry = validateEntry;
+    global.validateCatalog = validateCatalog;
+    global.loadCatalog = loadCatalog;
+    global.Catalog = Catalog;
+    global.CustomCatalog = CustomCatalog;
+  }
+
+}(this));
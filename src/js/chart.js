@@ -0,0 +1,232 @@
+/*****************************************************************************
+ * chart.js                                                                  *
+ *                                                                           *
+ * Draws a live chart of a contender, so that you can see *why* a side is    *
+ * winning.  The chart has two panels, sharing the same time axis:           *
+ *                                                                           *
+ *   - the top panel plots the edits per second (or bytes per second, etc.)  *
+ *     against the band of what was expected: the running mean, plus or      *
+ *     minus one standard deviation.  A count above the band scores well.    *
+ *   - the bottom panel plots the total score, around a line at zero.        *
+ *                                                                           *
+ * Every time the winner changes, a marker is drawn across both panels.      *
+ * It's solid when this contender took the lead, dashed when it lost it.     *
+ *                                                                           *
+ * The chart is a plain SVG, with no dependencies.  It keeps the latest      *
+ * MAX_POINTS seconds, and scrolls as new ones come in.                      *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Global Constants
+   **/
+
+  // The number of seconds shown on the chart.
+  var MAX_POINTS = 120;
+
+  // The size of the chart, in SVG units.  It's stretched to fit its element.
+  var WIDTH = 600;
+  var HEIGHT = 200;
+
+  // The top panel takes this fraction of the height, the bottom panel the
+  // rest.
+  var TOP_PANEL = 0.6;
+
+  var SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * Create an SVG element with some attributes.
+   **/
+  function _createSvgElement(name, attributes) {
+    var element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.keys(attributes || {}).forEach(function(attribute) {
+      element.setAttribute(attribute, attributes[attribute]);
+    });
+
+    return element;
+  }
+
+  /**
+   * Format a list of [x, y] points for a polyline or polygon.
+   **/
+  function _formatPoints(points) {
+    return points.map(function(point) {
+      return point[0].toFixed(1) + ',' + point[1].toFixed(1);
+    }).join(' ');
+  }
+
+  /**
+   * ContenderChart
+   *
+   * @param {Object} element - the HTML element to draw the chart in.
+   **/
+  function ContenderChart(element) {
+    this.element = element;
+
+    // The latest MAX_POINTS seconds, oldest first.  Each point has the count,
+    // the mean and standard deviation expected, and the total score.
+    this.points = [];
+
+    // The winner changes, each with the index of the point at which it
+    // happened, and whether this contender took the lead.
+    this.markers = [];
+
+    this.svg = _createSvgElement('svg', {
+      class: 'chart-svg',
+      viewBox: '0 0 ' + WIDTH + ' ' + HEIGHT,
+      preserveAspectRatio: 'none',
+    });
+
+    // Drawn in this order, so that the lines are on top of the band.
+    this.band = this.svg.appendChild(_createSvgElement('polygon', { class: 'chart-band' }));
+    this.mean = this.svg.appendChild(_createSvgElement('polyline', { class: 'chart-mean' }));
+    this.count = this.svg.appendChild(_createSvgElement('polyline', { class: 'chart-count' }));
+    this.zero = this.svg.appendChild(_createSvgElement('line', { class: 'chart-zero' }));
+    this.score = this.svg.appendChild(_createSvgElement('polyline', { class: 'chart-score' }));
+    this.markerGroup = this.svg.appendChild(_createSvgElement('g'));
+
+    this.element.appendChild(this.svg);
+  }
+
+  /**
+   * Add the latest second to the chart, and redraw it.
+   *
+   * @param {Object} point - `count`, `mean`, `standardDeviation` and
+   *   `totalScore` of the latest second.
+   **/
+  ContenderChart.prototype.push = function(point) {
+    this.points.push(point);
+    if (this.points.length > MAX_POINTS) {
+      this.points.shift();
+
+      // Markers scroll with the points, and fall off the chart with them.
+      this.markers = this.markers.filter(function(marker) {
+        marker.index--;
+        return marker.index >= 0;
+      });
+    }
+
+    this.render();
+  };
+
+  /**
+   * Mark that the winner changed at the latest second.
+   *
+   * @param {Boolean} tookLead - whether this contender is the new winner.
+   **/
+  ContenderChart.prototype.markWinnerChange = function(tookLead) {
+    if (!this.points.length) {
+      return;
+    }
+
+    this.markers.push({
+      index: this.points.length - 1,
+      tookLead: tookLead,
+    });
+    this.render();
+  };
+
+  /**
+   * Forget every point and marker.
+   **/
+  ContenderChart.prototype.clear = function() {
+    this.points = [];
+    this.markers = [];
+    this.render();
+  };
+
+  /**
+   * Redraw the chart from its points and markers.
+   **/
+  ContenderChart.prototype.render = function() {
+    var points = this.points;
+    var topHeight = HEIGHT * TOP_PANEL;
+    var bottomHeight = HEIGHT - topHeight;
+    var step = WIDTH / (MAX_POINTS - 1);
+
+    // The top panel fits the largest count, or top of the band, and the
+    // smallest count or mean, which is below zero when counting net bytes.
+    var maxValue = points.reduce(function(max, point) {
+      return Math.max(max, point.count, point.mean + point.standardDeviation);
+    }, 1);
+
+    var minValue = points.reduce(function(min, point) {
+      return Math.min(min, point.count, point.mean);
+    }, 0);
+
+    // The bottom panel fits the largest score, above or below zero.
+    var maxScore = points.reduce(function(max, point) {
+      return Math.max(max, Math.abs(point.totalScore));
+    }, 1);
+
+    function x(i) {
+      return i * step;
+    }
+
+    // The bottom of the band can fall below anything ever counted, e.g.
+    // below zero edits, so it's cut off at the bottom of the panel.
+    function yValue(value) {
+      return topHeight - (Math.max(value, minValue) - minValue) / (maxValue - minValue) * topHeight;
+    }
+
+    function yScore(score) {
+      return topHeight + bottomHeight / 2 - score / maxScore * bottomHeight / 2;
+    }
+
+    var upper = points.map(function(point, i) {
+      return [x(i), yValue(point.mean + point.standardDeviation)];
+    });
+
+    var lower = points.map(function(point, i) {
+      return [x(i), yValue(point.mean - point.standardDeviation)];
+    }).reverse();
+
+    this.band.setAttribute('points', _formatPoints(upper.concat(lower)));
+    this.mean.setAttribute('points', _formatPoints(points.map(function(point, i) {
+      return [x(i), yValue(point.mean)];
+    })));
+
+    this.count.setAttribute('points', _formatPoints(points.map(function(point, i) {
+      return [x(i), yValue(point.count)];
+    })));
+
+    this.score.setAttribute('points', _formatPoints(points.map(function(point, i) {
+      return [x(i), yScore(point.totalScore)];
+    })));
+
+    this.zero.setAttribute('x1', 0);
+    this.zero.setAttribute('x2', WIDTH);
+    this.zero.setAttribute('y1', yScore(0));
+    this.zero.setAttribute('y2', yScore(0));
+
+    this.markerGroup.innerHTML = '';
+    this.markers.forEach(function(marker) {
+      this.markerGroup.appendChild(_createSvgElement('line', {
+        class: 'chart-marker ' + (marker.tookLead ? 'took-lead' : 'lost-lead'),
+        x1: x(marker.index),
+        x2: x(marker.index),
+        y1: 0,
+        y2: HEIGHT,
+      }));
+    }, this);
+  };
+
+  /**
+   * This exports the ContenderChart class, so that it is available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      ContenderChart: ContenderChart,
+    };
+  } else {
+    global.ContenderChart = ContenderChart;
+  }
+
+}(this));
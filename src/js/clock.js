@@ -0,0 +1,133 @@
+/*****************************************************************************
+ * clock.js                                                                  *
+ *                                                                           *
+ * Contenders and replay sources tell the time, and wait, through a clock:   *
+ *                                                                           *
+ *     clock.now();                                                          *
+ *     var id = clock.setTimeout(callback, delay);                           *
+ *     clock.clearTimeout(id);                                               *
+ *                                                                           *
+ * By default, that's the real clock of the browser (or of Node).  A replay  *
+ * uses a VirtualClock instead, on which time only passes when we say so.    *
+ * Every timer then fires in a fixed order, as fast as we like, so the same  *
+ * recording always plays out the same way.                                  *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * The real clock, on which time passes by itself.
+   **/
+  var REAL_CLOCK = {
+    now: function() {
+      return Date.now();
+    },
+
+    setTimeout: function(callback, delay) {
+      return setTimeout(callback, delay);
+    },
+
+    clearTimeout: function(id) {
+      clearTimeout(id);
+    },
+  };
+
+  /**
+   * VirtualClock
+   *
+   * A clock which only moves forward when `advance` or `runUntil` is called,
+   * firing the timers that are due on the way, in the order they are due.
+   * Timers due at the same time fire in the order they were set.
+   *
+   * @param {number} start - the time to start at, in miliseconds.  Defaults
+   *   to zero.
+   **/
+  function VirtualClock(start) {
+    this.time = start || 0;
+
+    // The pending timers, ordered by when they are due.
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * The current time on this clock, in miliseconds.
+   **/
+  VirtualClock.prototype.now = function() {
+    return this.time;
+  };
+
+  /**
+   * Call a function once the clock has moved forward by `delay`.
+   *
+   * @param {function} callback - the function to call.
+   * @param {number} delay - how long to wait, in miliseconds.
+   * @return {number} the id of the timer, to clear it with.
+   **/
+  VirtualClock.prototype.setTimeout = function(callback, delay) {
+    var timer = {
+      id: this.nextId++,
+      time: this.time + Math.max(delay || 0, 0),
+      callback: callback,
+    };
+
+    // Insert the timer after every timer due before or at the same time.
+    var index = this.timers.length;
+    while (index > 0 && this.timers[index - 1].time > timer.time) {
+      index--;
+    }
+
+    this.timers.splice(index, 0, timer);
+    return timer.id;
+  };
+
+  /**
+   * Cancel a timer, if it hasn't fired yet.
+   *
+   * @param {number} id - the id returned by `setTimeout`.
+   **/
+  VirtualClock.prototype.clearTimeout = function(id) {
+    this.timers = this.timers.filter(function(timer) {
+      return timer.id !== id;
+    });
+  };
+
+  /**
+   * Move the clock forward to a time, firing every timer due until then.
+   *
+   * @param {number} time - the time to move to, in miliseconds.
+   **/
+  VirtualClock.prototype.runUntil = function(time) {
+    while (this.timers.length && this.timers[0].time <= time) {
+      var timer = this.timers.shift();
+      this.time = timer.time;
+      timer.callback();
+    }
+
+    this.time = Math.max(this.time, time);
+  };
+
+  /**
+   * Move the clock forward, firing every timer due on the way.
+   *
+   * @param {number} duration - how far to move, in miliseconds.
+   **/
+  VirtualClock.prototype.advance = function(duration) {
+    this.runUntil(this.time + duration);
+  };
+
+  /**
+   * This exports the clocks, so that they are available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      REAL_CLOCK: REAL_CLOCK,
+      VirtualClock: VirtualClock,
+    };
+  } else {
+    global.REAL_CLOCK = REAL_CLOCK;
+    global.VirtualClock = VirtualClock;
+  }
+
+}(this));
@@ -0,0 +1,281 @@
+/*****************************************************************************
+ * edits.js                                                                  *
+ *                                                                           *
+ * Stream sources publish raw messages, in whatever format their stream      *
+ * uses.  This parses those messages into edits, which all look the same:    *
+ *                                                                           *
+ *     {                                                                     *
+ *       title: 'Berlin',        // the title of the page                    *
+ *       user: 'Example',        // the user (or IP address) who edited it   *
+ *       url: 'https://...',     // the diff of the edit                     *
+ *       isArticle: true,        // whether the page is in the main          *
+ *                               // namespace                                *
+ *       isBot: false,                                                       *
+ *       isMinor: false,                                                     *
+ *       isAnon: false,                                                      *
+ *       isNew: false,           // whether the edit created the page        *
+ *       changeSize: 42,         // the number of bytes added (or removed,   *
+ *                               // if negative)                             *
+ *     }                                                                     *
+ *                                                                           *
+ * Two formats are understood: hatnote's wikimon messages, and Wikimedia's   *
+ * EventStreams recent changes.                                              *
+ *                                                                           *
+ * Edit filters then decide which edits should be counted in a battle, e.g.  *
+ * only edits made by humans, or only new articles.                          *
+ *                                                                           *
+ * Finally, edit metrics decide how much each second of edits weighs: by     *
+ * default, we count edits, but a battle can instead add up the bytes they   *
+ * changed, so that a typo fix doesn't weigh as much as a new article.       *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Global Constants
+   **/
+
+  // Anonymous edits on EventStreams are only recognizable by the user being
+  // an IP address (v4 or v6).
+  var IP_ADDRESS = /^(\d{1,3}\.){3}\d{1,3}$|^[0-9a-f]*:[0-9a-f:]+$/i;
+
+  // Every filter an edit can be counted with, by name, in the order they
+  // should be offered.  An edit is counted if it passes every filter chosen.
+  var EDIT_FILTERS = {
+    humans: {
+      label: 'Humans only',
+      test: function(edit) {
+        return !edit.isBot;
+      },
+    },
+    registered: {
+      label: 'Registered users only',
+      test: function(edit) {
+        return !edit.isAnon;
+      },
+    },
+    articles: {
+      label: 'Main namespace only',
+      test: function(edit) {
+        return edit.isArticle;
+      },
+    },
+    major: {
+      label: 'No minor edits',
+      test: function(edit) {
+        return !edit.isMinor;
+      },
+    },
+    newPages: {
+      label: 'New articles only',
+      test: function(edit) {
+        return edit.isNew;
+      },
+    },
+  };
+
+  // Every metric a second of edits can be measured with, by name, in the
+  // order they should be offered, and whether it counts edits (see
+  // canScoreMetric in scoring.js).
+  var EDIT_METRICS = {
+    edits: {
+      label: 'Edits',
+      unit: 'edits per second',
+      isCount: true,
+    },
+    bytes: {
+      label: 'Bytes changed',
+      unit: 'bytes changed per second',
+      isCount: false,
+    },
+    netBytes: {
+      label: 'Net bytes added',
+      unit: 'net bytes added per second',
+      isCount: false,
+    },
+  };
+
+  // The metric used when none is chosen.
+  var DEFAULT_EDIT_METRIC = 'edits';
+
+  /**
+   * Parsing
+   **/
+
+  /**
+   * Parse a hatnote wikimon message.
+   **/
+  function _parseWikimon(message) {
+    return {
+      title: message.page_title,
+      user: message.user,
+      url: message.url,
+      isArticle: message.ns === 'Main',
+      isBot: !!message.is_bot,
+      isMinor: !!message.is_minor,
+      isAnon: !!message.is_anon,
+      isNew: !!message.is_new,
+      changeSize: message.change_size || 0,
+    };
+  }
+
+  /**
+   * Parse a Wikimedia EventStreams recent change.
+   **/
+  function _parseRecentChange(change) {
+    var length = change.length || {};
+    var revision = change.revision || {};
+    var url = change.server_url + '/wiki/' + encodeURIComponent(change.title);
+    if (revision.old) {
+      url = change.server_url + '/w/index.php?diff=' + revision.new + '&oldid=' + revision.old;
+    }
+
+    return {
+      title: change.title,
+      user: change.user,
+      url: url,
+      isArticle: change.namespace === 0,
+      isBot: !!change.bot,
+      isMinor: !!change.minor,
+      isAnon: IP_ADDRESS.test(change.user || ''),
+      isNew: change.type === 'new',
+      changeSize: (length.new || 0) - (length.old || 0),
+    };
+  }
+
+  /**
+   * Parse a raw message from a stream source into an edit.  Messages we don't
+   * understand become an edit we know nothing about, so that they are still
+   * counted when no filters are chosen.
+   *
+   * @param {string|object} data - the raw message, usually a JSON string.
+   **/
+  function parseEdit(data) {
+    var message = data;
+    if (typeof data === 'string') {
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        message = null;
+      }
+    }
+
+    if (message && message.page_title !== undefined) {
+      return _parseWikimon(message);
+    }
+
+    if (message && message.wiki !== undefined) {
+      return _parseRecentChange(message);
+    }
+
+    return {
+      title: null,
+      user: null,
+      url: null,
+      isArticle: false,
+      isBot: false,
+      isMinor: false,
+      isAnon: false,
+      isNew: false,
+      changeSize: 0,
+    };
+  }
+
+  /**
+   * Filtering
+   **/
+
+  /**
+   * Whether a name is the name of an edit filter, rather than a key every
+   * object inherits, e.g. 'toString', which a URL can have too.
+   *
+   * @param {string} name - the name.
+   **/
+  function isEditFilter(name) {
+    return Object.prototype.hasOwnProperty.call(EDIT_FILTERS, name);
+  }
+
+  /**
+   * Create a function which tells whether an edit passes every filter chosen.
+   *
+   * @param {Array:string} names - the names of the filters, keys of
+   *   EDIT_FILTERS.  With no filters, every edit passes.
+   **/
+  function createEditFilter(names) {
+    var filters = (names || []).map(function(name) {
+      if (!isEditFilter(name)) {
+        throw new Error('Unknown edit filter: ' + name);
+      }
+
+      return EDIT_FILTERS[name];
+    });
+
+    return function(edit) {
+      return filters.every(function(filter) {
+        return filter.test(edit);
+      });
+    };
+  }
+
+  /**
+   * Measuring
+   **/
+
+  /**
+   * Whether a name is the name of a metric, like `isEditFilter`.
+   *
+   * @param {string} name - the name.
+   **/
+  function isEditMetric(name) {
+    return Object.prototype.hasOwnProperty.call(EDIT_METRICS, name);
+  }
+
+  /**
+   * Measure a bucket of edits with every metric.
+   *
+   * @param {Array:object} bucket - the edits received in one second.
+   * @return {object} the measure of the bucket, by metric name.
+   **/
+  function measureEdits(bucket) {
+    var measure = {
+      edits: bucket.length,
+      bytes: 0,
+      netBytes: 0,
+    };
+
+    bucket.forEach(function(edit) {
+      measure.bytes += Math.abs(edit.changeSize);
+      measure.netBytes += edit.changeSize;
+    });
+
+    return measure;
+  }
+
+  /**
+   * This exports the edit parsing, filters and metrics, so that they are
+   * available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      EDIT_FILTERS: EDIT_FILTERS,
+      EDIT_METRICS: EDIT_METRICS,
+      DEFAULT_EDIT_METRIC: DEFAULT_EDIT_METRIC,
+      parseEdit: parseEdit,
+      isEditFilter: isEditFilter,
+      createEditFilter: createEditFilter,
+      isEditMetric: isEditMetric,
+      measureEdits: measureEdits,
+    };
+  } else {
+    global.EDIT_FILTERS = EDIT_FILTERS;
+    global.EDIT_METRICS = EDIT_METRICS;
+    global.DEFAULT_EDIT_METRIC = DEFAULT_EDIT_METRIC;
+    global.parseEdit = parseEdit;
+    global.isEditFilter = isEditFilter;
+    global.createEditFilter = createEditFilter;
+    global.isEditMetric = isEditMetric;
+    global.measureEdits = measureEdits;
+  }
+
+}(this));
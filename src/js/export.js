@@ -0,0 +1,226 @@
+/*****************************************************************************
+ * export.js                                                                 *
+ *                                                                           *
+ * Keeps the numbers behind a battle, every second, so that they can be      *
+ * downloaded for a spreadsheet or a notebook: the count of every contender, *
+ * its score and total score, and every change of winner:                    *
+ *                                                                           *
+ *     var log = new BattleLog(BattleRecorder.describe(contenders, {...}));  *
+ *     log.addCount(contender);       // with every new count                *
+ *     log.addWinnerChange(winner);   // with every change of winner         *
+ *     log.toCSV();                                                          *
+ *     JSON.stringify(log);                                                  *
+ *                                                                           *
+ * The CSV starts with the settings of the battle, as comment lines starting *
+ * with #, then has one row per event, a `count` of a language, or a `lead`  *
+ * when a language took the lead:                                            *
+ *                                                                           *
+ *     # scoring: zscore                                                     *
+ *     t,time,event,lang,count,score,total_score                             *
+ *     1000,2016-03-01T12:00:01.000Z,count,de,12,0.53,0.53                   *
+ *     1000,2016-03-01T12:00:01.000Z,lead,de,,,                              *
+ *                                                                           *
+ * `t` is in miliseconds since the start of the battle, on its own clock,    *
+ * so that a replay exports the same numbers every time.                     *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The clocks are either globals in the browser, or a module in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var clocks = isModule ? require('./clock') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The most seconds a log keeps for each contender, six hours, so that a
+  // battle left running for days doesn't eat all of the memory.  The oldest
+  // are forgotten first.
+  var MAX_SECONDS_TO_KEEP = 6 * 60 * 60;
+
+  // The columns of the CSV.
+  var CSV_COLUMNS = ['t', 'time', 'event', 'lang', 'count', 'score', 'total_score'];
+
+  /**
+   * BattleLog
+   *
+   * @param {object} battle - the description of the battle (see
+   *   BattleRecorder.describe in recorder.js): its `contenders`, `scoring`,
+   *   `filters` and `metric`.
+   * @param {object} clock - the clock of the battle (see clock.js).
+   *   Defaults to the real clock, a replay has a virtual one.
+   **/
+  function BattleLog(battle, clock) {
+    this.battle = battle;
+    this.clock = clock || clocks.REAL_CLOCK;
+    this.startTime = this.clock.now();
+
+    // When the battle started and ended, in real time.
+    this.startedAt = Date.now();
+    this.endedAt = null;
+
+    // The `t`, `count`, `score` and `totalScore` of every second, by
+    // language.  Remote battles (see remote.js) have no score of their own
+    // for each second.
+    this.seconds = {};
+    battle.contenders.forEach(function(contender) {
+      this.seconds[contender.lang] = [];
+    }, this);
+
+    // The `t` and `lang` of every change of winner.
+    this.winnerChanges = [];
+  }
+
+  /**
+   * Keep the latest count of a contender, and its scores.
+   *
+   * @param {Contender} contender - the contender (see battle.js).
+   **/
+  BattleLog.prototype.addCount = function(contender) {
+    var seconds = this.seconds[contender.lang];
+    if (!seconds) {
+      return;
+    }
+
+    var score = contender.scores[contender.scores.length - 1];
+    seconds.push({
+      t: this.clock.now() - this.startTime,
+      count: contender.windowCounts[contender.windowCounts.length - 1],
+      score: score === undefined ? null : score,
+      totalScore: contender.totalScore,
+    });
+
+    while (seconds.length > MAX_SECONDS_TO_KEEP) {
+      seconds.shift();
+    }
+  };
+
+  /**
+   * Keep a change of winner.
+   *
+   * @param {Contender} winner - the contender that took the lead.
+   **/
+  BattleLog.prototype.addWinnerChange = function(winner) {
+    this.winnerChanges.push({
+      t: this.clock.now() - this.startTime,
+      lang: winner.lang,
+    });
+  };
+
+  /**
+   * Mark the end of the battle.  A log that didn't end yet ends now, as far
+   * as exports go.
+   **/
+  BattleLog.prototype.end = function() {
+    this.endedAt = this.endedAt || Date.now();
+  };
+
+  /**
+   * The settings of the battle, and when it started and ended.
+   **/
+  BattleLog.prototype.metadata = function() {
+    var languages = this.battle.contenders.map(function(contender) {
+      return contender.lang;
+    });
+
+    return {
+      languages: languages,
+      scoring: this.battle.scoring,
+      filters: this.battle.filters,
+      metric: this.battle.metric,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(this.endedAt || Date.now()).toISOString(),
+    };
+  };
+
+  /**
+   * The log, as exported to JSON: its metadata, every second of every
+   * contender, and every change of winner.
+   **/
+  BattleLog.prototype.toJSON = function() {
+    var contenders = this.battle.contenders.map(function(contender) {
+      return {
+        lang: contender.lang,
+        countryCode: contender.countryCode,
+        name: contender.name,
+        seconds: this.seconds[contender.lang],
+      };
+    }, this);
+
+    return {
+      battle: this.metadata(),
+      contenders: contenders,
+      winnerChanges: this.winnerChanges,
+    };
+  };
+
+  /**
+   * The log, as CSV, in the order things happened.
+   **/
+  BattleLog.prototype.toCSV = function() {
+    var metadata = this.metadata();
+    var rows = [];
+    var startedAt = this.startedAt;
+
+    var row = function(t, event, lang, second) {
+      second = second || {};
+      return {
+        t: t,
+        line: [
+          t,
+          new Date(startedAt + t).toISOString(),
+          event,
+          lang,
+          second.count,
+          second.score,
+          second.totalScore,
+        ].map(function(value) {
+          return value === undefined || value === null ? '' : value;
+        }).join(','),
+      };
+    };
+
+    Object.keys(this.seconds).forEach(function(lang) {
+      this.seconds[lang].forEach(function(second) {
+        rows.push(row(second.t, 'count', lang, second));
+      });
+    }, this);
+
+    this.winnerChanges.forEach(function(change) {
+      rows.push(row(change.t, 'lead', change.lang));
+    });
+
+    // Events at the same time keep the order they were listed in, so that a
+    // lead comes after the count that caused it.
+    rows.forEach(function(row, i) {
+      row.index = i;
+    });
+
+    rows.sort(function(a, b) {
+      return (a.t - b.t) || (a.index - b.index);
+    });
+
+    var header = Object.keys(metadata).map(function(key) {
+      var value = metadata[key];
+      return '# ' + key + ': ' + (Array.isArray(value) ? value.join(' ') : value);
+    });
+
+    return header.concat([CSV_COLUMNS.join(',')], rows.map(function(row) {
+      return row.line;
+    })).join('\n') + '\n';
+  };
+
+  /**
+   * This exports the battle log, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      BattleLog: BattleLog,
+    };
+  } else {
+    global.BattleLog = BattleLog;
+  }
+
+}(this));
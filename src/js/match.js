@@ -0,0 +1,389 @@
+/*****************************************************************************
+ * match.js                                                                  *
+ *                                                                           *
+ * A battle goes on forever, but a match is over after a while.  It lasts    *
+ * one round, or the best of three rounds, and whoever leads when a round    *
+ * ends wins it.  Along the way, it keeps track of how long each contender   *
+ * led, and of its busiest second:                                           *
+ *                                                                           *
+ *     var match = new Match('bo3', contenders, { clock: clock });           *
+ *     match.start({                                                         *
+ *       onTick: function(match) { ... },                                    *
+ *       onRoundEnd: function(round, winner) { ... },                        *
+ *       onEnd: function(result) { ... },                                    *
+ *     });                                                                   *
+ *                                                                           *
+ * The battle tells the match about every count and change of winner, with   *
+ * `onNewCount` and `onChangeWinner`.  Finished matches are kept in a        *
+ * MatchHistory.                                                             *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The clocks and storage are either globals in the browser, or modules in
+  // Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var clocks = isModule ? require('./clock') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The formats a match can have, by name, in the order they should be
+  // offered: how long each round lasts, in miliseconds, and how many rounds
+  // there are at most.  An endless battle isn't a match at all.
+  var MATCH_FORMATS = {
+    endless: {
+      label: 'Endless',
+      roundDuration: 0,
+      rounds: 0,
+    },
+    '60s': {
+      label: '60 seconds',
+      roundDuration: 60 * 1000,
+      rounds: 1,
+    },
+    '5min': {
+      label: '5 minutes',
+      roundDuration: 5 * 60 * 1000,
+      rounds: 1,
+    },
+    bo3: {
+      label: 'Best of 3 one-minute rounds',
+      roundDuration: 60 * 1000,
+      rounds: 3,
+    },
+  };
+
+  var DEFAULT_MATCH_FORMAT = 'endless';
+
+  // How often the match ticks, for its countdown, in miliseconds.
+  var TICK_INTERVAL = 1000;
+
+  // Where the match history is kept in storage, and how many matches it
+  // keeps, the latest first.
+  var MATCH_HISTORY_STORAGE_KEY = 'wiki-battle-matches';
+  var MAX_MATCHES_TO_KEEP = 50;
+
+  /**
+   * Whether a name is the name of a match format, rather than a key every
+   * object inherits, e.g. 'constructor', which a URL can have too.
+   *
+   * @param {string} name - the name.
+   **/
+  function isMatchFormat(name) {
+    return Object.prototype.hasOwnProperty.call(MATCH_FORMATS, name);
+  }
+
+  /**
+   * Match
+   *
+   * @param {string} format - one of the keys of MATCH_FORMATS, but endless.
+   * @param {Array:Contender} contenders - the contenders of the battle.
+   * @param {object} options - `clock`, the clock of the battle (see
+   *   clock.js).  Defaults to the real clock.
+   **/
+  function Match(format, contenders, options) {
+    options = options || {};
+    if (!isMatchFormat(format) || !MATCH_FORMATS[format].rounds) {
+      throw new Error('Unknown match format: ' + format);
+    }
+
+    this.format = format;
+    this.roundDuration = MATCH_FORMATS[format].roundDuration;
+    this.rounds = MATCH_FORMATS[format].rounds;
+    this.contenders = contenders;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+
+    // The round being played, from 1, and the side that won each round so
+    // far, or null for a round nobody led.
+    this.round = 0;
+    this.roundWinners = [];
+
+    // When the match and the round started, on the clock.
+    this.startTime = null;
+    this.roundStartTime = null;
+
+    // The side leading now, and since when.
+    this.leader = null;
+    this.leaderSince = null;
+
+    // How long each side led, in miliseconds, and its most edits in a second,
+    // by side.
+    this.leadTimes = {};
+    this.peakEdits = {};
+    contenders.forEach(function(contender) {
+      this.leadTimes[contender.side] = 0;
+      this.peakEdits[contender.side] = 0;
+    }, this);
+
+    this.callbacks = null;
+    this.timeoutId = null;
+    this.ended = false;
+
+    // When the match was paused, on the clock, or null if it isn't.
+    this.pausedAt = null;
+  }
+
+  /**
+   * Start the first round.
+   *
+   * @param {object} callbacks - the callbacks to call:
+   *   - onTick: every second, with the match, e.g. to draw the countdown.
+   *   - onRoundEnd: when a round ends, with its number, and the winning
+   *     side, or null if nobody led.
+   *   - onEnd: when the match is over, with its result (see `result`).
+   **/
+  Match.prototype.start = function(callbacks) {
+    this.callbacks = callbacks;
+    this.startTime = this.clock.now();
+    this.startRound();
+  };
+
+  /**
+   * Start the next round.  Every contender starts it with a clean score, but
+   * keeps what it learned about its language.
+   **/
+  Match.prototype.startRound = function() {
+    this.round++;
+    this.roundStartTime = this.clock.now();
+    if (this.round > 1) {
+      this.contenders.forEach(function(contender) {
+        contender.resetScores();
+      });
+    }
+
+    this.tick();
+  };
+
+  /**
+   * Count down the round, one second at a time, and end it once it's over.
+   **/
+  Match.prototype.tick = function() {
+    if (this.callbacks.onTick) {
+      this.callbacks.onTick(this);
+    }
+
+    var timeLeft = this.timeLeft();
+    if (timeLeft <= 0) {
+      this.endRound();
+      return;
+    }
+
+    this.timeoutId = this.clock.setTimeout(this.tick.bind(this),
+      Math.min(TICK_INTERVAL, timeLeft));
+  };
+
+  /**
+   * End the round: whoever leads wins it.  The match ends once a side can't
+   * be caught anymore, or after the last round.
+   **/
+  Match.prototype.endRound = function() {
+    this.roundWinners.push(this.leader);
+    if (this.callbacks.onRoundEnd) {
+      this.callbacks.onRoundEnd(this.round, this.leader);
+    }
+
+    var mostWins = Math.max.apply(Math, this.contenders.map(function(contender) {
+      return this.roundsWon(contender.side);
+    }, this));
+
+    if (this.round >= this.rounds || mostWins > this.rounds / 2) {
+      this.end();
+    } else {
+      this.startRound();
+    }
+  };
+
+  /**
+   * End the match, and tell its result.
+   **/
+  Match.prototype.end = function() {
+    this.onChangeWinner(this.leader);
+    this.ended = true;
+    this.stop();
+    this.callbacks.onEnd(this.result());
+  };
+
+  /**
+   * Stop the countdown, e.g. when the battle is stopped before the end.
+   **/
+  Match.prototype.stop = function() {
+    this.clock.clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+  };
+
+  /**
+   * Stop the countdown for a while, e.g. while a side changes language.  The
+   * time paused counts neither in the round, nor as time leading.
+   **/
+  Match.prototype.pause = function() {
+    if (this.ended || this.pausedAt !== null) {
+      return;
+    }
+
+    this.pausedAt = this.clock.now();
+    this.stop();
+  };
+
+  /**
+   * Carry on counting down after a pause, with the time left before it.
+   **/
+  Match.prototype.resume = function() {
+    if (this.ended || this.pausedAt === null) {
+      return;
+    }
+
+    var pausedFor = this.clock.now() - this.pausedAt;
+    this.pausedAt = null;
+    this.startTime += pausedFor;
+    this.roundStartTime += pausedFor;
+    if (this.leaderSince !== null) {
+      this.leaderSince += pausedFor;
+    }
+
+    this.tick();
+  };
+
+  /**
+   * How long is left in the round, in miliseconds.
+   **/
+  Match.prototype.timeLeft = function() {
+    var now = this.pausedAt !== null ? this.pausedAt : this.clock.now();
+    return Math.max(0, this.roundStartTime + this.roundDuration - now);
+  };
+
+  /**
+   * How many rounds a side won so far.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   **/
+  Match.prototype.roundsWon = function(side) {
+    return this.roundWinners.filter(function(winner) {
+      return winner === side;
+    }).length;
+  };
+
+  /**
+   * When a contender counts a new bucket, remember if it's its busiest.
+   *
+   * @param {number} count - the number of edits in the bucket.
+   * @param {string} side - the side of the contender.
+   **/
+  Match.prototype.onNewCount = function(count, side) {
+    this.peakEdits[side] = Math.max(this.peakEdits[side] || 0, count);
+  };
+
+  /**
+   * When a contender takes the lead, credit the previous leader with the
+   * time it led.
+   *
+   * @param {string} side - the side of the new leader.
+   **/
+  Match.prototype.onChangeWinner = function(side) {
+    if (this.ended) {
+      return;
+    }
+
+    var now = this.clock.now();
+    if (this.leader !== null) {
+      this.leadTimes[this.leader] += now - this.leaderSince;
+    }
+
+    this.leader = side;
+    this.leaderSince = now;
+  };
+
+  /**
+   * The result of the match, as kept in the match history.
+   *
+   * @return {object} the result:
+   *   - format: the format of the match.
+   *   - endedAt: when the match ended, in miliseconds since the epoch.
+   *   - duration: how long the match lasted, in miliseconds.
+   *   - contenders: the `lang`, `countryCode`, `name`, `totalScore`,
+   *     `roundsWon`, `leadTime` and `peakEdits` of every contender, from
+   *     first to last.
+   *   - rounds: the language that won each round, or null.
+   *   - winner: the language of the winner, or null if nobody ever led.
+   *   - margin: how many points the winner finished ahead of the runner-up.
+   **/
+  Match.prototype.result = function() {
+    var results = this.contenders.map(function(contender) {
+      return {
+        side: contender.side,
+        lang: contender.lang,
+        countryCode: contender.countryCode,
+        name: contender.name,
+        totalScore: contender.totalScore,
+        roundsWon: this.roundsWon(contender.side),
+        leadTime: this.leadTimes[contender.side],
+        peakEdits: this.peakEdits[contender.side],
+      };
+    }, this);
+
+    // The most rounds won ranks first, then the best score.
+    results.sort(function(a, b) {
+      return (b.roundsWon - a.roundsWon) || (b.totalScore - a.totalScore);
+    });
+
+    var langsBySide = {};
+    results.forEach(function(result) {
+      langsBySide[result.side] = result.lang;
+      delete result.side;
+    });
+
+    var rounds = this.roundWinners.map(function(side) {
+      return side === null ? null : langsBySide[side];
+    });
+
+    var winner = results[0].roundsWon > 0 ? results[0] : null;
+    return {
+      format: this.format,
+      endedAt: Date.now(),
+      duration: this.clock.now() - this.startTime,
+      contenders: results,
+      rounds: rounds,
+      winner: winner ? winner.lang : null,
+      margin: winner && results[1] ? winner.totalScore - results[1].totalScore : 0,
+    };
+  };
+
+  /**
+   * MatchHistory
+   *
+   * Keeps the results of finished matches, the latest first, forgetting the
+   * oldest beyond MAX_MATCHES_TO_KEEP, in `items` (see StoredList in
+   * storage.js).
+   *
+   * @param {object} storage - a Web Storage (e.g. localStorage), or null.
+   **/
+  function MatchHistory(storage) {
+    storages.StoredList.call(this, storage, MATCH_HISTORY_STORAGE_KEY, MAX_MATCHES_TO_KEEP);
+  }
+
+  MatchHistory.prototype = Object.create(storages.StoredList.prototype);
+  MatchHistory.prototype.constructor = MatchHistory;
+
+  /**
+   * This exports the matches, so that they are available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      MATCH_FORMATS: MATCH_FORMATS,
+      DEFAULT_MATCH_FORMAT: DEFAULT_MATCH_FORMAT,
+      isMatchFormat: isMatchFormat,
+      Match: Match,
+      MatchHistory: MatchHistory,
+    };
+  } else {
+    global.MATCH_FORMATS = MATCH_FORMATS;
+    global.DEFAULT_MATCH_FORMAT = DEFAULT_MATCH_FORMAT;
+    global.isMatchFormat = isMatchFormat;
+    global.Match = Match;
+    global.MatchHistory = MatchHistory;
+  }
+
+}(this));
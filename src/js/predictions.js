@@ -0,0 +1,521 @@
+/*****************************************************************************
+ * predictions.js                                                            *
+ *                                                                           *
+ * Calling it: before or during a match (see match.js), the user picks the   *
+ * language they think will win, and stakes some of their points on it.      *
+ * The odds come from how each contender is doing: its total score, and how  *
+ * much its scores vary.  A contender far behind, with steady scores, has    *
+ * little chance to catch up, so backing it pays a lot:                      *
+ *                                                                           *
+ *     var profile = new PredictionProfile(localStorage);                    *
+ *     var odds = computeOdds(match);                                        *
+ *     profile.placeBet({ lang: 'de', name: 'German', stake: 100,            *
+ *       odds: odds.left });                                                 *
+ *     ...                                                                   *
+ *     profile.settle(result);                                               *
+ *                                                                           *
+ * The profile keeps the points, the bets settled, the current and best      *
+ * streaks of right calls, and how often the user was right.                 *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The contenders and storage are either globals in the browser, or modules
+  // in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var battles = isModule ? require('./battle') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // How many points a new profile starts with, and the smallest stake.
+  var STARTING_POINTS = 1000;
+  var MIN_STAKE = 10;
+
+  // The share of every payout the house keeps, so that backing every side
+  // doesn't pay, and the odds of the longest shot, so that a bet on a
+  // contender that can't win anymore doesn't pay a fortune by luck.
+  var HOUSE_EDGE = 0.05;
+  var MAX_ODDS = 50;
+
+  // Calls close this long before the end of every round, in miliseconds:
+  // by then, the leader can hardly be caught, and backing it would be a sure
+  // profit, however short its odds.
+  var CALLS_CLOSE_BEFORE_END = 10000;
+
+  // How much the scores of a contender vary, until it has a few of them.
+  var DEFAULT_SCORE_VARIANCE = 1;
+
+  // The least a total score is expected to move before the end of a round,
+  // so that a contender with steady scores still has a chance.
+  var MIN_SPREAD = 0.001;
+
+  // How finely we add up the chances of each contender to finish first.
+  var INTEGRATION_STEPS = 200;
+
+  // Where the profile is kept in storage, and how many bets it keeps, the
+  // latest first.
+  var PROFILE_STORAGE_KEY = 'wiki-battle-profile';
+  var MAX_BETS_TO_KEEP = 50;
+
+  /**
+   * Math Helpers
+   **/
+
+  /**
+   * The variance of some scores, or DEFAULT_SCORE_VARIANCE for fewer than
+   * two.
+   **/
+  function _variance(scores) {
+    if (scores.length < 2) {
+      return DEFAULT_SCORE_VARIANCE;
+    }
+
+    var mean = scores.reduce(function(sum, score) {
+      return sum + score;
+    }, 0) / scores.length;
+
+    return scores.reduce(function(sum, score) {
+      return sum + (score - mean) * (score - mean);
+    }, 0) / (scores.length - 1);
+  }
+
+  /**
+   * The density and cumulative distribution of a normal distribution.  The
+   * latter uses the approximation of the error function 7.1.26 of
+   * Abramowitz and Stegun, good to about 1e-7.
+   **/
+  function _normalDensity(x, mean, spread) {
+    var z = (x - mean) / spread;
+    return Math.exp(-z * z / 2) / (spread * Math.sqrt(2 * Math.PI));
+  }
+
+  function _normalDistribution(x, mean, spread) {
+    var z = (x - mean) / (spread * Math.SQRT2);
+    var t = 1 / (1 + 0.3275911 * Math.abs(z));
+    var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z);
+
+    return (1 + (z < 0 ? -erf : erf)) / 2;
+  }
+
+  /**
+   * The chance of each contender to lead when the round ends.  Until then,
+   * every second brings a new score, which replaces the oldest one in the
+   * total score.  We expect the new scores to be like the current ones: on
+   * average the total score, and varying as much as the scores so far.
+   *
+   * @param {Array:Contender} contenders - the contenders.
+   * @param {number} timeLeft - how long is left in the round, in miliseconds.
+   * @return {Array:number} the chance of each contender, in order.
+   **/
+  function _roundProbabilities(contenders, timeLeft) {
+    var windowSize = battles.Contender.MAX_SCORES_TO_CONSIDER;
+    var newScores = Math.min(windowSize, Math.ceil(timeLeft / 1000));
+
+    // Once the round is over, the leaders share it.
+    if (!newScores) {
+      var best = Math.max.apply(Math, contenders.map(function(contender) {
+        return contender.totalScore;
+      }));
+
+      var leaders = contenders.filter(function(contender) {
+        return contender.totalScore === best;
+      });
+
+      return contenders.map(function(contender) {
+        return leaders.indexOf(contender) === -1 ? 0 : 1 / leaders.length;
+      });
+    }
+
+    var outlooks = contenders.map(function(contender) {
+      var spread = Math.sqrt(newScores * _variance(contender.scores)) / windowSize;
+      return {
+        mean: contender.totalScore,
+        spread: Math.max(MIN_SPREAD, spread),
+      };
+    });
+
+    // The chance to finish first is the chance to finish on each total score,
+    // with every other contender below it.
+    var low = Math.min.apply(Math, outlooks.map(function(outlook) {
+      return outlook.mean - 6 * outlook.spread;
+    }));
+
+    var high = Math.max.apply(Math, outlooks.map(function(outlook) {
+      return outlook.mean + 6 * outlook.spread;
+    }));
+
+    var step = (high - low) / INTEGRATION_STEPS;
+
+    var chances = outlooks.map(function(outlook, i) {
+      var chance = 0;
+      for (var x = low + step / 2; x < high; x += step) {
+        var below = 1;
+        for (var j = 0; j < outlooks.length; j++) {
+          if (j !== i) {
+            below *= _normalDistribution(x, outlooks[j].mean, outlooks[j].spread);
+          }
+        }
+
+        chance += _normalDensity(x, outlook.mean, outlook.spread) * below * step;
+      }
+
+      return chance;
+    });
+
+    var total = chances.reduce(function(sum, chance) {
+      return sum + chance;
+    }, 0);
+
+    return chances.map(function(chance) {
+      return chance / total;
+    });
+  }
+
+  /**
+   * The chance of a contender to win the match, from the rounds each one
+   * won, when the rounds still to be played are anyone's.
+   *
+   * @param {Array:number} wins - the rounds won by each contender.
+   * @param {number} i - the index of the contender.
+   * @param {number} roundsLeft - how many rounds can still be played.
+   * @param {number} needed - how many rounds win the match early.
+   **/
+  function _matchChance(wins, i, roundsLeft, needed) {
+    var most = Math.max.apply(Math, wins);
+    if (most >= needed || !roundsLeft) {
+      var leaders = wins.filter(function(won) {
+        return won === most;
+      });
+
+      return wins[i] === most ? 1 / leaders.length : 0;
+    }
+
+    return wins.reduce(function(sum, won, k) {
+      var next = wins.slice();
+      next[k]++;
+      return sum + _matchChance(next, i, roundsLeft - 1, needed) / wins.length;
+    }, 0);
+  }
+
+  /**
+   * The chance of each contender of a match to win it.
+   *
+   * @param {Match} match - the match being played (see match.js).
+   * @return {object} the chance of each contender, by side.
+   **/
+  function winProbabilities(match) {
+    var roundChances = _roundProbabilities(match.contenders, match.timeLeft());
+    var wins = match.contenders.map(function(contender) {
+      return match.roundsWon(contender.side);
+    });
+
+    var roundsLeft = match.rounds - match.round;
+    var needed = Math.floor(match.rounds / 2) + 1;
+
+    var probabilities = {};
+    match.contenders.forEach(function(contender, i) {
+      probabilities[contender.side] = roundChances.reduce(function(sum, chance, k) {
+        var next = wins.slice();
+        next[k]++;
+        return sum + chance * _matchChance(next, i, roundsLeft, needed);
+      }, 0);
+    });
+
+    return probabilities;
+  }
+
+  /**
+   * The odds of each contender of a match, as what a bet of one point pays
+   * if it wins, e.g. 2.5.
+   *
+   * @param {Match} match - the match being played (see match.js).
+   * @return {object} the odds of each contender, by side.
+   **/
+  function computeOdds(match) {
+    var probabilities = winProbabilities(match);
+    var odds = {};
+    Object.keys(probabilities).forEach(function(side) {
+      var fair = 1 / Math.max(probabilities[side], 1 / MAX_ODDS);
+      odds[side] = Math.max(1.01, Math.round(fair * (1 - HOUSE_EDGE) * 100) / 100);
+    });
+
+    return odds;
+  }
+
+  /**
+   * Whether the match being played can still be called: it isn't over, and
+   * its round doesn't end within CALLS_CLOSE_BEFORE_END.
+   *
+   * @param {Match} match - the match being played (see match.js).
+   **/
+  function canCall(match) {
+    return !match.ended && match.timeLeft() > CALLS_CLOSE_BEFORE_END;
+  }
+
+  /**
+   * The most a match being played can still last, in miliseconds, if every
+   * round is played, and it isn't paused.
+   *
+   * @param {Match} match - the match (see match.js).
+   **/
+  function _mostTimeLeft(match) {
+    return match.timeLeft() + (match.rounds - match.round) * match.roundDuration;
+  }
+
+  /**
+   * PredictionProfile
+   *
+   * Keeps the points and bets of the user in a Web Storage (e.g.
+   * localStorage) (see storage.js).  Without one, the profile only lasts as
+   * long as the page.
+   *
+   * @param {object} storage - the storage, or null.
+   **/
+  function PredictionProfile(storage) {
+    this.storage = storage || null;
+
+    var saved = storages.readJSON(this.storage, PROFILE_STORAGE_KEY, null);
+    this.load(saved || {});
+
+    // The bet may be on a match still being played in another page, so it's
+    // only lost once that match is over (see `forfeitEnded`).
+    if (saved && saved.pending) {
+      this.pending = saved.pending;
+      this.forfeitEnded();
+    }
+  }
+
+  /**
+   * Set the profile from what was saved, or start a new one.
+   *
+   * @param {object} saved - the profile, as saved.
+   **/
+  PredictionProfile.prototype.load = function(saved) {
+    this.points = typeof saved.points === 'number' ? saved.points : STARTING_POINTS;
+
+    // How many calls in a row were right, now and at best, and how many
+    // were right and wrong in total.  Draws don't count.
+    this.streak = saved.streak || 0;
+    this.bestStreak = saved.bestStreak || 0;
+    this.won = saved.won || 0;
+    this.lost = saved.lost || 0;
+
+    // The bets settled, the latest first, and the bet on the match being
+    // played, if any.
+    this.bets = saved.bets || [];
+    this.pending = null;
+  };
+
+  /**
+   * Stake points on a contender to win the match being played.  Only one bet
+   * can be placed on a match.
+   *
+   * @param {object} bet - the `lang` and `name` of the contender, the
+   *   `stake`, and the `odds` it was offered (see computeOdds).
+   * @param {Match} match - the match being played (see match.js).
+   * @return {object} the bet placed.
+   **/
+  PredictionProfile.prototype.placeBet = function(bet, match) {
+    var stake = Math.floor(bet.stake);
+    if (this.pending) {
+      throw new Error('You already called this match');
+    }
+
+    if (isNaN(stake) || stake < MIN_STAKE) {
+      throw new Error('Stake at least ' + MIN_STAKE + ' points');
+    }
+
+    if (stake > this.points) {
+      throw new Error('You only have ' + this.points + ' points');
+    }
+
+    this.points -= stake;
+    this.pending = {
+      lang: bet.lang,
+      name: bet.name,
+      stake: stake,
+      odds: bet.odds,
+      placedAt: Date.now(),
+
+      // Which match the bet is on, and when it will be over at the latest.
+      matchStart: match.startTime,
+      endsBy: Date.now() + _mostTimeLeft(match),
+    };
+
+    this.save();
+    return this.pending;
+  };
+
+  /**
+   * Settle the bet on a match that ended, if any: a right call pays the stake
+   * times its odds, a draw pays the stake back, and a wrong call pays
+   * nothing.
+   *
+   * @param {Match} match - the match (see match.js).
+   * @param {object} result - the result of the match (see
+   *   Match.prototype.result).
+   * @return {object} the bet settled, with its `outcome` ('won', 'lost' or
+   *   'draw') and `payout`, or null if there wasn't one on the match.
+   **/
+  PredictionProfile.prototype.settle = function(match, result) {
+    var bet = this.betOn(match);
+    if (!bet) {
+      return null;
+    }
+
+    this.pending = null;
+    if (!result.winner) {
+      bet.outcome = 'draw';
+      bet.payout = bet.stake;
+    } else if (result.winner === bet.lang) {
+      bet.outcome = 'won';
+      bet.payout = Math.round(bet.stake * bet.odds);
+      this.won++;
+      this.streak++;
+      this.bestStreak = Math.max(this.bestStreak, this.streak);
+    } else {
+      bet.outcome = 'lost';
+      bet.payout = 0;
+      this.lost++;
+      this.streak = 0;
+    }
+
+    this.points += bet.payout;
+    this._keepBet(bet);
+    return bet;
+  };
+
+  /**
+   * The bet on a match, if the user called it.
+   *
+   * @param {Match} match - the match (see match.js).
+   * @return {object} the bet, or null.
+   **/
+  PredictionProfile.prototype.betOn = function(match) {
+    var bet = this.pending;
+    return bet && bet.matchStart === match.startTime ? bet : null;
+  };
+
+  /**
+   * Lose the bet on a match the user left before it ended, if any, e.g. by
+   * picking another language.  Otherwise, backing out of a call going wrong
+   * would cost nothing.  It counts as a wrong call.
+   *
+   * @param {Match} match - the match left (see match.js).
+   * @return {object} the bet lost, with its `outcome` ('forfeit') and
+   *   `payout`, or null if there wasn't one on the match.
+   **/
+  PredictionProfile.prototype.forfeit = function(match) {
+    return this.betOn(match) ? this._forfeitPending() : null;
+  };
+
+  /**
+   * Lose the bet on a match that's over, but was never settled, e.g. because
+   * its page was reloaded or closed before the end.  A bet saved before bets
+   * knew when their match ends is over too.
+   *
+   * @return {object} the bet lost (see `forfeit`), or null if there wasn't
+   *   one, or its match may still be played.
+   **/
+  PredictionProfile.prototype.forfeitEnded = function() {
+    var bet = this.pending;
+    var ended = bet && (typeof bet.endsBy !== 'number' || Date.now() >= bet.endsBy);
+    return ended ? this._forfeitPending() : null;
+  };
+
+  /**
+   * Lose the pending bet, as a wrong call.
+   **/
+  PredictionProfile.prototype._forfeitPending = function() {
+    var bet = this.pending;
+    this.pending = null;
+    bet.outcome = 'forfeit';
+    bet.payout = 0;
+    this.lost++;
+    this.streak = 0;
+    this._keepBet(bet);
+    return bet;
+  };
+
+  /**
+   * Keep a bet that was played out, first, forgetting the oldest beyond
+   * MAX_BETS_TO_KEEP, and save the profile.
+   *
+   * @param {object} bet - the bet, with its `outcome` and `payout`.
+   **/
+  PredictionProfile.prototype._keepBet = function(bet) {
+    this.bets.unshift(bet);
+    this.bets = this.bets.slice(0, MAX_BETS_TO_KEEP);
+    this.save();
+  };
+
+  /**
+   * Pay back the bet on a match that was stopped before it ended, if any,
+   * when it's no fault of the user, e.g. the match couldn't go on.
+   **/
+  PredictionProfile.prototype.cancel = function() {
+    if (!this.pending) {
+      return;
+    }
+
+    this.points += this.pending.stake;
+    this.pending = null;
+    this.save();
+  };
+
+  /**
+   * How often the user called it right, from 0 to 1, or null before their
+   * first call.
+   **/
+  PredictionProfile.prototype.accuracy = function() {
+    var calls = this.won + this.lost;
+    return calls ? this.won / calls : null;
+  };
+
+  /**
+   * Start over with a new profile, e.g. after losing every point.
+   **/
+  PredictionProfile.prototype.reset = function() {
+    this.load({});
+    storages.removeJSON(this.storage, PROFILE_STORAGE_KEY);
+  };
+
+  /**
+   * Keep the profile in storage.
+   **/
+  PredictionProfile.prototype.save = function() {
+    storages.writeJSON(this.storage, PROFILE_STORAGE_KEY, {
+      points: this.points,
+      streak: this.streak,
+      bestStreak: this.bestStreak,
+      won: this.won,
+      lost: this.lost,
+      bets: this.bets,
+      pending: this.pending,
+    });
+  };
+
+  /**
+   * This exports the predictions, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      winProbabilities: winProbabilities,
+      computeOdds: computeOdds,
+      canCall: canCall,
+      PredictionProfile: PredictionProfile,
+    };
+  } else {
+    global.winProbabilities = winProbabilities;
+    global.computeOdds = computeOdds;
+    global.canCall = canCall;
+    global.PredictionProfile = PredictionProfile;
+  }
+
+}(this));
@@ -0,0 +1,152 @@
+/*****************************************************************************
+ * recorder.js                                                               *
+ *                                                                           *
+ * Records every raw message the contenders of a battle receive, so that the *
+ * battle can be replayed later (see replay.js).  A recording is a newline   *
+ * delimited JSON file.  The first line describes the battle, and every      *
+ * other line is a message, with the language it was received for, and when  *
+ * it was received, in miliseconds since the start of the battle:            *
+ *                                                                           *
+ *     {"battle": {"contenders": [...], "scoring": "zscore", ...}}           *
+ *     {"lang": "de", "t": 312, "data": "{\"page_title\": ...}"}             *
+ *     {"lang": "fr", "t": 540, "data": "{\"page_title\": ...}"}             *
+ *                                                                           *
+ * Messages are kept exactly as the stream source published them, whatever   *
+ * filters or metric the battle uses, so a recording can be replayed with    *
+ * other settings too.                                                       *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The clocks are either globals in the browser, or a module in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var clocks = isModule ? require('./clock') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The most messages a recording keeps.  A busy wiki sends a few dozen
+  // messages a second, so this is hours of battle, but keeps a recording
+  // left running overnight from eating all of the memory.
+  var MAX_RECORDS = 200000;
+
+  /**
+   * BattleRecorder
+   *
+   * @param {object} battle - the description of the battle, written on the
+   *   first line of the recording:
+   *   - contenders: the `lang`, `countryCode` and `name` of each contender,
+   *     in order.
+   *   - scoring, filters, metric: the settings of the battle.
+   * @param {object} clock - the clock to time messages with (see clock.js).
+   *   Defaults to the real clock.
+   **/
+  function BattleRecorder(battle, clock) {
+    this.battle = battle;
+    this.clock = clock || clocks.REAL_CLOCK;
+    this.startTime = this.clock.now();
+
+    // The lines of the recording, each already serialized.
+    this.lines = [JSON.stringify({ battle: battle })];
+
+    // Whether MAX_RECORDS was reached, and messages are no longer recorded.
+    this.full = false;
+  }
+
+  /**
+   * Describe a battle between contenders, for the first line of a recording.
+   *
+   * @param {Array:Contender} contenders - the contenders, in order.
+   * @param {object} settings - the `scoring`, `filters` and `metric` of the
+   *   battle.
+   **/
+  BattleRecorder.describe = function(contenders, settings) {
+    var descriptions = contenders.map(function(contender) {
+      return {
+        lang: contender.lang,
+        countryCode: contender.countryCode,
+        name: contender.name,
+      };
+    });
+
+    return {
+      contenders: descriptions,
+      scoring: settings.scoring,
+      filters: settings.filters,
+      metric: settings.metric,
+    };
+  };
+
+  /**
+   * Record a message, as received now.
+   *
+   * @param {string} lang - the language the message was received for.
+   * @param {string|object} data - the raw message.
+   **/
+  BattleRecorder.prototype.record = function(lang, data) {
+    if (this.lines.length > MAX_RECORDS) {
+      this.full = true;
+      return;
+    }
+
+    this.lines.push(JSON.stringify({
+      lang: lang,
+      t: this.clock.now() - this.startTime,
+      data: data,
+    }));
+  };
+
+  /**
+   * The number of messages recorded so far.
+   **/
+  BattleRecorder.prototype.size = function() {
+    return this.lines.length - 1;
+  };
+
+  /**
+   * The recording, as newline delimited JSON.
+   **/
+  BattleRecorder.prototype.toString = function() {
+    return this.lines.join('\n') + '\n';
+  };
+
+  /**
+   * Parse a recording, undoing `toString`.
+   *
+   * @param {string} text - the contents of the recording.
+   * @return {object} `battle`, the description of the battle, and `records`,
+   *   every recorded message, in the order they were received.
+   **/
+  function parseRecording(text) {
+    var lines = text.split('\n').filter(function(line) {
+      return line.trim().length > 0;
+    }).map(function(line) {
+      return JSON.parse(line);
+    });
+
+    if (!lines.length || !lines[0].battle) {
+      throw new Error('Not a battle recording: the first line should describe the battle');
+    }
+
+    return {
+      battle: lines[0].battle,
+      records: lines.slice(1),
+    };
+  }
+
+  /**
+   * This exports the recorder, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      BattleRecorder: BattleRecorder,
+      parseRecording: parseRecording,
+    };
+  } else {
+    global.BattleRecorder = BattleRecorder;
+    global.parseRecording = parseRecording;
+  }
+
+}(this));
@@ -0,0 +1,190 @@
+/*****************************************************************************
+ * remote.js                                                                 *
+ *                                                                           *
+ * A RemoteBattle is a Battle (see battle.js) whose contenders are scored by *
+ * the server (see server/index.js) rather than in the browser, so that      *
+ * everyone watching the same battle sees the same scores:                   *
+ *                                                                           *
+ *     var battle = new RemoteBattle(contenders, callbacks, {                *
+ *       server: 'ws://localhost:8080',                                      *
+ *       scoring: 'zscore',                                                  *
+ *     });                                                                   *
+ *     battle.start();                                                       *
+ *                                                                           *
+ * The contenders never open their own stream sources.  Instead, their       *
+ * counts and scores are updated from the server's messages, and the battle  *
+ * ranks them, and picks the winner, just like a local one.                  *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The battle, scoring strategies, clocks and sources are either globals in
+  // the browser, or modules in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var battles = isModule ? require('./battle') : global;
+  var scoring = isModule ? require('./scoring') : global;
+  var clocks = isModule ? require('./clock') : global;
+  var sources = isModule ? require('./sources') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // How long to wait before reconnecting to the server, in miliseconds.
+  var RECONNECT_DELAY = 5000;
+
+  /**
+   * RemoteBattle
+   *
+   * @param {Array:Contender} contenders - the contenders, in their initial
+   *   order.
+   * @param {object} callbacks - the UI callbacks, as for a Battle.
+   *   `onMessage` is never called, since the raw messages stay on the server.
+   * @param {object} options - the settings of the battle, as for a Battle,
+   *   and:
+   *   - server: the web socket URL of the server.
+   *   - WebSocket: the class of the web socket, for when there is no global
+   *     one, e.g. `require('ws')` in Node.
+   *   - clock: what waits before reconnecting (see clock.js).  Defaults to
+   *     the real clock.
+   **/
+  function RemoteBattle(contenders, callbacks, options) {
+    battles.Battle.call(this, contenders, callbacks, options);
+    this.server = options.server;
+    this.Socket = options.WebSocket || null;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+    this.ws = null;
+    this.reconnectTimeoutId = null;
+  }
+
+  RemoteBattle.prototype = Object.create(battles.Battle.prototype);
+  RemoteBattle.prototype.constructor = RemoteBattle;
+
+  /**
+   * The URL on which the server sends the messages of this battle.
+   **/
+  RemoteBattle.prototype.url = function() {
+    var langs = this.contenders.map(function(contender) {
+      return contender.lang;
+    });
+
+    var query = [
+      'langs=' + langs.map(encodeURIComponent).join(','),
+      'scoring=' + encodeURIComponent(this.scoringName),
+      'metric=' + encodeURIComponent(this.metric),
+    ];
+
+    if (this.filterNames.length) {
+      query.push('filters=' + this.filterNames.map(encodeURIComponent).join(','));
+    }
+
+    return this.server.replace(/\/$/, '') + '/battle?' + query.join('&');
+  };
+
+  /**
+   * Connect to the server, and update the contenders from its messages.
+   **/
+  RemoteBattle.prototype.start = function() {
+    var onNewCount = this.getOnNewCount();
+    var onConnectionChange = this.getOnConnectionChange();
+    var onEdit = this.getOnEdit();
+
+    this.contenders.forEach(function(contender) {
+      if (contender.scoring.name !== this.scoringName) {
+        contender.setScoring(scoring.createScoringStrategy(this.scoringName, this.metric));
+      }
+
+      contender.callbacks = { onConnectionChange: onConnectionChange };
+      contender.setConnectionState(battles.Contender.CONNECTION_STATES.CONNECTING);
+    }, this);
+
+    // The socket counts as an open connection, like the ones of stream
+    // sources (see countOpenConnections in sources.js).
+    var Socket = this.Socket || WebSocket;
+    this.ws = new Socket(this.url());
+    sources.addOpenConnections(1);
+    this.ws.onmessage = function(event) {
+      // The server carries on while we are paused, but we don't listen.
+      if (this.paused) {
+        return;
+      }
+
+      var message = JSON.parse(event.data);
+
+      // A language may be on several sides.
+      this.contenders.filter(function(contender) {
+        return contender.lang === message.lang;
+      }).forEach(function(contender) {
+        if (message.type === 'count') {
+          contender.expected = message.expected;
+          contender.totalScore = message.totalScore;
+          contender.windowCounts.push(message.count);
+          while (contender.windowCounts.length > contender.countsToKeep) {
+            contender.windowCounts.shift();
+          }
+
+          onNewCount(message.measure.edits, contender.side, message.measure);
+        } else if (message.type === 'connection' && message.state) {
+          contender.setConnectionState(message.state);
+        } else if (message.type === 'edit') {
+          onEdit(message.edit, contender.side);
+        }
+      });
+    }.bind(this);
+
+    // Without the server, every contender is as good as disconnected.
+    this.ws.onclose = function() {
+      this.ws = null;
+      sources.addOpenConnections(-1);
+      this.contenders.forEach(function(contender) {
+        contender.setConnectionState(battles.Contender.CONNECTION_STATES.RECONNECTING);
+      });
+
+      this.reconnectTimeoutId = this.clock.setTimeout(this.start.bind(this), RECONNECT_DELAY);
+    }.bind(this);
+  };
+
+  /**
+   * Disconnect from the server.
+   **/
+  RemoteBattle.prototype.stop = function() {
+    this.clock.clearTimeout(this.reconnectTimeoutId);
+    this.paused = false;
+    if (this.ws) {
+      this.ws.onmessage = null;
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+      sources.addOpenConnections(-1);
+    }
+  };
+
+  /**
+   * Change the language of one side.  The server scores a battle by its
+   * languages, so we ask it for the new battle, staying paused if we were.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   * @param {Contender} contender - the contender taking it.
+   **/
+  RemoteBattle.prototype.replaceContender = function(side, contender) {
+    var paused = this.paused;
+    this.stop();
+    this.swapContender(side, contender).close();
+    this.start();
+    this.paused = paused;
+  };
+
+  /**
+   * This exports the RemoteBattle class, so that it is available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      RemoteBattle: RemoteBattle,
+    };
+  } else {
+    global.RemoteBattle = RemoteBattle;
+  }
+
+}(this));
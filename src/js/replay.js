@@ -0,0 +1,251 @@
+/*****************************************************************************
+ * replay.js                                                                 *
+ *                                                                           *
+ * Replays a recorded battle (see recorder.js).  Every contender gets a      *
+ * ReplaySource with its own messages, and every contender and source runs   *
+ * on the same VirtualClock (see clock.js), which the replay moves forward:  *
+ *                                                                           *
+ *     var replay = new BattleReplay(parseRecording(text), { speed: 10 });   *
+ *     var contender = new Contender(..., replay.createSource('de'),         *
+ *       replay.contenderOptions());                                         *
+ *     ...                                                                   *
+ *     battle.start();                                                       *
+ *     replay.play(onEnd);                                                   *
+ *                                                                           *
+ * At 1x, 2x or 10x, the clock moves forward in small steps, in real time.   *
+ * At max speed, it runs as fast as it can.  Either way, every timer fires   *
+ * in the same order, so a replay always gives the same scores and winners.  *
+ *                                                                           *
+ * replayBattle() replays a whole recording at once, and returns the score   *
+ * timeline and winner changes, e.g. to compare against a known result.      *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The battle, sources and clocks are either globals in the browser, or
+  // modules in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var battles = isModule ? require('./battle') : global;
+  var sources = isModule ? require('./sources') : global;
+  var clocks = isModule ? require('./clock') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The speeds a battle can be replayed at, by name, in the order they
+  // should be offered.  Each is how many seconds of the recording are played
+  // per real second.
+  var REPLAY_SPEEDS = {
+    '1x': 1,
+    '2x': 2,
+    '10x': 10,
+    max: Infinity,
+  };
+
+  // How often the clock moves forward, when replaying at a finite speed, in
+  // real miliseconds.
+  var FRAME_DURATION = 50;
+
+  // At max speed, how much of the recording we play before giving the
+  // browser a chance to draw, in miliseconds of the recording.
+  var MAX_SPEED_STEP = 60000;
+
+  // We keep replaying for a bucket after the last message, so that it's
+  // counted.
+  var LAST_BUCKET = 1000;
+
+  /**
+   * BattleReplay
+   *
+   * @param {object} recording - a parsed recording (see parseRecording in
+   *   recorder.js).
+   * @param {object} options - `speed`, one of the keys of REPLAY_SPEEDS.
+   *   Defaults to 1x.
+   **/
+  function BattleReplay(recording, options) {
+    options = options || {};
+    this.battle = recording.battle;
+    this.records = recording.records;
+    this.clock = new clocks.VirtualClock();
+    this.setSpeed(options.speed || '1x');
+
+    // How long the replay lasts, in miliseconds of the recording.
+    var lastRecord = this.records[this.records.length - 1];
+    this.duration = (lastRecord ? lastRecord.t : 0) + LAST_BUCKET;
+
+    // Used to control the playback loop, on the real clock.  The replay may
+    // also be stopped by one of its own timers, while the clock moves.
+    this.timeoutId = null;
+    this.playing = false;
+  }
+
+  /**
+   * Change the speed of the replay, even while it plays.
+   *
+   * @param {string} speed - one of the keys of REPLAY_SPEEDS.
+   **/
+  BattleReplay.prototype.setSpeed = function(speed) {
+    if (!REPLAY_SPEEDS[speed]) {
+      throw new Error('Unknown replay speed: ' + speed);
+    }
+
+    this.speed = speed;
+  };
+
+  /**
+   * Create the stream source of a contender, which publishes the messages
+   * recorded for its language.
+   *
+   * @param {string} lang - the language code of the contender.
+   **/
+  BattleReplay.prototype.createSource = function(lang) {
+    var records = this.records.filter(function(record) {
+      return record.lang === lang;
+    });
+
+    return new sources.ReplaySource(records, { clock: this.clock });
+  };
+
+  /**
+   * The options every contender of the replay needs (see Contender in
+   * battle.js).
+   **/
+  BattleReplay.prototype.contenderOptions = function() {
+    return {
+      clock: this.clock,
+    };
+  };
+
+  /**
+   * How far the replay has played, in miliseconds of the recording.
+   **/
+  BattleReplay.prototype.now = function() {
+    return this.clock.now();
+  };
+
+  /**
+   * Play the replay, from wherever it was stopped, until the end.
+   *
+   * @param {function} onEnd - called once the whole recording was played.
+   **/
+  BattleReplay.prototype.play = function(onEnd) {
+    var speed = REPLAY_SPEEDS[this.speed];
+    var step = (speed === Infinity) ? MAX_SPEED_STEP : FRAME_DURATION * speed;
+
+    this.playing = true;
+    this.clock.runUntil(Math.min(this.clock.now() + step, this.duration));
+    if (!this.playing) {
+      return;
+    }
+
+    if (this.clock.now() >= this.duration) {
+      this.playing = false;
+      this.timeoutId = null;
+      if (onEnd) {
+        onEnd();
+      }
+
+      return;
+    }
+
+    this.timeoutId = clocks.REAL_CLOCK.setTimeout(
+      this.play.bind(this, onEnd),
+      (speed === Infinity) ? 0 : FRAME_DURATION
+    );
+  };
+
+  /**
+   * Pause the replay.  `play` picks up where it stopped.
+   **/
+  BattleReplay.prototype.stop = function() {
+    clocks.REAL_CLOCK.clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.playing = false;
+  };
+
+  /**
+   * Replay a whole recording at once, with the settings it was recorded
+   * with, unless others are given.
+   *
+   * @param {object} recording - a parsed recording (see parseRecording in
+   *   recorder.js).
+   * @param {object} settings - `scoring`, `filters` and `metric`, to replay
+   *   the battle with other settings.
+   * @return {object} the result of the battle:
+   *   - timeline: every new count, in order, with the time `t`, the `lang`
+   *     of the contender, its `count` and its `totalScore` after it.
+   *   - winnerChanges: every change of winner, with the time `t` and the
+   *     `lang` of the new winner.
+   *   - ranking: the languages, from first to last, at the end.
+   **/
+  function replayBattle(recording, settings) {
+    settings = settings || {};
+    var replay = new BattleReplay(recording, { speed: 'max' });
+    var timeline = [];
+    var winnerChanges = [];
+
+    var contenders = recording.battle.contenders.map(function(description, i) {
+      return new battles.Contender(
+        description.countryCode,
+        description.lang,
+        description.name,
+        'side-' + i,
+        replay.createSource(description.lang),
+        replay.contenderOptions()
+      );
+    });
+
+    var battle = new battles.Battle(contenders, {
+      onNewCount: function(count, side, measure) {
+        var contender = contenders[+side.split('-')[1]];
+        timeline.push({
+          t: replay.now(),
+          lang: contender.lang,
+          count: measure[contender.metric],
+          totalScore: contender.totalScore,
+        });
+      },
+
+      onChangeWinner: function(winner) {
+        winnerChanges.push({
+          t: replay.now(),
+          lang: winner.lang,
+        });
+      },
+    }, {
+      scoring: settings.scoring || recording.battle.scoring,
+      filters: settings.filters || recording.battle.filters,
+      metric: settings.metric || recording.battle.metric,
+    });
+
+    battle.start();
+    replay.clock.runUntil(replay.duration);
+    battle.stop();
+
+    return {
+      timeline: timeline,
+      winnerChanges: winnerChanges,
+      ranking: battle.ranking.map(function(contender) {
+        return contender.lang;
+      }),
+    };
+  }
+
+  /**
+   * This exports the replay, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      REPLAY_SPEEDS: REPLAY_SPEEDS,
+      BattleReplay: BattleReplay,
+      replayBattle: replayBattle,
+    };
+  } else {
+    global.REPLAY_SPEEDS = REPLAY_SPEEDS;
+    global.BattleReplay = BattleReplay;
+    global.replayBattle = replayBattle;
+  }
+
+}(this));
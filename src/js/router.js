@@ -0,0 +1,139 @@
+/*****************************************************************************
+ * router.js                                                                 *
+ *                                                                           *
+ * Every battle has its own URL, so that it can be shared, bookmarked, and   *
+ * navigated back and forth.  The route lives in the hash of the URL, with   *
+ * the languages of each side, in order, then the settings of the battle:    *
+ *                                                                           *
+ *     #/de/vs/fr                                                            *
+ *     #/de/vs/fr/vs/ja?scoring=ewma&filters=humans,articles&metric=bytes    *
+ *     #/de/vs/fr?match=bo3                                                  *
+ *                                                                           *
+ * A side without a language is left empty (`#/de/vs/`), and settings left   *
+ * at their default are left out.  This only reads and writes routes; it's   *
+ * up to app.js to apply them.                                               *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Global Constants
+   **/
+
+  // Separates the languages of the sides in a route.
+  var SIDE_SEPARATOR = '/vs/';
+
+  // Language codes are only ever lowercase letters and dashes, e.g. 'zh-yue'.
+  // Anything else in a route is ignored.
+  var LANGUAGE_CODE = /^[a-z\-]+$/;
+
+  /**
+   * Parse the hash of a URL into a route.
+   *
+   * @param {string} hash - the hash, e.g. '#/de/vs/fr?scoring=ewma'.
+   * @return {object} the route:
+   *   - langs: the language code of each side, or null if it has none.  Empty
+   *     if the route has no sides at all.
+   *   - scoring: the name of the scoring strategy, or null.
+   *   - filters: the names of the edit filters.
+   *   - metric: the name of the metric, or null.
+   *   - match: the name of the match format, or null.
+   **/
+  function parseRoute(hash) {
+    var route = {
+      langs: [],
+      scoring: null,
+      filters: [],
+      metric: null,
+      match: null,
+    };
+
+    var parts = (hash || '').replace(/^#\/?/, '').split('?');
+    var path = parts[0];
+    var query = parts[1] || '';
+
+    if (path) {
+      route.langs = path.split(SIDE_SEPARATOR).map(function(lang) {
+        return LANGUAGE_CODE.test(lang) ? lang : null;
+      });
+    }
+
+    try {
+      query.split('&').forEach(function(parameter) {
+        var pair = parameter.split('=');
+        var value = decodeURIComponent(pair[1] || '');
+        if (!value) {
+          return;
+        }
+
+        if (pair[0] === 'scoring') {
+          route.scoring = value;
+        } else if (pair[0] === 'filters') {
+          route.filters = value.split(',');
+        } else if (pair[0] === 'metric') {
+          route.metric = value;
+        } else if (pair[0] === 'match') {
+          route.match = value;
+        }
+      });
+    } catch (e) {
+      // A malformed escape, e.g. a lone '%', leaves no telling what the route
+      // meant, so we go with the default one.
+      return parseRoute('');
+    }
+
+    return route;
+  }
+
+  /**
+   * Format a route into the hash of a URL, undoing `parseRoute`.
+   *
+   * @param {object} route - the route, as returned by `parseRoute`.  Settings
+   *   which are null, or empty, are left out.
+   * @return {string} the hash, e.g. '#/de/vs/fr?scoring=ewma'.
+   **/
+  function formatRoute(route) {
+    var hasLanguage = route.langs.some(function(lang) {
+      return lang;
+    });
+
+    var path = !hasLanguage ? '' : route.langs.map(function(lang) {
+      return lang || '';
+    }).join(SIDE_SEPARATOR);
+
+    var query = [];
+    if (route.scoring) {
+      query.push('scoring=' + encodeURIComponent(route.scoring));
+    }
+
+    if (route.filters.length) {
+      query.push('filters=' + route.filters.map(encodeURIComponent).join(','));
+    }
+
+    if (route.metric) {
+      query.push('metric=' + encodeURIComponent(route.metric));
+    }
+
+    if (route.match) {
+      query.push('match=' + encodeURIComponent(route.match));
+    }
+
+    return '#/' + path + (query.length ? '?' + query.join('&') : '');
+  }
+
+  /**
+   * This exports the routing functions, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      parseRoute: parseRoute,
+      formatRoute: formatRoute,
+    };
+  } else {
+    global.parseRoute = parseRoute;
+    global.formatRoute = formatRoute;
+  }
+
+}(this));
@@ -0,0 +1,257 @@
+/*****************************************************************************
+ * scoring.js                                                                *
+ *                                                                           *
+ * Scoring strategies decide how abnormal each new bucket count is for a     *
+ * language.  Every second, a Contender asks its strategy for the score of   *
+ * its newest count, given the running statistics of all of the counts       *
+ * recorded before it (see statistics.js):                                   *
+ *                                                                           *
+ *     var score = strategy.score(newCount, statistics);                     *
+ *                                                                           *
+ * A positive score means the language is busier than normal, a negative     *
+ * score means it is quieter.  The Contender then averages its most recent   *
+ * scores into its total score, whatever the strategy.                       *
+ *                                                                           *
+ * Each Contender gets its own instance of a strategy, so a strategy can     *
+ * keep state between calls.  Scores of different strategies aren't in the   *
+ * same units, so every contender in a battle uses the same strategy.        *
+ *                                                                           *
+ * The strategies:                                                           *
+ *                                                                           *
+ *   - zscore: the deviation from the average of all counts so far, in       *
+ *     standard deviations.  The original Wiki Battle! score.                *
+ *   - ewma: like zscore, but against an exponentially weighted moving       *
+ *     average and variance, so that recent history counts more.             *
+ *   - poisson: how surprising the count is, assuming edits arrive at the    *
+ *     average rate so far (a Poisson process).  Long runs of zero edits     *
+ *     aren't surprising for a small wiki, so they barely cost it.  It only  *
+ *     scores counts of edits, not of bytes.                                 *
+ *   - percentile: where the count ranks among all counts so far, from -0.5  *
+ *     (quietest ever) to 0.5 (busiest ever).  Immune to outliers.           *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The edit metrics are either globals in the browser, or a module in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var edits = isModule ? require('./edits') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The number of seconds over which the EWMA strategy averages.  A count from
+  // EWMA_SPAN seconds ago weighs about a seventh as much as the newest one.
+  var EWMA_SPAN = 60;
+
+  // The Poisson strategy can't learn a rate of zero edits per second, or any
+  // edit at all would be infinitely surprising.
+  var MIN_POISSON_RATE = 0.1;
+
+  // Up to this count, log factorials are computed exactly.
+  var EXACT_FACTORIAL_LIMIT = 100;
+
+  /**
+   * Math Helpers
+   **/
+
+  /**
+   * The natural log of n!.  Counts of bytes can be large, so past
+   * EXACT_FACTORIAL_LIMIT we use Stirling's approximation, which is very
+   * close by then, instead of adding up thousands of logs.
+   **/
+  function _logFactorial(n) {
+    if (n > EXACT_FACTORIAL_LIMIT) {
+      return n * Math.log(n) - n + Math.log(2 * Math.PI * n) / 2 + 1 / (12 * n);
+    }
+
+    var logFactorial = 0;
+    for (var i = 2; i <= n; i++) {
+      logFactorial += Math.log(i);
+    }
+
+    return logFactorial;
+  }
+
+  /**
+   * The natural log of the probability of seeing `count` events in a second,
+   * when they happen `rate` times a second on average.
+   **/
+  function _poissonLogProbability(count, rate) {
+    return count * Math.log(rate) - rate - _logFactorial(count);
+  }
+
+  /**
+   * ZScoreStrategy
+   *
+   * If the standard deviation is zero, then the score is zero, otherwise,
+   * it's the differnce between the new count (bucket size) and the dataset
+   * average divided by the standard deviation.  If a point is 2 standard
+   * deviations above the mean, then the score is 2.
+   **/
+  function ZScoreStrategy() {}
+
+  ZScoreStrategy.prototype.name = 'zscore';
+  ZScoreStrategy.prototype.label = 'Z-score';
+
+  ZScoreStrategy.prototype.score = function(newCount, statistics) {
+    var datasetAverage = statistics.mean();
+    var datasetStdDev = statistics.standardDeviation();
+    return (datasetStdDev === 0) ? 0 : (newCount - datasetAverage) / datasetStdDev;
+  };
+
+  /**
+   * EwmaStrategy
+   *
+   * The z-score of the new count against an exponentially weighted moving
+   * average and variance.  The average starts out as the plain average of the
+   * counts so far, then every new count pulls it towards itself.
+   **/
+  function EwmaStrategy() {
+    this.alpha = 2 / (EWMA_SPAN + 1);
+    this.average = null;
+    this.variance = null;
+  }
+
+  EwmaStrategy.prototype.name = 'ewma';
+  EwmaStrategy.prototype.label = 'EWMA';
+
+  EwmaStrategy.prototype.score = function(newCount, statistics) {
+    if (this.average === null) {
+      this.average = statistics.mean();
+      this.variance = statistics.variance();
+    }
+
+    var stdDev = Math.sqrt(this.variance);
+    var score = (stdDev === 0) ? 0 : (newCount - this.average) / stdDev;
+
+    // Fold the new count into the moving average and variance.
+    var diff = newCount - this.average;
+    var increment = this.alpha * diff;
+    this.average += increment;
+    this.variance = (1 - this.alpha) * (this.variance + diff * increment);
+
+    return score;
+  };
+
+  /**
+   * PoissonStrategy
+   *
+   * How much less likely the new count is than the most likely count, as a
+   * log-likelihood ratio, when edits arrive at the average rate so far.  The
+   * score is positive when the count is above the rate, and negative when it
+   * is below.  A typical count scores about zero, however small the wiki.
+   *
+   * Bytes don't arrive one by one like edits do, and net bytes can even be
+   * negative, so it only scores metrics that count edits.
+   **/
+  function PoissonStrategy() {}
+
+  PoissonStrategy.prototype.name = 'poisson';
+  PoissonStrategy.prototype.label = 'Poisson surprise';
+  PoissonStrategy.prototype.countsOnly = true;
+
+  PoissonStrategy.prototype.score = function(newCount, statistics) {
+    var rate = Math.max(statistics.mean(), MIN_POISSON_RATE);
+    var mostLikelyCount = Math.floor(rate);
+    var surprise = _poissonLogProbability(mostLikelyCount, rate) -
+      _poissonLogProbability(newCount, rate);
+
+    return (newCount < rate) ? -surprise : surprise;
+  };
+
+  /**
+   * PercentileStrategy
+   *
+   * The percentile rank of the new count among the counts so far, centered
+   * on zero.  Counts equal to the new count are split half below, half above.
+   **/
+  function PercentileStrategy() {}
+
+  PercentileStrategy.prototype.name = 'percentile';
+  PercentileStrategy.prototype.label = 'Rank percentile';
+
+  PercentileStrategy.prototype.score = function(newCount, statistics) {
+    return statistics.percentile(newCount) - 0.5;
+  };
+
+  // All of the strategies, by name, in the order they should be offered.
+  var SCORING_STRATEGIES = {
+    zscore: ZScoreStrategy,
+    ewma: EwmaStrategy,
+    poisson: PoissonStrategy,
+    percentile: PercentileStrategy,
+  };
+
+  // The strategy used when none is chosen.
+  var DEFAULT_SCORING_STRATEGY = 'zscore';
+
+  /**
+   * Whether a name is the name of a scoring strategy, rather than a key every
+   * object inherits, e.g. 'constructor', which a URL can have too.
+   *
+   * @param {string} name - the name.
+   **/
+  function isScoringStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(SCORING_STRATEGIES, name);
+  }
+
+  /**
+   * Whether a scoring strategy can score a metric.  Some strategies only make
+   * sense of counts of edits (see `isCount` in EDIT_METRICS in edits.js).
+   *
+   * @param {string} name - the name of the strategy.
+   * @param {string} metric - the name of the metric.
+   **/
+  function canScoreMetric(name, metric) {
+    if (!isScoringStrategy(name)) {
+      return false;
+    }
+
+    return !SCORING_STRATEGIES[name].prototype.countsOnly ||
+      (edits.isEditMetric(metric) && edits.EDIT_METRICS[metric].isCount);
+  }
+
+  /**
+   * Create a new instance of a scoring strategy.
+   *
+   * @param {string} name - the name of the strategy, one of the keys of
+   *   SCORING_STRATEGIES.  Defaults to DEFAULT_SCORING_STRATEGY.
+   * @param {string} metric - the name of the metric it will score, if known.
+   * @throws {Error} if the strategy can't score the metric.
+   **/
+  function createScoringStrategy(name, metric) {
+    name = name || DEFAULT_SCORING_STRATEGY;
+    if (!isScoringStrategy(name)) {
+      throw new Error('Unknown scoring strategy: ' + name);
+    }
+
+    if (metric && !canScoreMetric(name, metric)) {
+      throw new Error('The ' + name + ' scoring strategy can\'t score ' + metric);
+    }
+
+    return new SCORING_STRATEGIES[name]();
+  }
+
+  /**
+   * This exports the scoring strategies, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SCORING_STRATEGIES: SCORING_STRATEGIES,
+      DEFAULT_SCORING_STRATEGY: DEFAULT_SCORING_STRATEGY,
+      isScoringStrategy: isScoringStrategy,
+      canScoreMetric: canScoreMetric,
+      createScoringStrategy: createScoringStrategy,
+    };
+  } else {
+    global.SCORING_STRATEGIES = SCORING_STRATEGIES;
+    global.DEFAULT_SCORING_STRATEGY = DEFAULT_SCORING_STRATEGY;
+    global.isScoringStrategy = isScoringStrategy;
+    global.canScoreMetric = canScoreMetric;
+    global.createScoringStrategy = createScoringStrategy;
+  }
+
+}(this));
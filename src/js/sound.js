@@ -0,0 +1,293 @@
+/*****************************************************************************
+ * sound.js                                                                  *
+ *                                                                           *
+ * Like Listen to Wikipedia, a battle can be heard: every edit counted plays *
+ * a short note in the voice of its side, lower the bigger the edit, and a   *
+ * fanfare plays when a side takes the lead.  On phones, taking the lead     *
+ * vibrates too:                                                             *
+ *                                                                           *
+ *     var sonifier = new Sonifier({ storage: localStorage });               *
+ *     sonifier.setMuted(false);                                             *
+ *     sonifier.playEdit(edit, 0);                                           *
+ *     sonifier.playFanfare(1);                                              *
+ *                                                                           *
+ * Each voice plays at most MAX_NOTES_PER_SECOND notes, so that a busy       *
+ * language like English stays music rather than noise.  The sound is off    *
+ * until the user turns it on, which browsers require anyway.                *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The clocks and storage are either globals in the browser, or modules in
+  // Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var clocks = isModule ? require('./clock') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The voice of each side, in the order of the sides: the frequency of its
+  // note for the smallest edits, in hertz, and the shape of its wave.  There
+  // are more sides than voices in a big free-for-all, so they go around.
+  var VOICES = [
+    { frequency: 880, type: 'sine' },
+    { frequency: 659.25, type: 'triangle' },
+    { frequency: 1046.5, type: 'square' },
+    { frequency: 783.99, type: 'sawtooth' },
+  ];
+
+  // How many semitones the note of an edit drops for every doubling of its
+  // size, in bytes, and at most.
+  var SEMITONES_PER_DOUBLING = 2;
+  var MAX_PITCH_DROP = 24;
+
+  // How long a note lasts, in seconds, and how loud it is, before the volume.
+  var NOTE_DURATION = 0.3;
+  var NOTE_GAIN = 0.2;
+
+  // The most notes a voice plays in a second.  The others are skipped.
+  var MAX_NOTES_PER_SECOND = 6;
+
+  // The notes of the fanfare, in semitones above the voice of the leader,
+  // and how far apart they are, in seconds.
+  var FANFARE_NOTES = [0, 4, 7, 12];
+  var FANFARE_NOTE_INTERVAL = 0.12;
+
+  // How a phone vibrates when a side takes the lead, in miliseconds: on,
+  // off, on.
+  var VIBRATION_PATTERN = [100, 50, 100];
+
+  // Where the settings of the sound are kept in storage, and what they are
+  // at first.
+  var SOUND_STORAGE_KEY = 'wiki-battle-sound';
+  var DEFAULT_VOLUME = 0.5;
+
+  /**
+   * The frequency of a note some semitones away from another.
+   *
+   * @param {number} frequency - the frequency of the other note, in hertz.
+   * @param {number} semitones - how many semitones up, or down if negative.
+   **/
+  function _transpose(frequency, semitones) {
+    return frequency * Math.pow(2, semitones / 12);
+  }
+
+  /**
+   * How many semitones the note of an edit drops, for its size.
+   *
+   * @param {Edit} edit - the edit (see edits.js).
+   **/
+  function pitchDrop(edit) {
+    var size = Math.abs(edit.changeSize || 0);
+    return Math.min(MAX_PITCH_DROP, SEMITONES_PER_DOUBLING * Math.log(1 + size) / Math.LN2);
+  }
+
+  /**
+   * Sonifier
+   *
+   * Plays the notes of a battle through the Web Audio API.  The audio
+   * context is only created once the sound is turned on, since browsers
+   * don't let a page make sounds before the user asks.
+   *
+   * @param {object} options - the options, all optional:
+   *   - storage: where the settings are kept, e.g. localStorage.
+   *   - AudioContext: the audio context class.  Defaults to the browser's.
+   *   - vibrate: a function taking a vibration pattern, e.g.
+   *     navigator.vibrate, to vibrate when a side takes the lead.
+   *   - clock: the clock to rate limit the notes by (see clock.js).
+   **/
+  function Sonifier(options) {
+    options = options || {};
+    this.storage = options.storage || null;
+    this.AudioContext = options.AudioContext ||
+      global.AudioContext || global.webkitAudioContext || null;
+    this.vibrate = options.vibrate || null;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+
+    this.context = null;
+    this.output = null;
+
+    // When each voice played its latest notes, by voice.
+    this.noteTimes = {};
+
+    var settings = storages.readJSON(this.storage, SOUND_STORAGE_KEY, {});
+    this.muted = settings.muted !== false;
+    this.volume = typeof settings.volume === 'number' ? settings.volume : DEFAULT_VOLUME;
+  }
+
+  /**
+   * Whether the browser can play sounds at all.
+   **/
+  Sonifier.prototype.isSupported = function() {
+    return !!this.AudioContext;
+  };
+
+  /**
+   * Turn the sound on or off.  Turning it on must happen when the user
+   * clicks, so that the browser lets the audio context play.
+   *
+   * @param {boolean} muted - whether to turn it off.
+   **/
+  Sonifier.prototype.setMuted = function(muted) {
+    this.muted = muted;
+    if (!muted) {
+      this._wake();
+    }
+
+    this.save();
+  };
+
+  /**
+   * Create the audio context, if it wasn't yet, and resume it if the browser
+   * suspended it, e.g. when the sound was left on in a previous visit, and
+   * the user didn't click anything yet.
+   *
+   * @return {boolean} whether there's a context to play in.
+   **/
+  Sonifier.prototype._wake = function() {
+    if (!this.isSupported()) {
+      return false;
+    }
+
+    if (!this.context) {
+      this.context = new this.AudioContext();
+      this.output = this.context.createGain();
+      this.output.gain.value = this.volume;
+      this.output.connect(this.context.destination);
+    }
+
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+
+    return true;
+  };
+
+  /**
+   * Set how loud the sound is.
+   *
+   * @param {number} volume - from 0, silent, to 1.
+   **/
+  Sonifier.prototype.setVolume = function(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    if (this.output) {
+      this.output.gain.value = this.volume;
+    }
+
+    this.save();
+  };
+
+  /**
+   * Keep the settings in storage.
+   **/
+  Sonifier.prototype.save = function() {
+    storages.writeJSON(this.storage, SOUND_STORAGE_KEY, {
+      muted: this.muted,
+      volume: this.volume,
+    });
+  };
+
+  /**
+   * Whether a voice can play another note now, under MAX_NOTES_PER_SECOND,
+   * and remember that it does.
+   *
+   * @param {number} voice - the voice, e.g. 0 for the first side.
+   **/
+  Sonifier.prototype._takeNote = function(voice) {
+    var now = this.clock.now();
+    var times = (this.noteTimes[voice] || []).filter(function(time) {
+      return now - time < 1000;
+    });
+
+    this.noteTimes[voice] = times;
+    if (times.length >= MAX_NOTES_PER_SECOND) {
+      return false;
+    }
+
+    times.push(now);
+    return true;
+  };
+
+  /**
+   * Play a note, fading out.
+   *
+   * @param {number} frequency - its frequency, in hertz.
+   * @param {string} type - the shape of its wave, e.g. 'sine'.
+   * @param {number} delay - how long to wait before playing it, in seconds.
+   * @param {number} duration - how long it lasts, in seconds.
+   **/
+  Sonifier.prototype._playNote = function(frequency, type, delay, duration) {
+    var start = this.context.currentTime + delay;
+    var oscillator = this.context.createOscillator();
+    var envelope = this.context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(NOTE_GAIN, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.output);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  };
+
+  /**
+   * Play the note of an edit, unless the sound is off, or the voice played
+   * too many notes already.
+   *
+   * @param {Edit} edit - the edit (see edits.js).
+   * @param {number} voice - the voice of its side, e.g. 0 for the first side.
+   **/
+  Sonifier.prototype.playEdit = function(edit, voice) {
+    if (this.muted || !this._takeNote(voice) || !this._wake()) {
+      return;
+    }
+
+    var sound = VOICES[voice % VOICES.length];
+    this._playNote(_transpose(sound.frequency, -pitchDrop(edit)), sound.type, 0, NOTE_DURATION);
+  };
+
+  /**
+   * Play the fanfare of a side that takes the lead, and vibrate.
+   *
+   * @param {number} voice - the voice of the side, e.g. 0 for the first side.
+   **/
+  Sonifier.prototype.playFanfare = function(voice) {
+    if (this.muted) {
+      return;
+    }
+
+    if (this.vibrate) {
+      this.vibrate(VIBRATION_PATTERN);
+    }
+
+    if (!this._wake()) {
+      return;
+    }
+
+    var sound = VOICES[voice % VOICES.length];
+    FANFARE_NOTES.forEach(function(semitones, i) {
+      this._playNote(_transpose(sound.frequency / 2, semitones), sound.type,
+        i * FANFARE_NOTE_INTERVAL, NOTE_DURATION * 2);
+    }, this);
+  };
+
+  /**
+   * This exports the sonifier, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      pitchDrop: pitchDrop,
+      Sonifier: Sonifier,
+    };
+  } else {
+    global.pitchDrop = pitchDrop;
+    global.Sonifier = Sonifier;
+  }
+
+}(this));
@@ -0,0 +1,388 @@
+/*****************************************************************************
+ * sources.js                                                                *
+ *                                                                           *
+ * Stream sources publish Wikipedia edits to a Contender.  A Contender       *
+ * doesn't care where its edits come from, only when they arrive, so every   *
+ * source implements the same tiny interface:                                *
+ *                                                                           *
+ *     source.open({                                                         *
+ *       onOpen: function() { ... },                                         *
+ *       onMessage: function(data) { ... },                                  *
+ *       onClose: function() { ... },                                        *
+ *     });                                                                   *
+ *     source.close();                                                       *
+ *                                                                           *
+ * `open` starts delivering messages to the handlers, and `close` stops      *
+ * delivering them and releases any underlying connection.  `data` is the    *
+ * raw message payload (usually a JSON string).  `onOpen` is called once the *
+ * source is connected, and `onClose` is called if the connection is lost or *
+ * fails.  Sources never reconnect by themselves, the Contender does that.   *
+ *                                                                           *
+ * Three sources are provided:                                               *
+ *                                                                           *
+ *   - WebSocketSource: a raw web socket, like the hatnote wikimon sockets.  *
+ *   - EventStreamSource: Wikimedia's EventStreams (Server-Sent Events)      *
+ *     recent changes feed, which carries every wiki, filtered to one wiki.  *
+ *   - ReplaySource: a recorded file of timestamped messages, played back    *
+ *     in real time, or on a virtual clock (see clock.js).                   *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The clocks are either globals in the browser, or a module in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var clocks = isModule ? require('./clock') : global;
+
+  /**
+   * Global state
+   **/
+
+  // How many web sockets and event streams are open, across every source
+  // and remote battle, so that a connection left open by mistake shows.
+  var openConnections = 0;
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * Call a handler if it was passed to `open`.  Handlers are optional, and a
+   * closed source has no handlers at all.
+   **/
+  function _emit(source, name, value) {
+    if (source.handlers && source.handlers[name]) {
+      source.handlers[name](value);
+    }
+  }
+
+  /**
+   * Stop listening to a web socket, but for its errors: the ws package throws
+   * the ones nobody listens to, e.g. when it's closed while still connecting.
+   **/
+  function _ignoreSocket(ws) {
+    ws.onopen = null;
+    ws.onmessage = null;
+    ws.onclose = null;
+    ws.onerror = function() {
+      // Nobody is listening anymore.
+    };
+  }
+
+  /**
+   * WebSocketSource
+   *
+   * Publishes every message received on a web socket.
+   *
+   * @param {string} url - the web socket URL which publishes the edits.
+   * @param {object} options - `WebSocket`, the class of the web socket, for
+   *   when there is no global one, e.g. `require('ws')` in Node.
+   **/
+  function WebSocketSource(url, options) {
+    this.url = url;
+    this.options = options || {};
+    this.ws = null;
+    this.handlers = null;
+  }
+
+  /**
+   * Open the web socket and start publishing its messages.
+   *
+   * @param {object} handlers - `onOpen`, `onMessage` and `onClose` callbacks.
+   **/
+  WebSocketSource.prototype.open = function(handlers) {
+    // Opening twice would leave the first socket open, with nobody to close
+    // it.
+    this.close();
+
+    this.handlers = handlers;
+    var Socket = this.options.WebSocket || WebSocket;
+    this.ws = new Socket(this.url);
+    openConnections++;
+    this.ws.onopen = function() {
+      _emit(this, 'onOpen');
+    }.bind(this);
+
+    this.ws.onmessage = function(message) {
+      _emit(this, 'onMessage', message.data);
+    }.bind(this);
+
+    // Browsers follow an error with a close event, but the ws package may
+    // not, e.g. when the stream can't be reached, so both are reported as a
+    // close, once.
+    var ws = this.ws;
+    this.ws.onclose = this.ws.onerror = function() {
+      _ignoreSocket(ws);
+      _emit(this, 'onClose');
+    }.bind(this);
+  };
+
+  /**
+   * Stop publishing messages and close the web socket.
+   **/
+  WebSocketSource.prototype.close = function() {
+    this.handlers = null;
+    if (this.ws) {
+      _ignoreSocket(this.ws);
+      this.ws.close();
+      this.ws = null;
+      openConnections--;
+    }
+  };
+
+  /**
+   * EventStreamSource
+   *
+   * Wikimedia's EventStreams service publishes the recent changes of every
+   * wiki on a single Server-Sent Events stream, so we keep only the messages
+   * that belong to the wiki we are interested in.
+   *
+   * @param {string} url - the EventStreams recent changes URL.
+   * @param {string} wiki - the database name of the wiki, e.g. "dewiki".
+   * @param {object} options - `EventSource`, the class of the event source,
+   *   for when there is no global one, e.g. in Node.
+   **/
+  function EventStreamSource(url, wiki, options) {
+    this.url = url;
+    this.wiki = wiki;
+    this.options = options || {};
+    this.eventSource = null;
+    this.handlers = null;
+  }
+
+  /**
+   * Open the event stream and start publishing messages for our wiki.
+   *
+   * @param {object} handlers - `onOpen`, `onMessage` and `onClose` callbacks.
+   **/
+  EventStreamSource.prototype.open = function(handlers) {
+    this.close();
+
+    this.handlers = handlers;
+    var Source = this.options.EventSource || EventSource;
+    this.eventSource = new Source(this.url);
+    openConnections++;
+    this.eventSource.onopen = function() {
+      _emit(this, 'onOpen');
+    }.bind(this);
+
+    // EventSource would quietly retry on its own, but we want the Contender
+    // to know that the connection was lost, and to decide when to retry.
+    this.eventSource.onerror = function() {
+      this.eventSource.close();
+      _emit(this, 'onClose');
+    }.bind(this);
+
+    this.eventSource.onmessage = function(message) {
+      var change;
+      try {
+        change = JSON.parse(message.data);
+      } catch (e) {
+        return; // Ignore anything that isn't a change.
+      }
+
+      if (change.wiki === this.wiki) {
+        _emit(this, 'onMessage', message.data);
+      }
+    }.bind(this);
+  };
+
+  /**
+   * Stop publishing messages and close the event stream.
+   **/
+  EventStreamSource.prototype.close = function() {
+    this.handlers = null;
+    if (this.eventSource) {
+      this.eventSource.onopen = null;
+      this.eventSource.onerror = null;
+      this.eventSource.onmessage = null;
+      this.eventSource.close();
+      this.eventSource = null;
+      openConnections--;
+    }
+  };
+
+  /**
+   * ReplaySource
+   *
+   * Plays back a recording, in real time.  A recording is a newline delimited
+   * JSON file, with one message per line:
+   *
+   *     {"t": 0, "data": "{\"page_title\": ...}"}
+   *     {"t": 412, "data": "{\"page_title\": ...}"}
+   *
+   * where `t` is the time the message was received, in miliseconds since the
+   * start of the recording.
+   *
+   * @param {string|Array} recording - the URL of the recording, or an array
+   *   of already parsed records.
+   * @param {object} options - `loop` starts again from the beginning when the
+   *   recording runs out, and `clock` is the clock to play back on (see
+   *   clock.js), the real one by default.
+   **/
+  function ReplaySource(recording, options) {
+    this.recording = recording;
+    this.options = options || {};
+    this.clock = this.options.clock || clocks.REAL_CLOCK;
+    this.records = Array.isArray(recording) ? recording : null;
+    this.handlers = null;
+
+    // The index of the next record to publish.
+    this.index = 0;
+
+    // Used to control the playback loop.
+    this.timeoutId = null;
+  }
+
+  /**
+   * Parse a newline delimited JSON recording into an array of records.
+   *
+   * @param {string} text - the contents of the recording.
+   **/
+  ReplaySource.parse = function(text) {
+    return text.split('\n').filter(function(line) {
+      return line.trim().length > 0;
+    }).map(function(line) {
+      return JSON.parse(line);
+    });
+  };
+
+  /**
+   * Start playing back the recording, downloading it first if needed.
+   *
+   * @param {object} handlers - `onOpen`, `onMessage` and `onClose` callbacks.
+   **/
+  ReplaySource.prototype.open = function(handlers) {
+    this.close();
+    this.handlers = handlers;
+
+    if (this.records) {
+      _emit(this, 'onOpen');
+      this.play();
+      return;
+    }
+
+    var request = new XMLHttpRequest();
+    request.onload = function() {
+      // We may have been closed while the recording was downloading.
+      if (!this.handlers) {
+        return;
+      }
+
+      if (request.status >= 400) {
+        _emit(this, 'onClose');
+        return;
+      }
+
+      this.records = ReplaySource.parse(request.responseText);
+      _emit(this, 'onOpen');
+      this.play();
+    }.bind(this);
+
+    request.onerror = function() {
+      _emit(this, 'onClose');
+    }.bind(this);
+
+    request.open('GET', this.recording);
+    request.send();
+  };
+
+  /**
+   * Publish records one after the other, waiting between each one for as
+   * long as we waited when it was recorded.
+   **/
+  ReplaySource.prototype.play = function() {
+    if (this.index >= this.records.length) {
+      if (!this.options.loop || !this.records.length) {
+        return;
+      }
+
+      this.index = 0;
+    }
+
+    // The first record is published as long after the start as it was
+    // recorded.
+    var record = this.records[this.index];
+    var previous = this.records[this.index - 1];
+    var delay = record.t - (previous ? previous.t : 0);
+
+    this.timeoutId = this.clock.setTimeout(function() {
+      this.index++;
+      _emit(this, 'onMessage', record.data);
+      this.play();
+    }.bind(this), Math.max(delay, 0));
+  };
+
+  /**
+   * Stop playing back the recording.
+   **/
+  ReplaySource.prototype.close = function() {
+    this.handlers = null;
+    this.clock.clearTimeout(this.timeoutId);
+  };
+
+  /**
+   * How many web sockets and event streams are open now, across every source
+   * and remote battle.  Replays don't connect to anything, so they don't
+   * count.
+   **/
+  function countOpenConnections() {
+    return openConnections;
+  }
+
+  /**
+   * Count a connection opened or closed outside of a stream source, e.g. the
+   * web socket of a remote battle (see remote.js).
+   *
+   * @param {number} change - 1 when a connection was opened, -1 when one was
+   *   closed.
+   **/
+  function addOpenConnections(change) {
+    openConnections += change;
+  }
+
+  /**
+   * Create the right stream source for a language from our list of languages.
+   *
+   * @param {object} options - `type` is one of "websocket" (the default),
+   *   "eventstream" or "replay", `url` is the URL of the stream, and `lang`
+   *   is the language code of the wiki.  `WebSocket` is passed on to
+   *   WebSocketSource, `EventSource` to EventStreamSource, and `clock` to
+   *   ReplaySource.
+   **/
+  function createStreamSource(options) {
+    switch (options.type) {
+      case 'eventstream':
+        return new EventStreamSource(options.url, options.lang + 'wiki', {
+          EventSource: options.EventSource,
+        });
+      case 'replay':
+        return new ReplaySource(options.url, { loop: true, clock: options.clock });
+      default:
+        return new WebSocketSource(options.url, { WebSocket: options.WebSocket });
+    }
+  }
+
+  /**
+   * This exports the stream sources, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      WebSocketSource: WebSocketSource,
+      EventStreamSource: EventStreamSource,
+      ReplaySource: ReplaySource,
+      createStreamSource: createStreamSource,
+      countOpenConnections: countOpenConnections,
+      addOpenConnections: addOpenConnections,
+    };
+  } else {
+    global.WebSocketSource = WebSocketSource;
+    global.EventStreamSource = EventStreamSource;
+    global.ReplaySource = ReplaySource;
+    global.createStreamSource = createStreamSource;
+    global.countOpenConnections = countOpenConnections;
+    global.addOpenConnections = addOpenConnections;
+  }
+
+}(this));
@@ -0,0 +1,258 @@
+/*****************************************************************************
+ * statistics.js                                                             *
+ *                                                                           *
+ * A Contender learns what "normal" looks like for its language from every   *
+ * count of edits per second it has seen.  Rescanning all of those counts    *
+ * every second gets slower and slower as a battle goes on, so instead we    *
+ * keep running statistics, which are updated in constant time and memory    *
+ * as each new count comes in:                                               *
+ *                                                                           *
+ *     var statistics = new RunningStatistics();                             *
+ *     statistics.push(newCount);                                            *
+ *     statistics.mean();                                                    *
+ *     statistics.standardDeviation();                                       *
+ *                                                                           *
+ * The mean and variance are computed with Welford's online algorithm, which *
+ * doesn't lose precision like keeping a sum of squares would.               *
+ *                                                                           *
+ * By default, every count ever pushed counts equally.  Two options limit    *
+ * how far back the statistics remember:                                     *
+ *                                                                           *
+ *   - horizon: only the latest `horizon` counts are considered, like a      *
+ *     sliding window.  This needs to remember those counts, to forget them  *
+ *     again later, so it uses memory proportional to the horizon.           *
+ *   - halfLife: every count is considered, but a count `halfLife` counts    *
+ *     old weighs half as much as the newest one.                            *
+ *                                                                           *
+ * Statistics can also be seeded with a summary of counts seen before, e.g.  *
+ * in an earlier battle (see baselines.js), so they don't start from zero.   *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Global Constants
+   **/
+
+  // Counts up to this value each get their own bin in the histogram used for
+  // percentiles.  Larger counts share bins, which grow exponentially, so that
+  // the histogram stays small however large the counts get.
+  var EXACT_BINS = 64;
+
+  // The number of bins per doubling of the count, above EXACT_BINS.
+  var BINS_PER_DOUBLING = 16;
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * The histogram bin of a value.
+   **/
+  function _bin(value) {
+    if (value < 0) {
+      return -_bin(-value);
+    }
+
+    if (value < EXACT_BINS) {
+      return Math.floor(value);
+    }
+
+    return EXACT_BINS +
+      Math.floor(Math.log(value / EXACT_BINS) / Math.LN2 * BINS_PER_DOUBLING);
+  }
+
+  /**
+   * Combine two summaries of values into a summary of all of them.  A
+   * summary is the `weight`, `average` and `m2` of some values, as kept by
+   * RunningStatistics.  This is the parallel version of Welford's algorithm,
+   * by Chan et al.
+   *
+   * @param {object} a - a summary.
+   * @param {object} b - another summary.
+   * @return {object} the summary of the values of both.
+   **/
+  function combineSummaries(a, b) {
+    var weight = a.weight + b.weight;
+    if (weight <= 0) {
+      return {
+        weight: 0,
+        average: 0,
+        m2: 0,
+      };
+    }
+
+    var diff = b.average - a.average;
+    return {
+      weight: weight,
+      average: a.average + diff * b.weight / weight,
+      m2: a.m2 + b.m2 + diff * diff * a.weight * b.weight / weight,
+    };
+  }
+
+  /**
+   * RunningStatistics
+   *
+   * @param {object} options - either `horizon`, the number of latest values
+   *   to consider, or `halfLife`, the number of values after which a value
+   *   weighs half as much.  With neither, every value is considered equally.
+   *   With both, the horizon wins.
+   **/
+  function RunningStatistics(options) {
+    options = options || {};
+    this.horizon = options.horizon || null;
+    this.decay = (!this.horizon && options.halfLife) ?
+      Math.pow(0.5, 1 / options.halfLife) : 1;
+
+    // The number of values pushed so far.
+    this.count = 0;
+
+    // The total weight of the values considered.  Without a horizon or a
+    // half-life, this is the number of values considered.
+    this.weight = 0;
+
+    // The weighted mean, and the weighted sum of squared differences from the
+    // mean (Welford's M2).
+    this.average = 0;
+    this.m2 = 0;
+
+    // The weight of the values in each histogram bin, by bin.
+    this.histogram = {};
+
+    // The values inside the horizon, oldest first, so that they can be
+    // forgotten once they fall outside of it.
+    this.values = [];
+  }
+
+  /**
+   * Consider a new value.
+   *
+   * @param {number} value - the new value.
+   **/
+  RunningStatistics.prototype.push = function(value) {
+    if (this.horizon) {
+      this.values.push(value);
+      if (this.values.length > this.horizon) {
+        this.forget(this.values.shift());
+      }
+    }
+
+    if (this.decay !== 1) {
+      this.weight *= this.decay;
+      this.m2 *= this.decay;
+      for (var bin in this.histogram) {
+        this.histogram[bin] *= this.decay;
+      }
+    }
+
+    this.count++;
+    this.weight += 1;
+
+    var diff = value - this.average;
+    this.average += diff / this.weight;
+    this.m2 += diff * (value - this.average);
+
+    var valueBin = _bin(value);
+    this.histogram[valueBin] = (this.histogram[valueBin] || 0) + 1;
+  };
+
+  /**
+   * Consider values seen before, from their summary.  Their mean and variance
+   * count like any other value, but they aren't in the histogram, so they
+   * don't count towards percentiles.  They are never forgotten by the
+   * horizon either.
+   *
+   * @param {object} summary - the `weight`, `average` and `m2` of the
+   *   values.
+   **/
+  RunningStatistics.prototype.seed = function(summary) {
+    var combined = combineSummaries(this, summary);
+    this.count += Math.round(summary.weight);
+    this.weight = combined.weight;
+    this.average = combined.average;
+    this.m2 = combined.m2;
+  };
+
+  /**
+   * Stop considering a value that was pushed before, undoing `push`.
+   *
+   * @param {number} value - the value to forget.
+   **/
+  RunningStatistics.prototype.forget = function(value) {
+    this.weight -= 1;
+    if (this.weight <= 0) {
+      this.weight = 0;
+      this.average = 0;
+      this.m2 = 0;
+    } else {
+      var diff = value - this.average;
+      this.average -= diff / this.weight;
+      this.m2 = Math.max(this.m2 - diff * (value - this.average), 0);
+    }
+
+    var valueBin = _bin(value);
+    this.histogram[valueBin] -= 1;
+    if (this.histogram[valueBin] <= 0) {
+      delete this.histogram[valueBin];
+    }
+  };
+
+  /**
+   * The mean of the values considered.
+   **/
+  RunningStatistics.prototype.mean = function() {
+    return this.average;
+  };
+
+  /**
+   * The (population) variance of the values considered.
+   **/
+  RunningStatistics.prototype.variance = function() {
+    return (this.weight > 0) ? this.m2 / this.weight : 0;
+  };
+
+  /**
+   * The (population) standard deviation of the values considered.
+   **/
+  RunningStatistics.prototype.standardDeviation = function() {
+    return Math.sqrt(this.variance());
+  };
+
+  /**
+   * The fraction of the values considered which are below a value, counting
+   * values equal to it (or in the same histogram bin) as half below.
+   *
+   * @param {number} value - the value to rank.
+   **/
+  RunningStatistics.prototype.percentile = function(value) {
+    var valueBin = _bin(value);
+    var below = 0;
+    var total = 0;
+    for (var bin in this.histogram) {
+      total += this.histogram[bin];
+      if (+bin < valueBin) {
+        below += this.histogram[bin];
+      } else if (+bin === valueBin) {
+        below += this.histogram[bin] / 2;
+      }
+    }
+
+    return (total > 0) ? below / total : 0.5;
+  };
+
+  /**
+   * This exports the RunningStatistics class, and combineSummaries, so that
+   * they are available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      RunningStatistics: RunningStatistics,
+      combineSummaries: combineSummaries,
+    };
+  } else {
+    global.RunningStatistics = RunningStatistics;
+    global.combineSummaries = combineSummaries;
+  }
+
+}(this));
@@ -0,0 +1,121 @@
+/*****************************************************************************
+ * storage.js                                                                *
+ *                                                                           *
+ * Keeps what the page should remember, e.g. the baselines of languages, in  *
+ * a Web Storage, as JSON:                                                   *
+ *                                                                           *
+ *     writeJSON(localStorage, 'wiki-battle-baselines', baselines);          *
+ *     readJSON(localStorage, 'wiki-battle-baselines', {});                  *
+ *     removeJSON(localStorage, 'wiki-battle-baselines');                    *
+ *                                                                           *
+ * The storage may be missing, full, or disabled (e.g. in private browsing,  *
+ * or with cookies disabled), in which case nothing is read, and what is     *
+ * written only lasts as long as the page.  None of these ever throw.  A     *
+ * StoredList keeps a list under one key, newest first, e.g. the match       *
+ * history (see match.js).                                                   *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Read a value kept as JSON.
+   *
+   * @param {object} storage - the storage, with `getItem`, or null.
+   * @param {string} key - where the value is kept.
+   * @param {*} fallback - what to return when nothing can be read there.
+   **/
+  function readJSON(storage, key, fallback) {
+    try {
+      var value = JSON.parse(storage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Keep a value as JSON.
+   *
+   * @param {object} storage - the storage, with `setItem`, or null.
+   * @param {string} key - where to keep the value.
+   * @param {*} value - the value, which JSON.stringify can write.
+   **/
+  function writeJSON(storage, key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      // The storage is missing, full, or disabled, so the value only lasts
+      // as long as the page.
+    }
+  }
+
+  /**
+   * Forget a value.
+   *
+   * @param {object} storage - the storage, with `removeItem`, or null.
+   * @param {string} key - where the value is kept.
+   **/
+  function removeJSON(storage, key) {
+    try {
+      storage.removeItem(key);
+    } catch (e) {
+      // Nothing was kept, so there's nothing to forget.
+    }
+  }
+
+  /**
+   * StoredList
+   *
+   * A list kept under one key, newest first, which forgets the oldest items
+   * beyond a maximum.
+   *
+   * @param {object} storage - the storage, or null.
+   * @param {string} key - where the list is kept.
+   * @param {number} maxItems - how many items to keep.
+   **/
+  function StoredList(storage, key, maxItems) {
+    this.storage = storage || null;
+    this.key = key;
+    this.maxItems = maxItems;
+    this.items = readJSON(this.storage, key, []);
+  }
+
+  /**
+   * Keep an item, first.
+   *
+   * @param {*} item - the item.
+   **/
+  StoredList.prototype.add = function(item) {
+    this.items.unshift(item);
+    this.items = this.items.slice(0, this.maxItems);
+    writeJSON(this.storage, this.key, this.items);
+  };
+
+  /**
+   * Forget every item.
+   **/
+  StoredList.prototype.clear = function() {
+    this.items = [];
+    removeJSON(this.storage, this.key);
+  };
+
+  /**
+   * This exports the storage helpers, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      readJSON: readJSON,
+      writeJSON: writeJSON,
+      removeJSON: removeJSON,
+      StoredList: StoredList,
+    };
+  } else {
+    global.readJSON = readJSON;
+    global.writeJSON = writeJSON;
+    global.removeJSON = removeJSON;
+    global.StoredList = StoredList;
+  }
+
+}(this));
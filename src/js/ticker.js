@@ -0,0 +1,208 @@
+/*****************************************************************************
+ * ticker.js                                                                 *
+ *                                                                           *
+ * Lists the latest edits counted for a contender, newest first, under its   *
+ * cover, so that you can see what the community is actually working on.     *
+ * Each edit links to its diff on the contender's wiki, and is marked when   *
+ * it was made by a bot, by an anonymous user, or created a new page.        *
+ *                                                                           *
+ * Only the latest MAX_ITEMS edits are kept.  Hovering over the ticker       *
+ * pauses it, so that an edit can be clicked before it scrolls away; edits   *
+ * that arrive meanwhile are shown when the mouse leaves.                    *
+ *                                                                           *
+ * Titles are written in the direction of their language (see `direction`    *
+ * in data.yml), so that Arabic, Hebrew and Persian titles read correctly.   *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Global Constants
+   **/
+
+  // The most edits shown at once.
+  var MAX_ITEMS = 30;
+
+  // Only web links are followed, so that a stream can't send us a script.
+  var SAFE_URL = /^https?:\/\//i;
+
+  // The badges an edit can get, in the order they are shown.
+  var BADGES = [
+    {
+      name: 'bot',
+      label: 'bot',
+      test: function(edit) {
+        return edit.isBot;
+      },
+    },
+    {
+      name: 'anon',
+      label: 'anon',
+      test: function(edit) {
+        return edit.isAnon;
+      },
+    },
+    {
+      name: 'new',
+      label: 'new',
+      test: function(edit) {
+        return edit.isNew;
+      },
+    },
+  ];
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * The link to an edit, on the wiki of its language.  wikimon sends full
+   * diff URLs, but we fall back to the page itself if there's no diff, and
+   * make relative URLs point to the right wiki.
+   **/
+  function _editUrl(edit, lang) {
+    var wiki = 'https://' + lang + '.wikipedia.org';
+    if (edit.url && SAFE_URL.test(edit.url)) {
+      return edit.url;
+    }
+
+    if (edit.url && edit.url.indexOf('//') === 0) {
+      return 'https:' + edit.url;
+    }
+
+    if (edit.url && edit.url.charAt(0) === '/') {
+      return wiki + edit.url;
+    }
+
+    return wiki + '/wiki/' + encodeURIComponent(edit.title.replace(/ /g, '_'));
+  }
+
+  /**
+   * Create an element with a class and some text.  The text comes straight
+   * from the stream, so it must never be parsed as HTML.
+   **/
+  function _createElement(name, className, text) {
+    var element = document.createElement(name);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * EditTicker
+   *
+   * @param {Object} element - the HTML list element to show the edits in.
+   **/
+  function EditTicker(element) {
+    this.element = element;
+
+    // The language code and text direction of the contender's wiki.
+    this.lang = null;
+    this.direction = null;
+
+    // Whether the mouse is over the ticker, and the edits that arrived since.
+    this.paused = false;
+    this.pending = [];
+
+    this.element.addEventListener('mouseenter', function() {
+      this.paused = true;
+      this.element.classList.add('paused');
+    }.bind(this));
+
+    this.element.addEventListener('mouseleave', function() {
+      this.paused = false;
+      this.element.classList.remove('paused');
+      this.pending.splice(0).forEach(this.render, this);
+    }.bind(this));
+  }
+
+  /**
+   * Show the edits of a new language, forgetting those of the previous one.
+   *
+   * @param {String} lang - the language code, e.g. 'en'.
+   * @param {String} direction - 'rtl' for right-to-left scripts.  Without
+   *   one, the direction of each title is guessed from its text.
+   **/
+  EditTicker.prototype.setLanguage = function(lang, direction) {
+    this.lang = lang;
+    this.direction = direction || null;
+    this.element.setAttribute('lang', lang);
+    this.clear();
+  };
+
+  /**
+   * Add an edit to the top of the ticker, unless it's paused.
+   *
+   * @param {Object} edit - a parsed edit (see edits.js).
+   **/
+  EditTicker.prototype.add = function(edit) {
+    // Messages we couldn't parse have nothing to show.
+    if (!edit.title) {
+      return;
+    }
+
+    if (this.paused) {
+      this.pending.push(edit);
+      if (this.pending.length > MAX_ITEMS) {
+        this.pending.shift();
+      }
+
+      return;
+    }
+
+    this.render(edit);
+  };
+
+  /**
+   * Draw an edit at the top of the ticker, dropping the oldest ones.
+   **/
+  EditTicker.prototype.render = function(edit) {
+    var item = _createElement('li', 'ticker-item', '');
+
+    var title = _createElement('a', 'ticker-title', edit.title);
+    title.href = _editUrl(edit, this.lang);
+    title.target = '_blank';
+    title.rel = 'noopener';
+    title.setAttribute('dir', this.direction || 'auto');
+    item.appendChild(title);
+
+    if (edit.user) {
+      var user = _createElement('span', 'ticker-user', edit.user);
+      user.setAttribute('dir', 'auto');
+      item.appendChild(user);
+    }
+
+    BADGES.forEach(function(badge) {
+      if (badge.test(edit)) {
+        item.appendChild(_createElement('span', 'badge badge-' + badge.name, badge.label));
+      }
+    });
+
+    this.element.insertBefore(item, this.element.firstChild);
+    while (this.element.children.length > MAX_ITEMS) {
+      this.element.removeChild(this.element.lastChild);
+    }
+  };
+
+  /**
+   * Forget every edit shown or pending.
+   **/
+  EditTicker.prototype.clear = function() {
+    this.pending = [];
+    this.element.innerHTML = '';
+  };
+
+  /**
+   * This exports the EditTicker class, so that it is available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      EditTicker: EditTicker,
+    };
+  } else {
+    global.EditTicker = EditTicker;
+  }
+
+}(this));
@@ -0,0 +1,477 @@
+/*****************************************************************************
+ * tournament.js                                                             *
+ *                                                                           *
+ * A tournament pits many languages against each other, two at a time, in    *
+ * timed matches (see match.js), until only the champion is left.  The       *
+ * languages are seeded in the order they are given, best first, into a      *
+ * single elimination bracket, or a double elimination one, in which a       *
+ * language is only out once it lost twice:                                  *
+ *                                                                           *
+ *     var tournament = new Tournament({                                     *
+ *       langs: ['en', 'de', 'ru', 'ja', 'fr'],                              *
+ *       format: '60s',                                                      *
+ *       elimination: 'double',                                              *
+ *     });                                                                   *
+ *     var runner = new TournamentRunner(tournament, {                       *
+ *       createContender: function(lang, side) { ... },                      *
+ *       onUpdate: function() { ... },                                       *
+ *     });                                                                   *
+ *     runner.start();                                                       *
+ *                                                                           *
+ * The bracket is plain data, so it can be saved, and the tournament picked  *
+ * up where it was left, e.g. after a reload.  Matches that were being       *
+ * played then are played again from the start.                              *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The battle, matches, clocks and storage are either globals in the
+  // browser, or modules in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var battles = isModule ? require('./battle') : global;
+  var matches = isModule ? require('./match') : global;
+  var clocks = isModule ? require('./clock') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // The kinds of brackets, by name, in the order they should be offered.
+  var ELIMINATIONS = {
+    single: 'Single elimination',
+    double: 'Double elimination',
+  };
+
+  // How many matches are played at once, when playing in parallel.  Each one
+  // listens to two streams.
+  var MAX_PARALLEL_MATCHES = 4;
+
+  // Where the tournament is kept in storage.
+  var TOURNAMENT_STORAGE_KEY = 'wiki-battle-tournament';
+
+  /**
+   * Helpers
+   **/
+
+  /**
+   * The order seeds are placed in the first round of a bracket of `size`
+   * slots, so that the best seeds meet as late as possible, e.g. 1, 8, 4, 5,
+   * 2, 7, 3, 6 for 8 slots.
+   **/
+  function _seedOrder(size) {
+    var order = [1];
+    while (order.length < size) {
+      var next = [];
+      for (var i = 0; i < order.length; i++) {
+        next.push(order[i], order.length * 2 + 1 - order[i]);
+      }
+
+      order = next;
+    }
+
+    return order;
+  }
+
+  /**
+   * Create a match of the bracket, between two sources.  A source is either
+   * a seed, `{seed: lang}` (null for a bye), or the winner or loser of
+   * another match, `{match: id, outcome: 'winner'}`.
+   **/
+  function _createMatch(bracket, round, index, sources) {
+    return {
+      id: bracket[0].toUpperCase() + round + '-' + index,
+      bracket: bracket,
+      round: round,
+      sources: sources,
+
+      // The languages playing, once both sources are known.
+      players: [null, null],
+
+      // One of 'waiting' (for its players), 'ready', or 'done'.
+      status: 'waiting',
+      winner: null,
+      loser: null,
+
+      // The scores of the players, once it's done, by language.
+      scores: null,
+    };
+  }
+
+  /**
+   * Pair up the winners of a round of matches.
+   **/
+  function _nextRound(bracket, round, previous) {
+    var next = [];
+    for (var i = 0; i < previous.length; i += 2) {
+      next.push(_createMatch(bracket, round, next.length + 1, [
+        { match: previous[i].id, outcome: 'winner' },
+        { match: previous[i + 1].id, outcome: 'winner' },
+      ]));
+    }
+
+    return next;
+  }
+
+  /**
+   * Pit the survivors of a round of the losers bracket against the losers of
+   * a round of the winners bracket, taken in reverse, so that the same
+   * languages don't meet again too soon.
+   **/
+  function _dropRound(round, previous, winnersRound) {
+    var dropping = winnersRound.slice().reverse();
+    return previous.map(function(match, i) {
+      return _createMatch('losers', round, i + 1, [
+        { match: match.id, outcome: 'winner' },
+        { match: dropping[i].id, outcome: 'loser' },
+      ]);
+    });
+  }
+
+  /**
+   * Tournament
+   *
+   * @param {object} data - a new tournament, or one as saved by `toJSON`:
+   *   - langs: the language codes, from the first seed to the last.
+   *   - format: the format of every match (see MATCH_FORMATS in match.js).
+   *   - elimination: one of the keys of ELIMINATIONS.  Defaults to single.
+   *   - parallel: whether to play every match that can be played at once,
+   *     rather than one after the other.
+   *   - settings: the `scoring`, `filters` and `metric` of every battle.
+   **/
+  function Tournament(data) {
+    if (!data.langs || data.langs.length < 2) {
+      throw new Error('A tournament needs at least two languages');
+    }
+
+    if (!matches.isMatchFormat(data.format) || !matches.MATCH_FORMATS[data.format].rounds) {
+      throw new Error('Unknown match format: ' + data.format);
+    }
+
+    this.langs = data.langs;
+    this.format = data.format;
+    this.elimination = ELIMINATIONS[data.elimination] ? data.elimination : 'single';
+    this.parallel = !!data.parallel;
+    this.settings = data.settings || {};
+    this.matches = data.matches || Tournament.createBracket(this.langs, this.elimination);
+    this.champion = data.champion || null;
+    this.advance();
+  }
+
+  /**
+   * Create the matches of a bracket, in the order they can be played.
+   *
+   * @param {Array:string} langs - the languages, from the first seed.
+   * @param {string} elimination - one of the keys of ELIMINATIONS.  Double
+   *   elimination needs at least three languages.
+   **/
+  Tournament.createBracket = function(langs, elimination) {
+    var size = 2;
+    while (size < langs.length) {
+      size *= 2;
+    }
+
+    // The first round, in which the best seeds get the byes.
+    var seeds = _seedOrder(size).map(function(seed) {
+      return { seed: langs[seed - 1] || null };
+    });
+
+    var round = [];
+    for (var i = 0; i < seeds.length; i += 2) {
+      round.push(_createMatch('winners', 1, round.length + 1, [seeds[i], seeds[i + 1]]));
+    }
+
+    var winnersRounds = [round];
+    while (round.length > 1) {
+      round = _nextRound('winners', winnersRounds.length + 1, round);
+      winnersRounds.push(round);
+    }
+
+    var bracket = [].concat.apply([], winnersRounds);
+    if (elimination !== 'double' || size < 4) {
+      return bracket;
+    }
+
+    // The losers of the first round play each other, then, every round, the
+    // survivors play the losers of the next winners round, and pair up.
+    var losersRounds = [];
+    round = [];
+    var firstLosers = winnersRounds[0];
+    for (i = 0; i < firstLosers.length; i += 2) {
+      round.push(_createMatch('losers', 1, round.length + 1, [
+        { match: firstLosers[i].id, outcome: 'loser' },
+        { match: firstLosers[i + 1].id, outcome: 'loser' },
+      ]));
+    }
+
+    losersRounds.push(round);
+
+    for (var r = 1; r < winnersRounds.length; r++) {
+      round = _dropRound(losersRounds.length + 1, round, winnersRounds[r]);
+      losersRounds.push(round);
+      if (round.length > 1) {
+        round = _nextRound('losers', losersRounds.length + 1, round);
+        losersRounds.push(round);
+      }
+    }
+
+    var final = _createMatch('grand-final', 1, 1, [
+      { match: winnersRounds[winnersRounds.length - 1][0].id, outcome: 'winner' },
+      { match: round[0].id, outcome: 'winner' },
+    ]);
+
+    return bracket.concat.apply(bracket, losersRounds).concat([final]);
+  };
+
+  /**
+   * Load the tournament kept in a Web Storage (e.g. localStorage), if any.
+   *
+   * @param {object} storage - the storage, or null.
+   * @return {Tournament} the tournament, or null.
+   **/
+  Tournament.load = function(storage) {
+    var data = storages.readJSON(storage, TOURNAMENT_STORAGE_KEY, null);
+    try {
+      return data ? new Tournament(data) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Forget the tournament kept in a Web Storage.
+   *
+   * @param {object} storage - the storage, or null.
+   **/
+  Tournament.clear = function(storage) {
+    storages.removeJSON(storage, TOURNAMENT_STORAGE_KEY);
+  };
+
+  /**
+   * Keep the tournament in a Web Storage, to pick it up again later.
+   *
+   * @param {object} storage - the storage, or null.
+   **/
+  Tournament.prototype.save = function(storage) {
+    storages.writeJSON(storage, TOURNAMENT_STORAGE_KEY, this);
+  };
+
+  /**
+   * A match of the bracket.
+   *
+   * @param {string} id - the id of the match, e.g. 'W1-3'.
+   **/
+  Tournament.prototype.getMatch = function(id) {
+    return this.matches.filter(function(match) {
+      return match.id === id;
+    })[0];
+  };
+
+  /**
+   * Fill in the players of every match whose sources are known.  A player
+   * facing a bye (or the loser of a match against a bye) wins without
+   * playing.  Once the last match is done, its winner is the champion.
+   **/
+  Tournament.prototype.advance = function() {
+    this.matches.forEach(function(match) {
+      if (match.status === 'done') {
+        return;
+      }
+
+      var known = match.sources.every(function(source) {
+        return !source.match || this.getMatch(source.match).status === 'done';
+      }, this);
+
+      if (!known) {
+        return;
+      }
+
+      match.players = match.sources.map(function(source) {
+        return source.match ? this.getMatch(source.match)[source.outcome] : source.seed;
+      }, this);
+
+      if (match.players[0] && match.players[1]) {
+        match.status = 'ready';
+        return;
+      }
+
+      match.status = 'done';
+      match.winner = match.players[0] || match.players[1];
+      match.loser = null;
+    }, this);
+
+    var final = this.matches[this.matches.length - 1];
+    this.champion = final.status === 'done' ? final.winner : null;
+  };
+
+  /**
+   * The matches that can be played now.
+   **/
+  Tournament.prototype.playable = function() {
+    return this.matches.filter(function(match) {
+      return match.status === 'ready';
+    });
+  };
+
+  /**
+   * Record how a match ended, and advance its winner and loser.
+   *
+   * @param {string} id - the id of the match.
+   * @param {object} result - the result of the match (see
+   *   Match.prototype.result).  If nobody ever led, the better seed wins.
+   **/
+  Tournament.prototype.recordResult = function(id, result) {
+    var match = this.getMatch(id);
+    var winner = result.winner || match.players[0];
+
+    match.status = 'done';
+    match.winner = winner;
+    match.loser = match.players[0] === winner ? match.players[1] : match.players[0];
+    match.scores = {};
+    result.contenders.forEach(function(contender) {
+      match.scores[contender.lang] = contender.totalScore;
+    });
+
+    this.advance();
+  };
+
+  /**
+   * The tournament, as saved.
+   **/
+  Tournament.prototype.toJSON = function() {
+    return {
+      langs: this.langs,
+      format: this.format,
+      elimination: this.elimination,
+      parallel: this.parallel,
+      settings: this.settings,
+      matches: this.matches,
+      champion: this.champion,
+    };
+  };
+
+  /**
+   * TournamentRunner
+   *
+   * Plays the matches of a tournament as they become playable, each as a
+   * Battle of its own (see battle.js), timed by a Match.
+   *
+   * @param {Tournament} tournament - the tournament.
+   * @param {object} options - the options:
+   *   - createContender: called with the language and side of a player,
+   *     returns its Contender, with a stream source.
+   *   - onUpdate: called whenever a match being played counts, or a match
+   *     ends, e.g. to redraw the bracket.
+   *   - onMatchEnd: called with the match of the bracket and its result
+   *     (see Match.prototype.result) when a match ends, e.g. to save the
+   *     tournament.
+   *   - onEnd: called with the champion, once the tournament is over.
+   *   - clock: the clock of every match (see clock.js).  Defaults to the
+   *     real clock.
+   **/
+  function TournamentRunner(tournament, options) {
+    this.tournament = tournament;
+    this.options = options;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+
+    // The battle and match of every match being played, by id.
+    this.live = {};
+  }
+
+  /**
+   * Start playing every match that can be played.
+   **/
+  TournamentRunner.prototype.start = function() {
+    var limit = this.tournament.parallel ? MAX_PARALLEL_MATCHES : 1;
+    this.tournament.playable().forEach(function(match) {
+      if (!this.live[match.id] && Object.keys(this.live).length < limit) {
+        this.play(match);
+      }
+    }, this);
+
+    if (this.tournament.champion && this.options.onEnd) {
+      this.options.onEnd(this.tournament.champion);
+    }
+  };
+
+  /**
+   * Play a match of the tournament, then the next ones.
+   **/
+  TournamentRunner.prototype.play = function(bracketMatch) {
+    var contenders = bracketMatch.players.map(function(lang, i) {
+      return this.options.createContender(lang, bracketMatch.id + ':' + i);
+    }, this);
+
+    var match = new matches.Match(this.tournament.format, contenders, { clock: this.clock });
+    var battle = new battles.Battle(contenders, {
+      onNewCount: function(count, side) {
+        match.onNewCount(count, side);
+        this.update();
+      }.bind(this),
+
+      onChangeWinner: function(winner) {
+        match.onChangeWinner(winner.side);
+      },
+    }, this.tournament.settings);
+
+    this.live[bracketMatch.id] = {
+      battle: battle,
+      match: match,
+    };
+
+    battle.start();
+    match.start({
+      onEnd: function(result) {
+        battle.dispose();
+        delete this.live[bracketMatch.id];
+        this.tournament.recordResult(bracketMatch.id, result);
+        if (this.options.onMatchEnd) {
+          this.options.onMatchEnd(bracketMatch, result);
+        }
+
+        this.update();
+        this.start();
+      }.bind(this),
+    });
+  };
+
+  /**
+   * Let the UI know something changed.
+   **/
+  TournamentRunner.prototype.update = function() {
+    if (this.options.onUpdate) {
+      this.options.onUpdate();
+    }
+  };
+
+  /**
+   * Stop every match being played.  They are played again from the start if
+   * the tournament is started again.
+   **/
+  TournamentRunner.prototype.stop = function() {
+    Object.keys(this.live).forEach(function(id) {
+      this.live[id].match.stop();
+      this.live[id].battle.dispose();
+    }, this);
+
+    this.live = {};
+  };
+
+  /**
+   * This exports the tournaments, so that they are available in other
+   * functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      ELIMINATIONS: ELIMINATIONS,
+      Tournament: Tournament,
+      TournamentRunner: TournamentRunner,
+    };
+  } else {
+    global.ELIMINATIONS = ELIMINATIONS;
+    global.Tournament = Tournament;
+    global.TournamentRunner = TournamentRunner;
+  }
+
+}(this));
@@ -0,0 +1,296 @@
+/*****************************************************************************
+ * watch.js                                                                  *
+ *                                                                           *
+ * A battle only keeps an eye on the languages in it.  A watch keeps an eye  *
+ * on every language of the catalog at once, and raises an alert when one    *
+ * of them spikes: when its z-score stays above a threshold for a while,     *
+ * e.g. because something is happening in the world, and everyone is         *
+ * editing the same pages:                                                   *
+ *                                                                           *
+ *     var watch = new Watch(['de', 'fr', 'ja'], {                           *
+ *       createContender: function(lang) { ... },                            *
+ *       threshold: 3,                                                       *
+ *       sustain: 10,                                                        *
+ *       onAlert: function(alert) { ... },                                   *
+ *     });                                                                   *
+ *     watch.start();                                                        *
+ *                                                                           *
+ * Every alert has the pages edited the most while the language spiked.  An  *
+ * AlertLog keeps the alerts in storage (see StoredList in storage.js).      *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // The scoring, clocks and storage are either globals in the browser, or
+  // modules in Node.
+  var isModule = typeof module !== 'undefined' && module.exports;
+  var scoring = isModule ? require('./scoring') : global;
+  var clocks = isModule ? require('./clock') : global;
+  var storages = isModule ? require('./storage') : global;
+
+  /**
+   * Global Constants
+   **/
+
+  // A language spikes when its z-score, in standard deviations above its
+  // mean, stays at or above the threshold for `sustain` seconds in a row.
+  var DEFAULT_THRESHOLD = 3;
+  var DEFAULT_SUSTAIN = 10;
+
+  // How many seconds a language is watched before it can spike, so that the
+  // wild z-scores of its first seconds don't raise alerts.  Seconds seeded
+  // from a baseline (see baselines.js) count too.
+  var WARM_UP = 60;
+
+  // How far back the statistics of every language remember, in seconds (see
+  // statistics.js): a half-life keeps them small and flat, however long the
+  // watch runs.
+  var WATCH_HALF_LIFE = 30 * 60;
+
+  // Each language only keeps its latest count, since nothing draws them.
+  var WATCH_COUNTS_TO_KEEP = 1;
+
+  // How many of the pages edited the most during a spike an alert lists.
+  var TOP_TITLES = 5;
+
+  // How many alerts the log keeps, newest first.
+  var MAX_ALERTS_TO_KEEP = 50;
+
+  // Where the settings of the watch, and the alerts, are kept in storage.
+  var WATCH_STORAGE_KEY = 'wiki-battle-watch';
+  var ALERTS_STORAGE_KEY = 'wiki-battle-alerts';
+
+  /**
+   * The pages edited the most in some seconds of edits, most first.
+   *
+   * @param {Array:Array:string} seconds - the titles edited every second.
+   * @return {Array:object} the `title` and number of `edits` of each page.
+   **/
+  function topTitles(seconds) {
+    var edits = {};
+    seconds.forEach(function(titles) {
+      titles.forEach(function(title) {
+        edits[title] = (edits[title] || 0) + 1;
+      });
+    });
+
+    return Object.keys(edits).sort(function(a, b) {
+      return (edits[b] - edits[a]) || (a < b ? -1 : 1);
+    }).slice(0, TOP_TITLES).map(function(title) {
+      return {
+        title: title,
+        edits: edits[title],
+      };
+    });
+  }
+
+  /**
+   * Watch
+   *
+   * Listens to every language given, each with a Contender of its own (see
+   * battle.js), scored with z-scores, and raises an alert when one spikes.
+   * A language raises one alert per spike: it must fall back under the
+   * threshold before it can raise another.
+   *
+   * @param {Array:string} langs - the language codes to watch.
+   * @param {object} options - the options:
+   *   - createContender: called with a language, returns its Contender, with
+   *     a stream source.  Its side is the language.
+   *   - threshold: the z-score a language must reach to spike.  Defaults to
+   *     DEFAULT_THRESHOLD.
+   *   - sustain: for how many seconds in a row.  Defaults to DEFAULT_SUSTAIN.
+   *   - onAlert: called with every alert, with the `lang`, `name` and
+   *     `countryCode` of the language, its latest `score` and `count`, the
+   *     `mean` it was expected to have, the `startedAt` and `raisedAt` times
+   *     of the spike, and the `titles` edited the most during it (see
+   *     topTitles).
+   *   - clock: the clock telling the time of alerts (see clock.js).
+   *     Defaults to the real clock.
+   **/
+  function Watch(langs, options) {
+    this.langs = langs;
+    this.options = options;
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.sustain = options.sustain || DEFAULT_SUSTAIN;
+    this.clock = options.clock || clocks.REAL_CLOCK;
+
+    // The contender of every language, by language, while watching.
+    this.contenders = {};
+
+    // What every language is up to, by language: how many seconds in a row
+    // it has been above the threshold, when that started, whether it raised
+    // its alert already, the titles edited every second of the last
+    // `sustain` seconds, and the titles edited this second.
+    this.spikes = {};
+  }
+
+  /**
+   * The options a contender of a watch should be created with: enough to
+   * score z-scores, and nothing more.
+   **/
+  Watch.CONTENDER_OPTIONS = {
+    halfLife: WATCH_HALF_LIFE,
+    countsToKeep: WATCH_COUNTS_TO_KEEP,
+  };
+
+  /**
+   * Load the settings of the watch kept in a Web Storage (e.g.
+   * localStorage), if any.
+   *
+   * @param {object} storage - the storage, or null.
+   * @return {object} the `threshold` and `sustain` of the watch, whether to
+   *   `notify` the browser of alerts, and whether it was `watching`, to
+   *   watch again.
+   **/
+  Watch.loadSettings = function(storage) {
+    var settings = storages.readJSON(storage, WATCH_STORAGE_KEY, {});
+    return {
+      threshold: settings.threshold > 0 ? settings.threshold : DEFAULT_THRESHOLD,
+      sustain: settings.sustain > 0 ? settings.sustain : DEFAULT_SUSTAIN,
+      notify: !!settings.notify,
+      watching: !!settings.watching,
+    };
+  };
+
+  /**
+   * Keep the settings of the watch in a Web Storage.
+   *
+   * @param {object} storage - the storage, or null.
+   * @param {object} settings - the settings (see loadSettings).
+   **/
+  Watch.saveSettings = function(storage, settings) {
+    storages.writeJSON(storage, WATCH_STORAGE_KEY, settings);
+  };
+
+  /**
+   * Start listening to every language.
+   **/
+  Watch.prototype.start = function() {
+    this.langs.forEach(function(lang) {
+      var contender = this.options.createContender(lang);
+      contender.setScoring(scoring.createScoringStrategy('zscore'));
+
+      this.contenders[lang] = contender;
+      this.spikes[lang] = {
+        seconds: 0,
+        startedAt: null,
+        alerted: false,
+        titles: [],
+        current: [],
+      };
+
+      contender.startListening({
+        onNewCount: this.onNewCount.bind(this),
+        onEdit: this.onEdit.bind(this),
+      });
+    }, this);
+  };
+
+  /**
+   * Stop listening to every language, for good.
+   **/
+  Watch.prototype.stop = function() {
+    Object.keys(this.contenders).forEach(function(lang) {
+      this.contenders[lang].close();
+    }, this);
+
+    this.contenders = {};
+    this.spikes = {};
+  };
+
+  /**
+   * Change the threshold and for how long it must be crossed.  Spikes
+   * under way carry on, against the new settings.
+   *
+   * @param {number} threshold - the z-score a language must reach.
+   * @param {number} sustain - for how many seconds in a row.
+   **/
+  Watch.prototype.configure = function(threshold, sustain) {
+    this.threshold = threshold;
+    this.sustain = sustain;
+  };
+
+  /**
+   * Keep the title of every edit, to tell what a spike is about.
+   **/
+  Watch.prototype.onEdit = function(edit, lang) {
+    if (edit.title) {
+      this.spikes[lang].current.push(edit.title);
+    }
+  };
+
+  /**
+   * Every second, see whether a language spiked.
+   **/
+  Watch.prototype.onNewCount = function(count, lang) {
+    var contender = this.contenders[lang];
+    var spike = this.spikes[lang];
+
+    spike.titles.push(spike.current);
+    spike.current = [];
+    while (spike.titles.length > this.sustain) {
+      spike.titles.shift();
+    }
+
+    // A second without a score, e.g. the first one, doesn't count.
+    var score = contender.scores[contender.scores.length - 1];
+    var spiking = score !== undefined && score >= this.threshold &&
+      contender.statistics.count > WARM_UP;
+
+    if (spiking) {
+      spike.seconds++;
+      spike.startedAt = spike.startedAt || this.clock.now();
+    } else {
+      spike.seconds = 0;
+      spike.startedAt = null;
+      spike.alerted = false;
+    }
+
+    if (spike.seconds >= this.sustain && !spike.alerted) {
+      spike.alerted = true;
+      this.options.onAlert({
+        lang: lang,
+        name: contender.name,
+        countryCode: contender.countryCode,
+        score: score,
+        count: count,
+        mean: contender.expected.mean,
+        startedAt: spike.startedAt,
+        raisedAt: this.clock.now(),
+        titles: topTitles(spike.titles),
+      });
+    }
+  };
+
+  /**
+   * AlertLog
+   *
+   * Keeps the alerts raised, the latest first, forgetting the oldest beyond
+   * MAX_ALERTS_TO_KEEP, in `items` (see StoredList in storage.js).
+   *
+   * @param {object} storage - a Web Storage (e.g. localStorage), or null.
+   **/
+  function AlertLog(storage) {
+    storages.StoredList.call(this, storage, ALERTS_STORAGE_KEY, MAX_ALERTS_TO_KEEP);
+  }
+
+  AlertLog.prototype = Object.create(storages.StoredList.prototype);
+  AlertLog.prototype.constructor = AlertLog;
+
+  /**
+   * This exports the watch, so that it is available in other functions.
+   **/
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      topTitles: topTitles,
+      Watch: Watch,
+      AlertLog: AlertLog,
+    };
+  } else {
+    global.topTitles = topTitles;
+    global.Watch = Watch;
+    global.AlertLog = AlertLog;
+  }
+
+}(this));
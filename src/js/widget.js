@@ -0,0 +1,346 @@
+/*****************************************************************************
+ * widget.js                                                                 *
+ *                                                                           *
+ * A live battle to drop into any page, as a custom element with a compact   *
+ * scoreboard:                                                               *
+ *                                                                           *
+ *     <script src="https://battle.schlosser.io/js/wiki-battle-widget.js">   *
+ *     </script>                                                             *
+ *     <wiki-battle left="de" right="fr" mode="ewma"></wiki-battle>          *
+ *                                                                           *
+ * `left` and `right` are language codes of the catalog (see catalog.js),    *
+ * `mode` is the scoring strategy (see scoring.js), and `metric` what is     *
+ * counted (see edits.js).  The catalog is the one next to the script,       *
+ * unless `catalog` says otherwise.  The battle starts once the element is   *
+ * in the page, unless `autostart="false"`, and can be driven from script:   *
+ *                                                                           *
+ *     var widget = document.querySelector('wiki-battle');                   *
+ *     widget.addEventListener('winnerchange', function(e) { ... });         *
+ *     widget.stop();                                                        *
+ *     widget.start();                                                       *
+ *                                                                           *
+ * The element fires `newcount`, `winnerchange` and `connectionstate`        *
+ * events, with the side, language and what changed in `detail`.  `gulp      *
+ * widget` bundles it with the rest of the battle into                       *
+ * dist/js/wiki-battle-widget.js.                                            *
+ *****************************************************************************/
+
+(function(global) {
+  'use strict';
+
+  // Custom elements only exist in browsers.
+  if (typeof customElements === 'undefined') {
+    return;
+  }
+
+  /**
+   * Global Constants
+   **/
+
+  // The name of the element.
+  var ELEMENT_NAME = 'wiki-battle';
+
+  // The sides of a widget battle, which is always head-to-head.
+  var SIDES = ['left', 'right'];
+
+  // The attributes which restart a running battle when they change.
+  var BATTLE_ATTRIBUTES = ['left', 'right', 'mode', 'metric', 'catalog'];
+
+  // Where the catalog is, by default: next to the script, which is in /js.
+  // Without a script URL, loadCatalog has a default of its own.
+  var SCRIPT_URL = document.currentScript ? document.currentScript.src : '';
+  var DEFAULT_CATALOG_URL = SCRIPT_URL ? new URL('../catalog.json', SCRIPT_URL).href : null;
+
+  // The scoreboard, in the shadow DOM of every element, so that the styles
+  // of the page and of the widget don't mix.
+  var TEMPLATE = '<style>' +
+      ':host { display: inline-block; font: 14px/1.5 sans-serif; color: #222; }' +
+      '.scoreboard { display: flex; align-items: center; border: 1px solid #222; }' +
+      '.side { flex: 1; padding: 0.25em 0.75em; transition: 0.4s ease background; }' +
+      '.side.winning { background: #3C9A5F; color: #FFF; }' +
+      '.name { font-weight: bold; display: block; }' +
+      '.score, .count, .state { font-size: 0.85em; margin-right: 0.5em; }' +
+      '.state:empty, .status:empty { display: none; }' +
+      '.vs { padding: 0 0.5em; }' +
+      '.status { color: #777; font-size: 0.85em; margin: 0.25em 0 0; }' +
+    '</style>' +
+    '<div class="scoreboard">' +
+      SIDES.map(function(side) {
+        return '<div class="side ' + side + '">' +
+          '<span class="name"></span>' +
+          '<span class="score"></span>' +
+          '<span class="count"></span>' +
+          '<span class="state"></span>' +
+          '</div>';
+      }).join('<span class="vs">vs</span>') +
+    '</div>' +
+    '<p class="status" role="status"></p>';
+
+  /**
+   * WikiBattleElement
+   *
+   * The `<wiki-battle>` element.  Custom elements must be constructed like
+   * the classes they extend, hence Reflect.construct.
+   **/
+  function WikiBattleElement() {
+    var element = Reflect.construct(HTMLElement, [], WikiBattleElement);
+    element.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+
+    // The catalog, once loaded, and whether it's loading.
+    element.catalog = null;
+    element.catalogUrl = null;
+    element.loadingCatalog = false;
+
+    // The battle being played, and whether one should be.
+    element.battle = null;
+    element.running = false;
+
+    return element;
+  }
+
+  WikiBattleElement.prototype = Object.create(HTMLElement.prototype);
+  WikiBattleElement.prototype.constructor = WikiBattleElement;
+  Object.setPrototypeOf(WikiBattleElement, HTMLElement);
+
+  WikiBattleElement.observedAttributes = BATTLE_ATTRIBUTES;
+
+  /**
+   * When the element is put in the page, start the battle, unless told not
+   * to.
+   **/
+  WikiBattleElement.prototype.connectedCallback = function() {
+    if (this.getAttribute('autostart') !== 'false') {
+      this.start();
+    }
+  };
+
+  /**
+   * When the element is taken out of the page, stop the battle, closing its
+   * connections.
+   **/
+  WikiBattleElement.prototype.disconnectedCallback = function() {
+    this.stop();
+  };
+
+  /**
+   * When the languages or settings change, start the battle again with them.
+   **/
+  WikiBattleElement.prototype.attributeChangedCallback = function(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.running) {
+      return;
+    }
+
+    this.stop();
+    this.start();
+  };
+
+  /**
+   * Start the battle, loading the catalog first if needed.
+   **/
+  WikiBattleElement.prototype.start = function() {
+    this.running = true;
+    if (this.battle) {
+      return;
+    }
+
+    var catalogUrl = this.getAttribute('catalog') || DEFAULT_CATALOG_URL;
+    if (this.catalog && this.catalogUrl === catalogUrl) {
+      this.startBattle();
+      return;
+    }
+
+    if (this.loadingCatalog) {
+      return;
+    }
+
+    this.loadingCatalog = true;
+    this.renderStatus('Loading...');
+    global.loadCatalog(catalogUrl, {
+      onLoad: function(catalog) {
+        this.loadingCatalog = false;
+        this.catalog = new global.Catalog(catalog);
+        this.catalogUrl = catalogUrl;
+        if (this.running) {
+          this.startBattle();
+        }
+      }.bind(this),
+      onError: function(error) {
+        this.loadingCatalog = false;
+        this.renderStatus(error.message);
+      }.bind(this),
+    });
+  };
+
+  /**
+   * Stop the battle, closing its connections.  The scores stay up.
+   **/
+  WikiBattleElement.prototype.stop = function() {
+    this.running = false;
+    if (this.battle) {
+      this.battle.dispose();
+      this.battle = null;
+    }
+  };
+
+  /**
+   * Start a battle between the languages of the attributes.
+   **/
+  WikiBattleElement.prototype.startBattle = function() {
+    // Unknown attributes, or a strategy that can't score the metric, are
+    // left to their default.
+    var metric = global.isEditMetric(this.getAttribute('metric')) ?
+      this.getAttribute('metric') : null;
+    var scoringName = this.getAttribute('mode');
+    if (!global.canScoreMetric(scoringName, metric || global.DEFAULT_EDIT_METRIC)) {
+      scoringName = null;
+    }
+
+    var contenders = SIDES.map(this.createContender, this);
+    var unknown = contenders.filter(function(contender) {
+      return typeof contender === 'string';
+    });
+
+    if (unknown.length) {
+      this.running = false;
+      this.renderStatus('Unknown language: ' + unknown.join(', '));
+      return;
+    }
+
+    this.renderStatus('');
+    this.battle = new global.Battle(contenders, {
+      onNewCount: this.onNewCount.bind(this),
+      onChangeWinner: this.onChangeWinner.bind(this),
+      onConnectionChange: this.onConnectionChange.bind(this),
+    }, {
+      scoring: scoringName,
+      metric: metric,
+    });
+
+    contenders.forEach(this.renderSide, this);
+    this.battle.start();
+  };
+
+  /**
+   * Create the contender of a side, listening to the stream of its language.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   * @return {Contender|string} the contender, or the language if the catalog
+   *   doesn't have it.
+   **/
+  WikiBattleElement.prototype.createContender = function(side) {
+    var lang = this.getAttribute(side) || '';
+    var entry = this.catalog.get(lang);
+    if (!entry) {
+      return lang || '(none)';
+    }
+
+    var source = global.createStreamSource({
+      type: entry.stream,
+      url: entry.url,
+      lang: entry.lang,
+    });
+
+    return new global.Contender(entry.country_code, entry.lang, entry.name, side, source);
+  };
+
+  /**
+   * Fire an event from the element, which bubbles out of the page's shadow
+   * roots too.
+   *
+   * @param {string} type - the type of the event, e.g. 'newcount'.
+   * @param {object} detail - what happened.
+   **/
+  WikiBattleElement.prototype.emit = function(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: detail,
+    }));
+  };
+
+  /**
+   * The contender of a side of the battle.
+   *
+   * @param {string} side - the side, e.g. 'left'.
+   **/
+  WikiBattleElement.prototype.contender = function(side) {
+    return this.battle.contenders.filter(function(contender) {
+      return contender.side === side;
+    })[0];
+  };
+
+  /**
+   * When a side counts a new bucket, update its score, and tell the page.
+   **/
+  WikiBattleElement.prototype.onNewCount = function(count, side, measure) {
+    var contender = this.contender(side);
+    this.renderSide(contender);
+    this.shadowRoot.querySelector('.' + side + ' .count').textContent = count + ' edits';
+    this.emit('newcount', {
+      side: side,
+      lang: contender.lang,
+      count: count,
+      measure: measure,
+      totalScore: contender.totalScore,
+    });
+  };
+
+  /**
+   * When a side takes the lead, show it, and tell the page.
+   **/
+  WikiBattleElement.prototype.onChangeWinner = function(winner) {
+    SIDES.forEach(function(side) {
+      this.shadowRoot.querySelector('.' + side).classList.toggle('winning', side === winner.side);
+    }, this);
+
+    this.emit('winnerchange', {
+      side: winner.side,
+      lang: winner.lang,
+      name: winner.name,
+    });
+  };
+
+  /**
+   * When the connection of a side changes, show it, unless it's live, and
+   * tell the page.
+   **/
+  WikiBattleElement.prototype.onConnectionChange = function(state, side) {
+    var live = state === global.Contender.CONNECTION_STATES.LIVE;
+    this.shadowRoot.querySelector('.' + side + ' .state').textContent = live ? '' : state;
+    this.emit('connectionstate', {
+      side: side,
+      lang: this.contender(side).lang,
+      state: state,
+    });
+  };
+
+  /**
+   * Draw the name and score of a contender.
+   *
+   * @param {Contender} contender - the contender.
+   **/
+  WikiBattleElement.prototype.renderSide = function(contender) {
+    var element = this.shadowRoot.querySelector('.' + contender.side);
+    element.querySelector('.name').textContent = contender.name;
+    element.querySelector('.score').textContent = contender.totalScore.toFixed(2);
+  };
+
+  /**
+   * Say what's going on, or what went wrong, under the scoreboard.
+   *
+   * @param {string} text - what to say, or nothing.
+   **/
+  WikiBattleElement.prototype.renderStatus = function(text) {
+    this.shadowRoot.querySelector('.status').textContent = text;
+  };
+
+  if (!customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, WikiBattleElement);
+  }
+
+  /**
+   * This exports the element, so that it is available in other functions.
+   **/
+  global.WikiBattleElement = WikiBattleElement;
+
+}(this));
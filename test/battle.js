@@ -0,0 +1,221 @@
+/*****************************************************************************
+ * test/battle.js                                                            *
+ *                                                                           *
+ * Plays battles on a virtual clock, with stub web sockets publishing made   *
+ * up edits, and checks how they are scored and who wins: with a standard    *
+ * deviation of zero, in the first buckets, once the scores roll over        *
+ * MAX_SCORES_TO_CONSIDER, when the sides are tied, and when the winner      *
+ * flips.  Nothing touches the network, and every run plays out the same.   *
+ *                                                                           *
+ * Usage:                                                                    *
+ *                                                                           *
+ *     npm test                                                              *
+ *****************************************************************************/
+
+'use strict';
+
+var assert = require('assert');
+var Battle = require('../src/js/battle').Battle;
+var Contender = require('../src/js/battle').Contender;
+var VirtualClock = require('../src/js/clock').VirtualClock;
+var WebSocketSource = require('../src/js/sources').WebSocketSource;
+
+// The length of a bucket, in miliseconds (see MESSAGE_WINDOW_SIZE in
+// battle.js).
+var SECOND = 1000;
+
+// The sides of every test battle.
+var SIDES = ['left', 'right'];
+
+/**
+ * A web socket which never connects to anything.  Tests open it, and publish
+ * messages on it, by hand.
+ **/
+function StubSocket(url) {
+  this.url = url;
+  this.closed = false;
+  StubSocket.sockets.push(this);
+}
+
+// Every stub socket created, so that tests can get hold of them.
+StubSocket.sockets = [];
+
+StubSocket.prototype.close = function() {
+  this.closed = true;
+};
+
+/**
+ * Publish `count` edits on the socket.
+ **/
+StubSocket.prototype.publish = function(count) {
+  for (var i = 0; i < count; i++) {
+    this.onmessage({ data: JSON.stringify({ page_title: 'Test', ns: 'Main' }) });
+  }
+};
+
+/**
+ * Start a battle between two contenders on a virtual clock, with open stub
+ * sockets.
+ *
+ * @return {object} the `battle`, its `clock`, the `sockets` of each side,
+ *   the side of every new `winners`, and `play`, which publishes the counts
+ *   of some seconds, e.g. play({ left: [1, 2], right: [3, 4] }).
+ **/
+function startBattle() {
+  var clock = new VirtualClock();
+  var winners = [];
+  var contenders = SIDES.map(function(side) {
+    var source = new WebSocketSource('ws://stub/' + side, { WebSocket: StubSocket });
+    return new Contender('xx', side, side, side, source, { clock: clock });
+  });
+
+  StubSocket.sockets = [];
+  var battle = new Battle(contenders, {
+    onNewCount: function() {
+      // Only the winners matter here.
+    },
+
+    onChangeWinner: function(winner) {
+      winners.push(winner.side);
+    },
+  });
+
+  battle.start();
+  var sockets = {};
+  StubSocket.sockets.forEach(function(socket, i) {
+    sockets[SIDES[i]] = socket;
+    socket.onopen();
+  });
+
+  var play = function(counts) {
+    var seconds = Math.max(counts.left.length, counts.right.length);
+    for (var t = 0; t < seconds; t++) {
+      sockets.left.publish(counts.left[t] || 0);
+      sockets.right.publish(counts.right[t] || 0);
+      clock.advance(SECOND);
+    }
+  };
+
+  return {
+    battle: battle,
+    clock: clock,
+    sockets: sockets,
+    winners: winners,
+    play: play,
+  };
+}
+
+/**
+ * The same count, `seconds` times.
+ **/
+function repeat(count, seconds) {
+  var counts = [];
+  for (var i = 0; i < seconds; i++) {
+    counts.push(count);
+  }
+
+  return counts;
+}
+
+/**
+ * The average of some numbers.
+ **/
+function average(values) {
+  return values.reduce(function(sum, value) {
+    return sum + value;
+  }, 0) / values.length;
+}
+
+/**
+ * Tests
+ **/
+
+var tests = {
+  'a standard deviation of zero scores zero': function() {
+    var game = startBattle();
+    var left = game.battle.contenders[0];
+    game.play({ left: repeat(3, 10), right: repeat(3, 10) });
+
+    assert.strictEqual(left.expected.standardDeviation, 0);
+    assert.deepEqual(left.scores, repeat(0, 8));
+    assert.strictEqual(left.totalScore, 0);
+  },
+
+  'the first two buckets are counted, but not scored': function() {
+    var game = startBattle();
+    var left = game.battle.contenders[0];
+    game.play({ left: [2, 4], right: [2, 4] });
+
+    assert.deepEqual(left.windowCounts, [2, 4]);
+    assert.deepEqual(left.scores, []);
+    assert.strictEqual(left.totalScore, 0);
+
+    // The third is scored against the two before it.
+    game.play({ left: [6], right: [6] });
+    assert.strictEqual(left.expected.mean, 3);
+    assert.ok(left.expected.standardDeviation > 0);
+    assert.deepEqual(left.scores,
+      [(6 - left.expected.mean) / left.expected.standardDeviation]);
+    assert.strictEqual(left.totalScore, left.scores[0]);
+  },
+
+  'only the latest MAX_SCORES_TO_CONSIDER scores make the total score': function() {
+    var game = startBattle();
+    var left = game.battle.contenders[0];
+    var scores = [];
+    var counts = [1, 5, 2, 8, 3, 0, 7, 4, 6, 9];
+
+    for (var t = 0; t < 40; t++) {
+      game.play({ left: [counts[t % counts.length] + (t % 3)], right: [1] });
+      if (left.scores.length) {
+        scores.push(left.scores[left.scores.length - 1]);
+      }
+    }
+
+    var latest = scores.slice(-Contender.MAX_SCORES_TO_CONSIDER);
+    assert.strictEqual(scores.length, 38);
+    assert.deepEqual(left.scores, latest);
+    assert.ok(Math.abs(left.totalScore - average(latest)) < 1e-12);
+    assert.ok(Math.abs(left.totalScore - average(scores)) > 1e-6);
+  },
+
+  'a tie keeps the ranking, and the winner, as they were': function() {
+    var game = startBattle();
+    var left = game.battle.contenders[0];
+    var right = game.battle.contenders[1];
+    game.play({ left: repeat(2, 10), right: repeat(7, 10) });
+
+    assert.strictEqual(left.totalScore, right.totalScore);
+    assert.deepEqual(game.battle.ranking, [left, right]);
+    assert.deepEqual(game.winners, ['left']);
+  },
+
+  'the winner flips when the other side takes the lead': function() {
+    var game = startBattle();
+    var baseline = [1, 3, 2, 1, 3, 2, 1, 3, 2, 1];
+    game.play({ left: baseline, right: baseline });
+
+    game.play({ left: repeat(12, 5), right: repeat(2, 5) });
+    assert.strictEqual(game.battle.winner.side, 'left');
+
+    game.play({ left: repeat(0, 10), right: repeat(20, 10) });
+    assert.strictEqual(game.battle.winner.side, 'right');
+    assert.deepEqual(game.winners.slice(-2), ['left', 'right']);
+    assert.deepEqual(game.battle.ranking.map(function(contender) {
+      return contender.side;
+    }), ['right', 'left']);
+  },
+};
+
+var failures = 0;
+Object.keys(tests).forEach(function(name) {
+  try {
+    tests[name]();
+    process.stdout.write('ok - ' + name + '\n');
+  } catch (e) {
+    failures++;
+    process.stdout.write('not ok - ' + name + '\n' + e.stack + '\n');
+  }
+});
+
+process.exit(failures ? 1 : 0);